@@ -0,0 +1,351 @@
+// Type definitions for the WebNest API (require('webnest'))
+
+export type Platform = 'darwin' | 'win32' | 'linux';
+export type IconStyle = 'letter' | 'rounded' | 'circle';
+export type DisplayMode = 'fullscreen' | 'standalone' | 'minimal-ui' | 'browser';
+
+/** A browser WebNest knows about, as listed by detectBrowsers() */
+export interface BrowserInfo {
+  /** Browser id, such as "chrome", "brave:beta" or an id from browsers.json */
+  id: string;
+  name: string;
+  available: boolean;
+  /** Executable path, or null when the browser isn't installed */
+  path: string | null;
+  sandbox: 'flatpak' | 'snap' | null;
+  flatpakId: string | null;
+  version: string | null;
+  /** Set when the installed version is too old for the flags WebNest uses */
+  warning: string | null;
+  channel: string | null;
+  custom: boolean;
+  autoDetected: boolean;
+}
+
+/** The browser an app was created with */
+export interface DetectedBrowser {
+  found: true;
+  id: string;
+  name: string;
+  path: string;
+  appFlag: string;
+  profileDir: string | null;
+  sandbox: 'flatpak' | 'snap' | null;
+  flatpakId: string | null;
+  version: string | null;
+  warning: string | null;
+  /** True when the browser is the system's default browser */
+  isDefault?: boolean;
+  /** Why another browser was used, e.g. when the default browser isn't Chromium-based */
+  note?: string;
+}
+
+export interface AppShortcut {
+  name: string;
+  url: string;
+}
+
+/** A web app created by WebNest */
+export interface App {
+  id: string;
+  name: string;
+  /** URL the app was created from */
+  url: string;
+  /** Page the launcher opens when the site's manifest starts the app elsewhere */
+  startUrl: string | null;
+  /** Launcher path: the .app bundle, .lnk shortcut or .desktop file */
+  path: string;
+  iconPath: string | null;
+  /** Browser name */
+  browser: string;
+  browserId: string;
+  browserSandbox: 'flatpak' | 'snap' | null;
+  createdAt: string;
+  userDataDir: string | null;
+  profileDirectory: string | null;
+  flags: string[];
+  iconSource: string | null;
+  iconStyle: IconStyle | null;
+  scope: string | null;
+  display: DisplayMode | null;
+  themeColor: string | null;
+  backgroundColor: string | null;
+  shortcuts: AppShortcut[];
+  /** "system" for apps installed for all users */
+  installScope: 'user' | 'system';
+  /** Copy of (or on macOS link to) the launcher on the user's desktop */
+  desktopPath: string | null;
+  /** True when the launcher has been deleted outside of WebNest */
+  missing: boolean;
+}
+
+/** One step of a plan: a file or directory to create, move or delete, a command to run or a registry change */
+export type PlanStep =
+  | { type: 'mkdir'; path: string }
+  | { type: 'write'; path: string; contents: string | Uint8Array; mode: string | null }
+  | { type: 'move' | 'copy'; path: string; from: string }
+  | { type: 'symlink'; path: string; target: string }
+  | { type: 'delete'; path: string }
+  | {
+      type: 'exec';
+      command: string;
+      /** Script written for the command to run, then deleted */
+      script: { path: string; contents: string } | null;
+      optional: boolean;
+      error: string;
+    }
+  | { type: 'register' | 'unregister'; path: string; entry: Record<string, unknown> };
+
+export interface BrowserProfile {
+  name: string;
+  directory: string;
+  email?: string | null;
+}
+
+export interface CreateAppOptions {
+  /** Browser id; defaults to the system's default browser ("default") */
+  browser?: string;
+  /** App name; defaults to the site's manifest name or page title */
+  name?: string;
+  /** Give the app its own browser profile */
+  isolated?: boolean;
+  /** Open the app in an existing browser profile (name, email or directory) */
+  profile?: string;
+  /** Local image file or image URL to use as the icon */
+  icon?: string;
+  /** Shape of the icon generated when the site has none */
+  iconStyle?: IconStyle;
+  /** Read the site's web app manifest (default true) */
+  manifest?: boolean;
+  /** Extra browser flags, such as "--lang=de"; re-creating an app adds them to the ones it has */
+  flags?: string[];
+  /** Initial window size as WIDTHxHEIGHT, such as "1400x900" */
+  size?: string;
+  /** Force dark mode in the app's window */
+  dark?: boolean;
+  /** Install the app for all users; needs root or administrator rights */
+  system?: boolean;
+  /** Also put the app on the user's desktop; kept when the app is created again */
+  desktop?: boolean;
+  /** Plan the app without writing anything */
+  dryRun?: boolean;
+  onProgress?: (text: string) => void;
+  onBrowser?: (browser: DetectedBrowser) => void;
+}
+
+export interface CreateAppResult {
+  app: App;
+  appPath: string;
+  /** URL the app opens, which may be the start URL from the site's manifest */
+  launchUrl: string;
+  browser: DetectedBrowser;
+  profile: BrowserProfile | null;
+  note: string | null;
+  dryRun: boolean;
+  /** Files written and commands run, or with dryRun the ones that would be */
+  steps: PlanStep[];
+}
+
+export interface BuildAppOptions {
+  /** Platform to build the launcher for */
+  target: Platform;
+  /** Directory to write the launcher and its icons to */
+  outDir: string;
+  /** Browser id the launcher starts; defaults to "chrome" */
+  browser?: string;
+  /** Browser executable on the target machine; defaults to the browser's usual location there */
+  browserPath?: string;
+  name?: string;
+  icon?: string;
+  iconStyle?: IconStyle;
+  manifest?: boolean;
+  flags?: string[];
+  size?: string;
+  dark?: boolean;
+  /** Plan the build without writing anything */
+  dryRun?: boolean;
+  onProgress?: (text: string) => void;
+}
+
+export interface BuildAppResult {
+  name: string;
+  target: Platform;
+  /** The .app bundle, .lnk shortcut or .desktop file written */
+  appPath: string;
+  /** The icon written: AppIcon.icns, the .ico or the largest hicolor PNG */
+  iconPath: string | null;
+  launchUrl: string;
+  /** The browser as the launcher expects to find it on the target machine */
+  browser: DetectedBrowser;
+  /** How to install the launcher on the target machine */
+  note: string | null;
+  dryRun: boolean;
+  steps: PlanStep[];
+}
+
+export interface RemoveAppOptions {
+  /** Browser the app was created with, when several apps share the name */
+  browser?: string;
+  /** Remove the app for every browser it was created with */
+  all?: boolean;
+  /** Also delete the app's isolated profile data */
+  deleteProfile?: boolean;
+  /** Remove an app installed for all users */
+  system?: boolean;
+  /** Plan the removal without deleting anything */
+  dryRun?: boolean;
+}
+
+export interface RemovedApp {
+  id: string;
+  name: string;
+  browserName: string;
+  appPath: string;
+  desktopPath: string | null;
+  userDataDir: string | null;
+  profileDeleted: boolean;
+  dryRun: boolean;
+  steps: PlanStep[];
+}
+
+export interface RemoveAppResult {
+  removed: RemovedApp[];
+  /** Failures for some browsers when removing with `all` */
+  errors: string[];
+}
+
+export interface EditAppChanges {
+  url?: string;
+  /** New name for the app */
+  name?: string;
+  /** New icon file or image URL; null goes back to the site's icon */
+  icon?: string | null;
+  iconStyle?: IconStyle;
+  /** Replace the app's browser flags */
+  flags?: string[];
+  /** Add browser flags, replacing ones with the same name */
+  addFlags?: string[];
+  /** Remove browser flags by name, such as "--lang" */
+  removeFlags?: string[];
+  size?: string;
+  /** true forces dark mode, false stops forcing it */
+  dark?: boolean;
+  /** Switch the app to another browser */
+  useBrowser?: string;
+}
+
+export interface EditAppOptions {
+  /** Browser the app was created with, when several apps share the name */
+  browser?: string;
+  /** Change an app installed for all users */
+  system?: boolean;
+  /** Plan the edit without writing anything */
+  dryRun?: boolean;
+  onBrowser?: (browser: DetectedBrowser) => void;
+}
+
+export interface EditAppResult {
+  app: App;
+  appPath: string;
+  note: string | null;
+  dryRun: boolean;
+  steps: PlanStep[];
+}
+
+export interface LaunchAppOptions {
+  /** Browser the app was created with, when several apps share the name */
+  browser?: string;
+  /** Open an app installed for all users */
+  system?: boolean;
+}
+
+export interface LaunchAppResult {
+  app: App;
+  url: string;
+  /** Executable and arguments that were started */
+  command: string[];
+}
+
+export interface ResolveIconOptions {
+  /** Directory to write the icon to; a temporary directory by default */
+  outDir?: string;
+  /** Icon format to produce: .icns (darwin), .ico (win32) or .png (linux) */
+  platform?: Platform;
+  icon?: string;
+  iconStyle?: IconStyle;
+  /** App name whose initials a generated icon shows */
+  name?: string;
+}
+
+export interface ResolveIconResult {
+  path: string;
+  /** True when the site had no usable icon and a monogram was drawn */
+  generated: boolean;
+}
+
+export function createApp(url: string, options?: CreateAppOptions): Promise<CreateAppResult>;
+export function buildApp(url: string, options: BuildAppOptions): Promise<BuildAppResult>;
+export function removeApp(name: string, options?: RemoveAppOptions): Promise<RemoveAppResult>;
+export function editApp(name: string, changes?: EditAppChanges, options?: EditAppOptions): Promise<EditAppResult>;
+export function launchApp(name: string, target?: string, options?: LaunchAppOptions): Promise<LaunchAppResult>;
+export function listApps(options?: { browser?: string }): Promise<App[]>;
+export function detectBrowsers(): Promise<BrowserInfo[]>;
+export function resolveIcon(url: string, options?: ResolveIconOptions): Promise<ResolveIconResult>;
+/** Plan steps as plain data for JSON, with binary file contents replaced by their size in `bytes` */
+export function describePlan(steps: PlanStep[]): Array<PlanStep | { type: 'write'; path: string; contents: null; bytes: number; mode: string | null }>;
+
+export const DARK_MODE_FLAG: string;
+/** Platforms buildApp() builds for */
+export const BUILD_TARGETS: Platform[];
+
+export type WebNestErrorCode =
+  | 'WEBNEST_ERROR'
+  | 'INVALID_URL'
+  | 'INVALID_OPTION'
+  | 'BROWSER_NOT_FOUND'
+  | 'APP_NOT_FOUND'
+  | 'APP_AMBIGUOUS'
+  | 'ICON_FAILED'
+  | 'FILESYSTEM_ERROR'
+  | 'PERMISSION_DENIED';
+
+export class WebNestError extends Error {
+  code: WebNestErrorCode;
+  cause?: Error;
+  /** The error as a plain object, without its cause */
+  toJSON(): { name: string; code: WebNestErrorCode; message: string; [detail: string]: unknown };
+}
+export class InvalidUrlError extends WebNestError {
+  code: 'INVALID_URL';
+  url?: string;
+}
+export class InvalidOptionError extends WebNestError {
+  code: 'INVALID_OPTION';
+  /** Name of the offending option */
+  option?: string;
+  browser?: string;
+}
+export class BrowserNotFoundError extends WebNestError {
+  code: 'BROWSER_NOT_FOUND';
+  browser?: string;
+}
+export class AppNotFoundError extends WebNestError {
+  code: 'APP_NOT_FOUND';
+}
+export class AmbiguousAppError extends WebNestError {
+  code: 'APP_AMBIGUOUS';
+}
+export class IconError extends WebNestError {
+  code: 'ICON_FAILED';
+  icon?: string | null;
+}
+export class FileSystemError extends WebNestError {
+  code: 'FILESYSTEM_ERROR';
+}
+export class PermissionDeniedError extends WebNestError {
+  code: 'PERMISSION_DENIED';
+}
+
+/** Process exit status the CLI uses for each error code; other errors exit with 1 */
+export const EXIT_CODES: Partial<Record<WebNestErrorCode, number>>;
+export function getExitCode(error: unknown): number;
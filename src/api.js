@@ -0,0 +1,521 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const { installWebApp, buildWebApp, uninstallWebApp, editWebApp, launchWebApp, listInstalledApps, findInstalledApps, describeApp } = require('./installer');
+const { detectBrowser, getTargetBrowser, getSupportedBrowsers, resolveBrowserProfile, expandHomePath } = require('./browser');
+const { validateUrl, getAppNameFromUrl, getAppNameFromManifest, getLaunchUrl } = require('./utils');
+const { fetchWebPage, prepareIcon } = require('./icon');
+const { deleteProfile } = require('./profile');
+const { ICON_STYLES } = require('./monogram');
+const { deleteStep, describePlan } = require('./plan');
+const {
+  WebNestError,
+  InvalidUrlError,
+  InvalidOptionError,
+  BrowserNotFoundError,
+  AppNotFoundError,
+  AmbiguousAppError,
+  IconError,
+  FileSystemError,
+  PermissionDeniedError,
+  EXIT_CODES,
+  getExitCode,
+} = require('./errors');
+
+const mkdirAsync = promisify(fs.mkdir);
+const mkdtempAsync = promisify(fs.mkdtemp);
+
+// Flag the `dark` option adds to an app's launcher
+const DARK_MODE_FLAG = '--force-dark-mode';
+
+// Platforms buildApp writes launchers for
+const BUILD_TARGETS = ['darwin', 'win32', 'linux'];
+
+// Node.js error codes of failed file operations; network errors such as ECONNREFUSED are left out
+const FILESYSTEM_ERROR_CODES = ['ENOENT', 'EEXIST', 'ENOTDIR', 'EISDIR', 'ENOTEMPTY', 'ENOSPC', 'EROFS', 'EMFILE', 'ENFILE', 'EBUSY', 'EXDEV', 'EIO'];
+const PERMISSION_ERROR_CODES = ['EACCES', 'EPERM'];
+
+/**
+ * Turn any error from the modules below into a WebNestError.
+ * Failed file operations (ENOENT, ENOSPC, ...) become FileSystemErrors and EACCES or EPERM
+ * PermissionDeniedErrors; anything else, network errors included, a plain WebNestError.
+ */
+function toWebNestError(error) {
+  if (error instanceof WebNestError) {
+    return error;
+  }
+  if (error && PERMISSION_ERROR_CODES.includes(error.code)) {
+    return new PermissionDeniedError(error.message, { cause: error });
+  }
+  if (error && FILESYSTEM_ERROR_CODES.includes(error.code)) {
+    return new FileSystemError(error.message, { cause: error });
+  }
+  return new WebNestError(error.message, 'WEBNEST_ERROR', { cause: error });
+}
+
+/**
+ * Throw the error matching a `{ success: false }` result from the installer
+ */
+function throwFailure(result) {
+  if (result.notFound) {
+    throw new AppNotFoundError(result.error);
+  }
+  if (result.ambiguous) {
+    throw new AmbiguousAppError(result.error);
+  }
+  if (result.browserMissing) {
+    throw new BrowserNotFoundError(result.error);
+  }
+  if (result.invalidUrl) {
+    throw new InvalidUrlError(result.error);
+  }
+  if (result.invalidOption) {
+    throw new InvalidOptionError(result.error, { option: result.option });
+  }
+  if (result.ioError) {
+    throw new FileSystemError(result.error);
+  }
+  if (result.permissionDenied) {
+    throw new PermissionDeniedError(result.error);
+  }
+  throw new WebNestError(result.error);
+}
+
+/**
+ * Check that a URL is an http:// or https:// URL
+ */
+function checkUrl(url) {
+  if (!validateUrl(url)) {
+    throw new InvalidUrlError(`Invalid URL "${url}". Use a URL starting with http:// or https://`, { url });
+  }
+}
+
+/**
+ * Turn an icon option into an image URL or absolute file path
+ */
+function resolveIconSource(icon) {
+  if (!icon || validateUrl(icon)) {
+    return icon || null;
+  }
+
+  const iconPath = path.resolve(expandHomePath(icon));
+  if (!fs.existsSync(iconPath)) {
+    throw new IconError(`Icon file not found: ${icon}`, { icon });
+  }
+  return iconPath;
+}
+
+/**
+ * Check an icon style, which may be left out
+ */
+function checkIconStyle(style) {
+  if (style !== undefined && style !== null && !ICON_STYLES.includes(style)) {
+    throw new InvalidOptionError(`Unknown icon style "${style}". Use one of: ${ICON_STYLES.join(', ')}`, { option: 'iconStyle' });
+  }
+  return style;
+}
+
+/**
+ * Turn the `flags`, `size` and `dark` options into browser flags
+ */
+function resolveFlags(options) {
+  const flags = [];
+
+  for (const flag of options.flags || []) {
+    if (!/^--?[a-z0-9]/i.test(flag)) {
+      throw new InvalidOptionError(`"${flag}" is not a browser flag. Flags start with "--", e.g. --lang=de`, { option: 'flags' });
+    }
+    flags.push(flag);
+  }
+
+  if (options.size) {
+    const match = String(options.size).match(/^(\d+)[x,](\d+)$/i);
+    if (!match) {
+      throw new InvalidOptionError(`Invalid size "${options.size}". Use WIDTHxHEIGHT, e.g. 1400x900`, { option: 'size' });
+    }
+    flags.push(`--window-size=${match[1]},${match[2]}`);
+  }
+
+  if (options.dark) {
+    flags.push(DARK_MODE_FLAG);
+  }
+
+  return flags;
+}
+
+/**
+ * Detect a browser, throwing when it isn't installed
+ */
+async function findBrowser(browserId) {
+  const browserInfo = await detectBrowser(browserId);
+  if (!browserInfo.found) {
+    throw new BrowserNotFoundError(browserInfo.error || `Browser "${browserId}" not found on this system.`, { browser: browserId });
+  }
+  return browserInfo;
+}
+
+/**
+ * Fetch the site's page and web app manifest once, for the app's name, start URL, display settings and icon.
+ * Nothing is fetched when the name and icon are given and the manifest is turned off.
+ */
+async function readWebsite(url, options, iconSource, onProgress) {
+  if (options.manifest === false && options.name && iconSource) {
+    return { page: null, webManifest: null };
+  }
+
+  onProgress('Reading website...');
+  const page = await fetchWebPage(url);
+  return { page, webManifest: options.manifest !== false ? page.manifest : null };
+}
+
+/**
+ * Create a desktop web app for a URL.
+ * `onProgress(text)` reports each step and `onBrowser(browser)` the browser that was picked,
+ * including its `note` and `warning`. `system` installs the app for all users, which needs root or
+ * administrator rights, and `desktop` also puts it on the user's desktop.
+ * With `dryRun` nothing is written; `steps` lists what would be.
+ */
+async function createApp(url, options = {}) {
+  const { onProgress = () => {}, onBrowser = () => {} } = options;
+
+  checkUrl(url);
+  const iconSource = resolveIconSource(options.icon);
+  const iconStyle = checkIconStyle(options.iconStyle);
+  const flags = resolveFlags(options);
+
+  if (options.profile && options.isolated) {
+    throw new InvalidOptionError('The profile and isolated options cannot be used together.', { option: 'profile' });
+  }
+  if (options.system && options.isolated) {
+    // An isolated profile lives in one user's home, so other users couldn't open the app
+    throw new InvalidOptionError('Apps installed for all users cannot have an isolated profile.', { option: 'isolated' });
+  }
+  if (options.system && options.desktop) {
+    throw new InvalidOptionError('The desktop option only works for apps installed for the current user, not with system.', { option: 'desktop' });
+  }
+
+  try {
+    onProgress('Detecting browser...');
+    const browser = await findBrowser(options.browser || 'default');
+    onBrowser(browser);
+    onProgress(browser.isDefault ? `Using ${browser.name} (your default browser)...` : `Using ${browser.name}...`);
+
+    // Resolve a named browser profile to its directory
+    let profile = null;
+    if (options.profile) {
+      const resolved = await resolveBrowserProfile(browser.id, options.profile);
+      if (!resolved.success) {
+        throw new InvalidOptionError(resolved.error, { option: 'profile', browser: browser.id });
+      }
+      profile = resolved.profile;
+    }
+
+    const { page, webManifest } = await readWebsite(url, options, iconSource, onProgress);
+    const launchUrl = getLaunchUrl(url, webManifest);
+
+    const appName = options.name || getAppNameFromManifest(webManifest) || await getAppNameFromUrl(url, page.html);
+    onProgress(`Creating "${appName}" web app...`);
+
+    const result = await installWebApp({
+      url,
+      startUrl: launchUrl,
+      appName,
+      browser,
+      isolated: !!options.isolated,
+      profileDirectory: profile ? profile.directory : null,
+      flags,
+      iconSource,
+      iconStyle,
+      webManifest,
+      page,
+      system: !!options.system,
+      desktop: !!options.desktop,
+      dryRun: !!options.dryRun,
+    });
+    if (!result.success) {
+      throwFailure(result);
+    }
+
+    return {
+      app: describeApp(result.app),
+      appPath: result.appPath,
+      launchUrl,
+      browser,
+      profile,
+      note: result.note || null,
+      dryRun: result.dryRun,
+      steps: result.steps,
+    };
+  } catch (error) {
+    throw toWebNestError(error);
+  }
+}
+
+/**
+ * Build a web app's launcher for another platform into `outDir`, from any platform:
+ * a macOS .app bundle, a Windows .lnk with its .ico, or a Linux .desktop file with a hicolor icon set.
+ * Nothing is installed or registered. The launcher starts `browser` (Chrome by default) from its usual
+ * location on `target`, or from `browserPath`. With `dryRun` nothing is written; `steps` lists what would be.
+ */
+async function buildApp(url, options = {}) {
+  const { onProgress = () => {} } = options;
+
+  checkUrl(url);
+  if (!BUILD_TARGETS.includes(options.target)) {
+    throw new InvalidOptionError(`Unknown target "${options.target}". Use one of: ${BUILD_TARGETS.join(', ')}`, { option: 'target' });
+  }
+  if (!options.outDir) {
+    throw new InvalidOptionError('An output directory is needed to build an app.', { option: 'outDir' });
+  }
+  const iconSource = resolveIconSource(options.icon);
+  const iconStyle = checkIconStyle(options.iconStyle);
+  const flags = resolveFlags(options);
+
+  try {
+    const browser = getTargetBrowser(options.browser || 'chrome', options.target, options.browserPath || null);
+    if (!browser.found) {
+      throw new BrowserNotFoundError(browser.error, { browser: options.browser || 'chrome' });
+    }
+
+    const { page, webManifest } = await readWebsite(url, options, iconSource, onProgress);
+    const launchUrl = getLaunchUrl(url, webManifest);
+
+    const appName = options.name || getAppNameFromManifest(webManifest) || await getAppNameFromUrl(url, page.html);
+    onProgress(`Building "${appName}" for ${options.target}...`);
+
+    const result = await buildWebApp({
+      url,
+      startUrl: launchUrl,
+      appName,
+      browser,
+      platform: options.target,
+      outDir: path.resolve(expandHomePath(options.outDir)),
+      flags,
+      iconSource,
+      iconStyle,
+      webManifest,
+      page,
+      dryRun: !!options.dryRun,
+    });
+    if (!result.success) {
+      throwFailure(result);
+    }
+
+    return {
+      name: appName,
+      target: options.target,
+      appPath: result.appPath,
+      iconPath: result.iconPath,
+      launchUrl,
+      browser,
+      note: result.note || null,
+      dryRun: result.dryRun,
+      steps: result.steps,
+    };
+  } catch (error) {
+    throw toWebNestError(error);
+  }
+}
+
+/**
+ * Remove a web app by name.
+ * Without `browser` the name must identify a single app; `all` removes it for every browser.
+ * `system` removes an app installed for all users instead of one of the user's own.
+ * `deleteProfile` also deletes the isolated profile data of removed apps.
+ * With `dryRun` nothing is deleted; each app's `steps` lists what would be.
+ */
+async function removeApp(name, options = {}) {
+  try {
+    const browserIds = options.all
+      ? [...new Set((await findInstalledApps(name, undefined, { system: !!options.system })).map(app => app.browserId))]
+      : [options.browser];
+    if (browserIds.length === 0) {
+      throw new AppNotFoundError(`App "${name}" not found`);
+    }
+
+    const removed = [];
+    const failures = [];
+    for (const browserId of browserIds) {
+      const result = await uninstallWebApp(name, browserId, { system: !!options.system, dryRun: !!options.dryRun });
+      if (!result.success) {
+        failures.push(result);
+        continue;
+      }
+
+      const app = {
+        id: result.id,
+        name,
+        browserName: result.browserName,
+        appPath: result.appPath,
+        desktopPath: result.desktopPath,
+        userDataDir: result.userDataDir,
+        profileDeleted: false,
+        dryRun: result.dryRun,
+        steps: result.steps,
+      };
+      if (result.userDataDir && options.deleteProfile) {
+        if (options.dryRun) {
+          app.steps = [...app.steps, deleteStep(result.userDataDir)];
+        } else {
+          const deleted = await deleteProfile(result.userDataDir);
+          if (!deleted.success) {
+            throw new FileSystemError(deleted.error);
+          }
+          app.profileDeleted = true;
+        }
+      }
+      removed.push(app);
+    }
+
+    if (removed.length === 0) {
+      throwFailure(failures[0]);
+    }
+    return { removed, errors: failures.map(failure => failure.error) };
+  } catch (error) {
+    throw toWebNestError(error);
+  }
+}
+
+/**
+ * Change a web app in place.
+ * `changes` takes url, name, icon, iconStyle, flags (replacing the current ones), addFlags,
+ * removeFlags (by name), size, dark and useBrowser; `browser` picks the app when several share the name.
+ * With `system` an app installed for all users is changed.
+ * With `dryRun` nothing is written; `steps` lists what would be.
+ */
+async function editApp(name, changes = {}, options = {}) {
+  const { onBrowser = () => {} } = options;
+
+  if (changes.url) {
+    checkUrl(changes.url);
+  }
+  const iconSource = changes.icon !== undefined ? resolveIconSource(changes.icon) : undefined;
+  const iconStyle = checkIconStyle(changes.iconStyle);
+  const addFlags = resolveFlags({ ...changes, flags: changes.addFlags });
+  if (changes.flags) {
+    resolveFlags({ flags: changes.flags });
+  }
+
+  try {
+    const edit = {
+      url: changes.url,
+      appName: changes.name,
+      iconSource,
+      iconStyle,
+      flags: changes.flags,
+      addFlags,
+      removeFlags: [...(changes.removeFlags || []), ...(changes.dark === false ? [DARK_MODE_FLAG] : [])],
+    };
+
+    if (changes.useBrowser) {
+      edit.browser = await findBrowser(changes.useBrowser);
+      onBrowser(edit.browser);
+    }
+
+    const result = await editWebApp(name, edit, options.browser, { system: !!options.system, dryRun: !!options.dryRun });
+    if (!result.success) {
+      throwFailure(result);
+    }
+    return {
+      app: describeApp(result.app),
+      appPath: result.appPath,
+      note: result.note || null,
+      dryRun: result.dryRun,
+      steps: result.steps,
+    };
+  } catch (error) {
+    throw toWebNestError(error);
+  }
+}
+
+/**
+ * Open a web app, optionally at a path or URL inside its site.
+ * With `system` an app installed for all users is opened.
+ */
+async function launchApp(name, target, options = {}) {
+  try {
+    const result = await launchWebApp(name, target, options.browser, { system: !!options.system });
+    if (!result.success) {
+      throwFailure(result);
+    }
+    return { app: result.app, url: result.url, command: result.command };
+  } catch (error) {
+    throw toWebNestError(error);
+  }
+}
+
+/**
+ * List the web apps WebNest created, optionally for a single browser
+ */
+async function listApps(options = {}) {
+  try {
+    return await listInstalledApps(options.browser);
+  } catch (error) {
+    throw toWebNestError(error);
+  }
+}
+
+/**
+ * List the browsers WebNest knows about and whether each is installed
+ */
+async function detectBrowsers() {
+  try {
+    return await getSupportedBrowsers();
+  } catch (error) {
+    throw toWebNestError(error);
+  }
+}
+
+/**
+ * Fetch (or generate) a website's icon in a platform's format: .icns, .ico or .png.
+ * `icon` replaces the site's icon with a file or image URL; `name` and `iconStyle` shape
+ * the monogram drawn when the site has none. Without `outDir` a temporary directory is used.
+ */
+async function resolveIcon(url, options = {}) {
+  checkUrl(url);
+  const iconSource = resolveIconSource(options.icon);
+  const iconStyle = checkIconStyle(options.iconStyle);
+
+  try {
+    const outDir = options.outDir
+      ? path.resolve(expandHomePath(options.outDir))
+      : await mkdtempAsync(path.join(os.tmpdir(), 'webnest-icon-'));
+    await mkdirAsync(outDir, { recursive: true });
+
+    const page = iconSource && options.name ? null : await fetchWebPage(url);
+    const appName = options.name || await getAppNameFromUrl(url, page.html);
+    const result = await prepareIcon(url, outDir, options.platform || process.platform, { iconSource, iconStyle, appName, page });
+    if (!result.success) {
+      throw new IconError(result.error, { icon: iconSource });
+    }
+    return { path: result.path, generated: !!result.generated };
+  } catch (error) {
+    throw toWebNestError(error);
+  }
+}
+
+module.exports = {
+  createApp,
+  buildApp,
+  removeApp,
+  editApp,
+  launchApp,
+  listApps,
+  detectBrowsers,
+  resolveIcon,
+  describePlan,
+  DARK_MODE_FLAG,
+  BUILD_TARGETS,
+  WebNestError,
+  InvalidUrlError,
+  InvalidOptionError,
+  BrowserNotFoundError,
+  AppNotFoundError,
+  AmbiguousAppError,
+  IconError,
+  FileSystemError,
+  PermissionDeniedError,
+  EXIT_CODES,
+  getExitCode,
+};
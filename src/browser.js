@@ -1,11 +1,28 @@
 const fs = require('fs');
 const path = require('path');
-const { exec } = require('child_process');
+const { exec, execFile } = require('child_process');
 const { promisify } = require('util');
 
 const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
+const readFileAsync = promisify(fs.readFile);
+const readdirAsync = promisify(fs.readdir);
+const realpathAsync = promisify(fs.realpath);
 
-// Browser configurations for each platform
+// Pseudo browser id that resolves to the operating system's default browser
+const DEFAULT_BROWSER_ID = 'default';
+
+// Chromium releases older than this are out of support, and may not honour
+// the app window and profile flags WebNest's launchers pass
+const MIN_CHROMIUM_VERSION = 100;
+
+// Windows folders the browser paths below live in. Outside Windows they stay as
+// %VARIABLES%, so launchers built for Windows machines resolve them there.
+const LOCAL_APP_DATA = process.env.LOCALAPPDATA || '%LOCALAPPDATA%';
+const APP_DATA = process.env.APPDATA || '%APPDATA%';
+
+// Browser configurations for each platform.
+// `channels` are parallel installs of the same browser, picked with e.g. "chrome:beta".
 const BROWSER_CONFIGS = {
   chrome: {
     name: 'Google Chrome',
@@ -17,22 +34,83 @@ const BROWSER_CONFIGS = {
       win32: [
         'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe',
         'C:\\Program Files (x86)\\Google\\Chrome\\Application\\chrome.exe',
-        `${process.env.LOCALAPPDATA}\\Google\\Chrome\\Application\\chrome.exe`,
+        `${LOCAL_APP_DATA}\\Google\\Chrome\\Application\\chrome.exe`,
       ],
       linux: [
         '/usr/bin/google-chrome',
         '/usr/bin/google-chrome-stable',
-        '/snap/bin/chromium',
         '/usr/bin/chromium',
         '/usr/bin/chromium-browser',
       ],
     },
     appFlag: '--app=',
+    flatpak: 'com.google.Chrome',
     profileDir: {
       darwin: '~/Library/Application Support/Google/Chrome',
-      win32: `${process.env.LOCALAPPDATA}\\Google\\Chrome\\User Data`,
+      win32: `${LOCAL_APP_DATA}\\Google\\Chrome\\User Data`,
       linux: '~/.config/google-chrome',
     },
+    minVersion: MIN_CHROMIUM_VERSION,
+    channels: {
+      beta: {
+        name: 'Google Chrome Beta',
+        paths: {
+          darwin: ['/Applications/Google Chrome Beta.app/Contents/MacOS/Google Chrome Beta'],
+          win32: [
+            'C:\\Program Files\\Google\\Chrome Beta\\Application\\chrome.exe',
+            `${LOCAL_APP_DATA}\\Google\\Chrome Beta\\Application\\chrome.exe`,
+          ],
+          linux: ['/usr/bin/google-chrome-beta', '/opt/google/chrome-beta/chrome'],
+        },
+        profileDir: {
+          darwin: '~/Library/Application Support/Google/Chrome Beta',
+          win32: `${LOCAL_APP_DATA}\\Google\\Chrome Beta\\User Data`,
+          linux: '~/.config/google-chrome-beta',
+        },
+        appsDir: {
+          darwin: '~/Applications/Chrome Beta Apps.localized',
+          win32: `${APP_DATA}\\Microsoft\\Windows\\Start Menu\\Programs\\Chrome Beta Apps`,
+        },
+      },
+      dev: {
+        name: 'Google Chrome Dev',
+        paths: {
+          darwin: ['/Applications/Google Chrome Dev.app/Contents/MacOS/Google Chrome Dev'],
+          win32: [
+            'C:\\Program Files\\Google\\Chrome Dev\\Application\\chrome.exe',
+            `${LOCAL_APP_DATA}\\Google\\Chrome Dev\\Application\\chrome.exe`,
+          ],
+          linux: ['/usr/bin/google-chrome-unstable', '/opt/google/chrome-unstable/chrome'],
+        },
+        profileDir: {
+          darwin: '~/Library/Application Support/Google/Chrome Dev',
+          win32: `${LOCAL_APP_DATA}\\Google\\Chrome Dev\\User Data`,
+          linux: '~/.config/google-chrome-unstable',
+        },
+        appsDir: {
+          darwin: '~/Applications/Chrome Dev Apps.localized',
+          win32: `${APP_DATA}\\Microsoft\\Windows\\Start Menu\\Programs\\Chrome Dev Apps`,
+        },
+        flatpak: 'com.google.ChromeDev',
+      },
+      canary: {
+        name: 'Google Chrome Canary',
+        paths: {
+          darwin: ['/Applications/Google Chrome Canary.app/Contents/MacOS/Google Chrome Canary'],
+          win32: [`${LOCAL_APP_DATA}\\Google\\Chrome SxS\\Application\\chrome.exe`],
+          linux: ['/usr/bin/google-chrome-canary', '/opt/google/chrome-canary/chrome'],
+        },
+        profileDir: {
+          darwin: '~/Library/Application Support/Google/Chrome Canary',
+          win32: `${LOCAL_APP_DATA}\\Google\\Chrome SxS\\User Data`,
+          linux: '~/.config/google-chrome-canary',
+        },
+        appsDir: {
+          darwin: '~/Applications/Chrome Canary Apps.localized',
+          win32: `${APP_DATA}\\Microsoft\\Windows\\Start Menu\\Programs\\Chrome Canary Apps`,
+        },
+      },
+    },
   },
   edge: {
     name: 'Microsoft Edge',
@@ -44,7 +122,7 @@ const BROWSER_CONFIGS = {
       win32: [
         'C:\\Program Files\\Microsoft\\Edge\\Application\\msedge.exe',
         'C:\\Program Files (x86)\\Microsoft\\Edge\\Application\\msedge.exe',
-        `${process.env.LOCALAPPDATA}\\Microsoft\\Edge\\Application\\msedge.exe`,
+        `${LOCAL_APP_DATA}\\Microsoft\\Edge\\Application\\msedge.exe`,
       ],
       linux: [
         '/usr/bin/microsoft-edge',
@@ -53,11 +131,58 @@ const BROWSER_CONFIGS = {
       ],
     },
     appFlag: '--app=',
+    flatpak: 'com.microsoft.Edge',
     profileDir: {
       darwin: '~/Library/Application Support/Microsoft Edge',
-      win32: `${process.env.LOCALAPPDATA}\\Microsoft\\Edge\\User Data`,
+      win32: `${LOCAL_APP_DATA}\\Microsoft\\Edge\\User Data`,
       linux: '~/.config/microsoft-edge',
     },
+    minVersion: MIN_CHROMIUM_VERSION,
+    channels: {
+      beta: {
+        name: 'Microsoft Edge Beta',
+        paths: {
+          darwin: ['/Applications/Microsoft Edge Beta.app/Contents/MacOS/Microsoft Edge Beta'],
+          win32: [
+            'C:\\Program Files (x86)\\Microsoft\\Edge Beta\\Application\\msedge.exe',
+            'C:\\Program Files\\Microsoft\\Edge Beta\\Application\\msedge.exe',
+          ],
+          linux: ['/usr/bin/microsoft-edge-beta', '/opt/microsoft/msedge-beta/msedge'],
+        },
+        profileDir: {
+          darwin: '~/Library/Application Support/Microsoft Edge Beta',
+          win32: `${LOCAL_APP_DATA}\\Microsoft\\Edge Beta\\User Data`,
+          linux: '~/.config/microsoft-edge-beta',
+        },
+      },
+      dev: {
+        name: 'Microsoft Edge Dev',
+        paths: {
+          darwin: ['/Applications/Microsoft Edge Dev.app/Contents/MacOS/Microsoft Edge Dev'],
+          win32: [
+            'C:\\Program Files (x86)\\Microsoft\\Edge Dev\\Application\\msedge.exe',
+            'C:\\Program Files\\Microsoft\\Edge Dev\\Application\\msedge.exe',
+          ],
+          linux: ['/usr/bin/microsoft-edge-dev', '/opt/microsoft/msedge-dev/msedge'],
+        },
+        profileDir: {
+          darwin: '~/Library/Application Support/Microsoft Edge Dev',
+          win32: `${LOCAL_APP_DATA}\\Microsoft\\Edge Dev\\User Data`,
+          linux: '~/.config/microsoft-edge-dev',
+        },
+      },
+      canary: {
+        name: 'Microsoft Edge Canary',
+        paths: {
+          darwin: ['/Applications/Microsoft Edge Canary.app/Contents/MacOS/Microsoft Edge Canary'],
+          win32: [`${LOCAL_APP_DATA}\\Microsoft\\Edge SxS\\Application\\msedge.exe`],
+        },
+        profileDir: {
+          darwin: '~/Library/Application Support/Microsoft Edge Canary',
+          win32: `${LOCAL_APP_DATA}\\Microsoft\\Edge SxS\\User Data`,
+        },
+      },
+    },
   },
   brave: {
     name: 'Brave Browser',
@@ -69,21 +194,56 @@ const BROWSER_CONFIGS = {
       win32: [
         'C:\\Program Files\\BraveSoftware\\Brave-Browser\\Application\\brave.exe',
         'C:\\Program Files (x86)\\BraveSoftware\\Brave-Browser\\Application\\brave.exe',
-        `${process.env.LOCALAPPDATA}\\BraveSoftware\\Brave-Browser\\Application\\brave.exe`,
+        `${LOCAL_APP_DATA}\\BraveSoftware\\Brave-Browser\\Application\\brave.exe`,
       ],
       linux: [
         '/usr/bin/brave',
         '/usr/bin/brave-browser',
-        '/snap/bin/brave',
         '/opt/brave.com/brave/brave',
       ],
     },
     appFlag: '--app=',
+    flatpak: 'com.brave.Browser',
+    snap: 'brave',
     profileDir: {
       darwin: '~/Library/Application Support/BraveSoftware/Brave-Browser',
-      win32: `${process.env.LOCALAPPDATA}\\BraveSoftware\\Brave-Browser\\User Data`,
+      win32: `${LOCAL_APP_DATA}\\BraveSoftware\\Brave-Browser\\User Data`,
       linux: '~/.config/BraveSoftware/Brave-Browser',
     },
+    channels: {
+      beta: {
+        name: 'Brave Browser Beta',
+        paths: {
+          darwin: ['/Applications/Brave Browser Beta.app/Contents/MacOS/Brave Browser Beta'],
+          win32: [
+            'C:\\Program Files\\BraveSoftware\\Brave-Browser-Beta\\Application\\brave.exe',
+            `${LOCAL_APP_DATA}\\BraveSoftware\\Brave-Browser-Beta\\Application\\brave.exe`,
+          ],
+          linux: ['/usr/bin/brave-browser-beta', '/opt/brave.com/brave-beta/brave'],
+        },
+        profileDir: {
+          darwin: '~/Library/Application Support/BraveSoftware/Brave-Browser-Beta',
+          win32: `${LOCAL_APP_DATA}\\BraveSoftware\\Brave-Browser-Beta\\User Data`,
+          linux: '~/.config/BraveSoftware/Brave-Browser-Beta',
+        },
+      },
+      nightly: {
+        name: 'Brave Browser Nightly',
+        paths: {
+          darwin: ['/Applications/Brave Browser Nightly.app/Contents/MacOS/Brave Browser Nightly'],
+          win32: [
+            'C:\\Program Files\\BraveSoftware\\Brave-Browser-Nightly\\Application\\brave.exe',
+            `${LOCAL_APP_DATA}\\BraveSoftware\\Brave-Browser-Nightly\\Application\\brave.exe`,
+          ],
+          linux: ['/usr/bin/brave-browser-nightly', '/opt/brave.com/brave-nightly/brave'],
+        },
+        profileDir: {
+          darwin: '~/Library/Application Support/BraveSoftware/Brave-Browser-Nightly',
+          win32: `${LOCAL_APP_DATA}\\BraveSoftware\\Brave-Browser-Nightly\\User Data`,
+          linux: '~/.config/BraveSoftware/Brave-Browser-Nightly',
+        },
+      },
+    },
   },
   chromium: {
     name: 'Chromium',
@@ -94,20 +254,24 @@ const BROWSER_CONFIGS = {
       ],
       win32: [
         'C:\\Program Files\\Chromium\\Application\\chrome.exe',
-        `${process.env.LOCALAPPDATA}\\Chromium\\Application\\chrome.exe`,
+        `${LOCAL_APP_DATA}\\Chromium\\Application\\chrome.exe`,
       ],
       linux: [
         '/usr/bin/chromium',
         '/usr/bin/chromium-browser',
-        '/snap/bin/chromium',
       ],
     },
     appFlag: '--app=',
+    flatpak: 'org.chromium.Chromium',
+    snap: 'chromium',
+    // The Chromium snap keeps its profile outside the snap's versioned home
+    snapProfileDir: '~/snap/chromium/common/chromium',
     profileDir: {
       darwin: '~/Library/Application Support/Chromium',
-      win32: `${process.env.LOCALAPPDATA}\\Chromium\\User Data`,
+      win32: `${LOCAL_APP_DATA}\\Chromium\\User Data`,
       linux: '~/.config/chromium',
     },
+    minVersion: MIN_CHROMIUM_VERSION,
   },
   comet: {
     name: 'Comet Browser',
@@ -120,21 +284,21 @@ const BROWSER_CONFIGS = {
       win32: [
         'C:\\Program Files\\Comet\\Application\\comet.exe',
         'C:\\Program Files (x86)\\Comet\\Application\\comet.exe',
-        `${process.env.LOCALAPPDATA}\\Comet\\Application\\comet.exe`,
+        `${LOCAL_APP_DATA}\\Comet\\Application\\comet.exe`,
         'C:\\Program Files\\Comet Browser\\Application\\comet.exe',
-        `${process.env.LOCALAPPDATA}\\Comet Browser\\Application\\comet.exe`,
+        `${LOCAL_APP_DATA}\\Comet Browser\\Application\\comet.exe`,
       ],
       linux: [
         '/usr/bin/comet',
         '/usr/bin/comet-browser',
         '/opt/comet/comet',
-        '/snap/bin/comet',
       ],
     },
     appFlag: '--app=',
+    snap: 'comet',
     profileDir: {
       darwin: '~/Library/Application Support/Comet',
-      win32: `${process.env.LOCALAPPDATA}\\Comet\\User Data`,
+      win32: `${LOCAL_APP_DATA}\\Comet\\User Data`,
       linux: '~/.config/comet',
     },
   },
@@ -149,21 +313,21 @@ const BROWSER_CONFIGS = {
       win32: [
         'C:\\Program Files\\Atlas\\Application\\atlas.exe',
         'C:\\Program Files (x86)\\Atlas\\Application\\atlas.exe',
-        `${process.env.LOCALAPPDATA}\\Atlas\\Application\\atlas.exe`,
+        `${LOCAL_APP_DATA}\\Atlas\\Application\\atlas.exe`,
         'C:\\Program Files\\Atlas Browser\\Application\\atlas.exe',
-        `${process.env.LOCALAPPDATA}\\Atlas Browser\\Application\\atlas.exe`,
+        `${LOCAL_APP_DATA}\\Atlas Browser\\Application\\atlas.exe`,
       ],
       linux: [
         '/usr/bin/atlas',
         '/usr/bin/atlas-browser',
         '/opt/atlas/atlas',
-        '/snap/bin/atlas',
       ],
     },
     appFlag: '--app=',
+    snap: 'atlas',
     profileDir: {
       darwin: '~/Library/Application Support/Atlas',
-      win32: `${process.env.LOCALAPPDATA}\\Atlas\\User Data`,
+      win32: `${LOCAL_APP_DATA}\\Atlas\\User Data`,
       linux: '~/.config/atlas',
     },
   },
@@ -179,6 +343,287 @@ function expandHomePath(filepath) {
   return filepath;
 }
 
+// Platforms a browsers.json entry can give paths for
+const PLATFORMS = ['darwin', 'win32', 'linux'];
+
+let customBrowsersCache = null;
+
+// Browsers found by scanning the system, once discovery has run
+let discoveredBrowsers = null;
+let discoveryPromise = null;
+
+/**
+ * Expand %VAR% and ${VAR} environment variables in a browsers.json path
+ */
+function expandVariables(value) {
+  return value.replace(/%([A-Za-z0-9_]+)%|\$\{([A-Za-z0-9_]+)\}/g, (match, win, posix) => {
+    const resolved = process.env[win || posix];
+    return resolved === undefined ? match : resolved;
+  });
+}
+
+/**
+ * Get the path of the user's browsers.json file
+ */
+function getBrowsersConfigPath() {
+  // Required lazily: the registry depends on this module
+  const { getConfigDirectory } = require('./registry');
+  return path.join(getConfigDirectory(), 'browsers.json');
+}
+
+/**
+ * Read a per-platform value from a browsers.json entry.
+ * A plain value (not an object keyed by platform) applies to every platform.
+ */
+function platformValues(value, field, label, asList) {
+  if (value === undefined || value === null) {
+    return {};
+  }
+
+  const check = (v) => {
+    const list = asList && !Array.isArray(v) ? [v] : v;
+    const valid = asList ? list.every(item => typeof item === 'string' && item) : typeof v === 'string' && v;
+    if (!valid) {
+      throw new Error(`${label}: "${field}" must be ${asList ? 'a path or list of paths' : 'a string'}`);
+    }
+    return asList ? list.map(expandVariables) : expandVariables(list);
+  };
+
+  if (typeof value === 'object' && !Array.isArray(value)) {
+    const result = {};
+    for (const [platform, v] of Object.entries(value)) {
+      if (!PLATFORMS.includes(platform)) {
+        throw new Error(`${label}: unknown platform "${platform}" in "${field}" (use ${PLATFORMS.join(', ')})`);
+      }
+      result[platform] = check(v);
+    }
+    return result;
+  }
+
+  const shared = check(value);
+  return Object.fromEntries(PLATFORMS.map(platform => [platform, shared]));
+}
+
+/**
+ * Check one browser declared in browsers.json
+ */
+function normalizeCustomBrowser(entry, index) {
+  const label = entry && entry.id ? `Browser "${entry.id}"` : `Browser #${index + 1}`;
+
+  if (!entry || typeof entry !== 'object') {
+    throw new Error(`${label} must be an object`);
+  }
+  if (typeof entry.id !== 'string' || !/^[a-z0-9][a-z0-9._-]*$/i.test(entry.id)) {
+    throw new Error(`${label} needs an id made of letters, digits, ".", "_" or "-"`);
+  }
+
+  const id = entry.id.toLowerCase();
+  if (!BROWSER_CONFIGS[id] && (typeof entry.name !== 'string' || !entry.name)) {
+    throw new Error(`${label} needs a name`);
+  }
+  if (entry.appFlag !== undefined && (typeof entry.appFlag !== 'string' || !entry.appFlag.startsWith('-'))) {
+    throw new Error(`${label}: "appFlag" must be a flag such as "--app="`);
+  }
+  if (entry.flatpak !== undefined && (typeof entry.flatpak !== 'string' || !/^[\w-]+(\.[\w-]+){2,}$/.test(entry.flatpak))) {
+    throw new Error(`${label}: "flatpak" must be a Flatpak app id such as "com.vivaldi.Vivaldi"`);
+  }
+  if (entry.snap !== undefined && (typeof entry.snap !== 'string' || !/^[a-z0-9-]+$/.test(entry.snap))) {
+    throw new Error(`${label}: "snap" must be a snap name such as "vivaldi"`);
+  }
+
+  return {
+    id,
+    name: entry.name || null,
+    paths: platformValues(entry.paths, 'paths', label, true),
+    appFlag: entry.appFlag || null,
+    flatpak: entry.flatpak || null,
+    snap: entry.snap || null,
+    profileDir: platformValues(entry.profileDir, 'profileDir', label, false),
+    appsDir: platformValues(entry.appsDir, 'appsDir', label, false),
+  };
+}
+
+/**
+ * Load the browsers declared in browsers.json.
+ * The file holds a list of browsers, either on its own or under a "browsers" key.
+ */
+function loadCustomBrowsers() {
+  const configPath = getBrowsersConfigPath();
+  if (customBrowsersCache && customBrowsersCache.path === configPath) {
+    return customBrowsersCache.browsers;
+  }
+
+  let contents;
+  try {
+    contents = fs.readFileSync(configPath, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Failed to read ${configPath}: ${error.message}`);
+    }
+    customBrowsersCache = { path: configPath, browsers: [] };
+    return [];
+  }
+
+  let browsers;
+  try {
+    const parsed = JSON.parse(contents);
+    const list = Array.isArray(parsed) ? parsed : parsed && parsed.browsers;
+    if (!Array.isArray(list)) {
+      throw new Error('expected a list of browsers');
+    }
+    browsers = list.map(normalizeCustomBrowser);
+  } catch (error) {
+    throw new Error(`Invalid browsers config ${configPath}: ${error.message}`);
+  }
+
+  customBrowsersCache = { path: configPath, browsers };
+  return browsers;
+}
+
+/**
+ * Get every known browser: the built-in ones plus those from browsers.json.
+ * An entry reusing a built-in id adds its paths in front of the built-in ones
+ * and overrides the other fields it sets.
+ */
+function getBrowserConfigs() {
+  const configs = { ...BROWSER_CONFIGS };
+
+  for (const custom of loadCustomBrowsers()) {
+    const base = configs[custom.id];
+    const paths = {};
+    for (const platform of PLATFORMS) {
+      paths[platform] = [
+        ...(custom.paths[platform] || []),
+        ...((base && base.paths[platform]) || []),
+      ];
+    }
+
+    configs[custom.id] = {
+      ...base,
+      name: custom.name || base.name,
+      id: custom.id,
+      paths,
+      appFlag: custom.appFlag || (base && base.appFlag) || '--app=',
+      flatpak: custom.flatpak || (base && base.flatpak) || null,
+      snap: custom.snap || (base && base.snap) || null,
+      profileDir: { ...(base && base.profileDir), ...custom.profileDir },
+      appsDir: { ...(base && base.appsDir), ...custom.appsDir },
+      custom: !base,
+    };
+  }
+
+  for (const discovered of discoveredBrowsers || []) {
+    if (!configs[discovered.id]) {
+      configs[discovered.id] = discovered;
+    }
+  }
+
+  return configs;
+}
+
+/**
+ * Scan the system for Chromium-based browsers WebNest doesn't know about.
+ * The scan runs once; afterwards the browsers it found are part of getBrowserConfigs().
+ */
+function discoverBrowsers() {
+  if (!discoveryPromise) {
+    // Required lazily: the discovery module depends on this one
+    const { discoverBrowsers: scanForBrowsers } = require('./discover');
+    discoveryPromise = scanForBrowsers(getBrowserConfigs())
+      .catch(() => [])
+      .then((browsers) => {
+        discoveredBrowsers = browsers;
+        return browsers;
+      });
+  }
+  return discoveryPromise;
+}
+
+/**
+ * Get the configuration of one of a browser's channels.
+ * A channel is installed side by side with the browser, so it only inherits the launch settings.
+ */
+function getChannelConfig(config, channel) {
+  const channelConfig = config.channels && config.channels[channel];
+  if (!channelConfig) {
+    return null;
+  }
+
+  return {
+    ...config,
+    flatpak: null,
+    snap: null,
+    snapProfileDir: null,
+    appsDir: {},
+    ...channelConfig,
+    id: `${config.id}:${channel}`,
+    baseId: config.id,
+    channel,
+    channels: null,
+    custom: false,
+  };
+}
+
+/**
+ * Get the configuration of one browser by id, or null if it is unknown.
+ * "<browser>:<channel>" (e.g. "chrome:beta") picks one of the browser's channels.
+ */
+function getBrowserConfig(browserId) {
+  const [baseId, channel] = String(browserId).toLowerCase().split(':', 2);
+  const config = getBrowserConfigs()[baseId] || null;
+  if (!config || !channel || channel === 'stable') {
+    return config;
+  }
+  return getChannelConfig(config, channel);
+}
+
+/**
+ * Describe a browser as it is installed on another machine, for launchers built for that machine.
+ * The browser is taken to be at the first of its usual paths on `platform` unless `browserPath` is given.
+ */
+function getTargetBrowser(browserId, platform, browserPath = null) {
+  const browserConfig = getBrowserConfig(browserId);
+
+  if (!browserConfig) {
+    return {
+      found: false,
+      error: `Unknown browser: ${browserId}. Supported browsers: ${getBrowserIds().join(', ')}`,
+    };
+  }
+
+  const targetPath = browserPath || (browserConfig.paths[platform] || [])[0];
+  if (!targetPath) {
+    return {
+      found: false,
+      error: `No known location for ${browserConfig.name} on ${platform}. Give it with --browser-path.`,
+    };
+  }
+
+  return {
+    found: true,
+    name: browserConfig.name,
+    id: browserConfig.id,
+    path: targetPath,
+    appFlag: browserConfig.appFlag,
+    profileDir: null,
+    sandbox: null,
+    flatpakId: null,
+    version: null,
+    warning: null,
+  };
+}
+
+/**
+ * List every browser id --browser accepts, channels included
+ */
+function getBrowserIds() {
+  const ids = [];
+  for (const config of Object.values(getBrowserConfigs())) {
+    ids.push(config.id, ...Object.keys(config.channels || {}).map(channel => `${config.id}:${channel}`));
+  }
+  return ids;
+}
+
 /**
  * Check if a browser exists at the given path
  */
@@ -205,7 +650,10 @@ async function findBrowserPath(browserConfig) {
     }
   }
 
-  // Try using 'which' or 'where' command as fallback
+  // Try using 'which' or 'where' command as fallback (channels only live at their own paths)
+  if (browserConfig.channel) {
+    return null;
+  }
   try {
     const cmd = platform === 'win32' ? 'where' : 'which';
     const searchName = browserConfig.id === 'chrome' ? 'google-chrome' : browserConfig.id;
@@ -223,30 +671,293 @@ async function findBrowserPath(browserConfig) {
   return null;
 }
 
+// Where snapd links the commands of installed snaps
+const SNAP_BIN_DIRS = ['/snap/bin', '/var/lib/snapd/snap/bin'];
+
+let flatpakAppsPromise = null;
+
+/**
+ * List the ids of installed Flatpak apps (user and system), or none without Flatpak
+ */
+function listFlatpakApps() {
+  if (!flatpakAppsPromise) {
+    flatpakAppsPromise = execAsync('flatpak list --app --columns=application', { timeout: 10000 })
+      .then(({ stdout }) => stdout.split('\n').map(line => line.trim()).filter(Boolean))
+      .catch(() => []);
+  }
+  return flatpakAppsPromise;
+}
+
+/**
+ * Get the snap a command belongs to when it is one of snapd's launchers
+ */
+function snapNameFromPath(browserPath) {
+  return SNAP_BIN_DIRS.includes(path.dirname(browserPath)) ? path.basename(browserPath) : null;
+}
+
+/**
+ * Work out where a sandboxed browser keeps its profiles.
+ * Flatpak apps get their own XDG directories under ~/.var/app, snaps a home under ~/snap.
+ */
+function getSandboxedProfileDir(browserConfig, sandbox, name) {
+  if (sandbox === 'snap' && browserConfig.snapProfileDir) {
+    return expandHomePath(browserConfig.snapProfileDir);
+  }
+
+  const profileDir = browserConfig.profileDir.linux;
+  if (!profileDir || !profileDir.startsWith('~/')) {
+    return expandHomePath(profileDir || '');
+  }
+
+  if (sandbox === 'flatpak') {
+    const relative = profileDir.startsWith('~/.config/')
+      ? path.join('config', profileDir.slice('~/.config/'.length))
+      : profileDir.slice(2);
+    return expandHomePath(path.join('~/.var/app', name, relative));
+  }
+  return expandHomePath(path.join('~/snap', name, 'current', profileDir.slice(2)));
+}
+
+/**
+ * Find how a browser is installed: a regular executable, a snap or a Flatpak app.
+ * Regular installs win, and Flatpak apps are started through `flatpak run`.
+ */
+async function findBrowserInstall(browserConfig) {
+  const browserPath = await findBrowserPath(browserConfig);
+  if (browserPath) {
+    const snapName = snapNameFromPath(browserPath);
+    return {
+      path: browserPath,
+      sandbox: snapName ? 'snap' : null,
+      flatpakId: null,
+      profileDir: snapName
+        ? getSandboxedProfileDir(browserConfig, 'snap', snapName)
+        : expandHomePath(browserConfig.profileDir[process.platform] || ''),
+    };
+  }
+
+  if (process.platform !== 'linux') {
+    return null;
+  }
+
+  if (browserConfig.snap) {
+    for (const dir of SNAP_BIN_DIRS) {
+      const snapPath = path.join(dir, browserConfig.snap);
+      if (await browserExists(snapPath)) {
+        return {
+          path: snapPath,
+          sandbox: 'snap',
+          flatpakId: null,
+          profileDir: getSandboxedProfileDir(browserConfig, 'snap', browserConfig.snap),
+        };
+      }
+    }
+  }
+
+  if (browserConfig.flatpak && (await listFlatpakApps()).includes(browserConfig.flatpak)) {
+    try {
+      const { stdout } = await execAsync('which flatpak');
+      const flatpakPath = stdout.trim().split('\n')[0];
+      if (flatpakPath) {
+        return {
+          path: flatpakPath,
+          sandbox: 'flatpak',
+          flatpakId: browserConfig.flatpak,
+          profileDir: getSandboxedProfileDir(browserConfig, 'flatpak', browserConfig.flatpak),
+        };
+      }
+    } catch {
+      // flatpak listed the app but isn't on the PATH
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Read a browser's version: from the app bundle's Info.plist on macOS, the
+ * version-numbered folder next to the executable on Windows, `flatpak info`
+ * for Flatpak apps and `--version` otherwise
+ */
+async function getBrowserVersion(install) {
+  const pickVersion = (text) => {
+    const match = String(text || '').match(/\d+(\.\d+)+/);
+    return match ? match[0] : null;
+  };
+
+  try {
+    if (install.sandbox === 'flatpak') {
+      const { stdout } = await execAsync(`flatpak info ${install.flatpakId}`, { timeout: 10000 });
+      const match = stdout.match(/^\s*Version:\s*(\S+)/m);
+      return match ? pickVersion(match[1]) : null;
+    }
+
+    switch (process.platform) {
+      case 'darwin': {
+        const plistPath = path.join(path.dirname(path.dirname(install.path)), 'Info.plist');
+        const plist = await readFileAsync(plistPath, 'utf8');
+        const match = plist.match(/<key>CFBundleShortVersionString<\/key>\s*<string>([^<]*)<\/string>/);
+        if (match) {
+          return pickVersion(match[1]);
+        }
+        // Binary property lists need plutil to read
+        const { stdout } = await execAsync(`plutil -extract CFBundleShortVersionString raw -o - "${plistPath}"`, { timeout: 5000 });
+        return pickVersion(stdout);
+      }
+
+      case 'win32': {
+        // Chromium's Windows executables don't print their version
+        const entries = await readdirAsync(path.dirname(install.path));
+        const versions = entries.filter(name => /^\d+(\.\d+)+$/.test(name));
+        versions.sort((a, b) => b.localeCompare(a, undefined, { numeric: true }));
+        return versions[0] || null;
+      }
+
+      default: {
+        const { stdout } = await execFileAsync(install.path, ['--version'], { timeout: 10000 });
+        return pickVersion(stdout);
+      }
+    }
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Warn when a browser is older than the oldest release WebNest's launch flags work with
+ */
+function getVersionWarning(browserConfig, version) {
+  if (!browserConfig.minVersion || !version) {
+    return null;
+  }
+
+  const major = parseInt(version, 10);
+  if (major >= browserConfig.minVersion) {
+    return null;
+  }
+  return `${browserConfig.name} ${version} is older than version ${browserConfig.minVersion}, ` +
+    'and may not open apps in their own window. Update it for the best results.';
+}
+
+/**
+ * Check whether two paths lead to the same file
+ */
+async function isSameFile(first, second) {
+  try {
+    const [a, b] = await Promise.all([realpathAsync(first), realpathAsync(second)]);
+    return process.platform === 'win32' ? a.toLowerCase() === b.toLowerCase() : a === b;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Detect the operating system's default browser.
+ * When it isn't a Chromium-based browser WebNest knows, the first available
+ * one is used instead and the result carries a note saying so.
+ */
+async function detectDefaultBrowser() {
+  // Required lazily: the discovery module depends on this one
+  const { findDefaultBrowser } = require('./discover');
+  await discoverBrowsers();
+
+  // Stable releases come before channels, both in config order
+  const configs = Object.values(getBrowserConfigs());
+  const candidates = [
+    ...configs,
+    ...configs.flatMap(config => Object.keys(config.channels || {}).map(channel => getChannelConfig(config, channel))),
+  ];
+
+  const installed = [];
+  for (const config of candidates) {
+    const install = await findBrowserInstall(config);
+    if (install) {
+      installed.push({ config, install });
+    }
+  }
+
+  const system = await findDefaultBrowser();
+  if (system) {
+    const matches = [];
+    for (const candidate of installed) {
+      const { install } = candidate;
+      let matched;
+      if (system.flatpakId) {
+        matched = install.flatpakId === system.flatpakId;
+      } else if (system.appPath) {
+        matched = install.path.startsWith(`${system.appPath}/`);
+      } else {
+        matched = !!system.executable && !install.flatpakId && await isSameFile(system.executable, install.path);
+      }
+      if (matched) {
+        matches.push(candidate);
+      }
+    }
+
+    // Several configs can list the same executable; the one listing it first owns it
+    const rank = ({ config, install }) => {
+      const index = (config.paths[process.platform] || []).indexOf(install.path);
+      return index === -1 ? Infinity : index;
+    };
+    matches.sort((a, b) => rank(a) - rank(b));
+
+    if (matches.length > 0) {
+      return { ...(await detectBrowser(matches[0].config.id)), isDefault: true };
+    }
+  }
+
+  if (installed.length === 0) {
+    return {
+      found: false,
+      error: 'No Chromium-based browser found. Install Chrome, Edge, Brave or Chromium, or pick one with --browser.',
+    };
+  }
+
+  const fallback = await detectBrowser(installed[0].config.id);
+  return {
+    ...fallback,
+    note: system
+      ? `Your default browser (${system.name}) isn't a supported Chromium-based browser, so ${fallback.name} is used. Pick another with --browser.`
+      : `Couldn't determine your default browser, so ${fallback.name} is used. Pick another with --browser.`,
+  };
+}
+
 /**
  * Detect if a specific browser is installed
  */
 async function detectBrowser(browserId) {
-  const browserKey = browserId.toLowerCase();
-  const browserConfig = BROWSER_CONFIGS[browserKey];
+  if (String(browserId).toLowerCase() === DEFAULT_BROWSER_ID) {
+    return detectDefaultBrowser();
+  }
+
+  if (!getBrowserConfig(browserId)) {
+    await discoverBrowsers();
+  }
+
+  const browserConfig = getBrowserConfig(browserId);
 
   if (!browserConfig) {
     return {
       found: false,
-      error: `Unknown browser: ${browserId}. Supported browsers: ${Object.keys(BROWSER_CONFIGS).join(', ')}`,
+      error: `Unknown browser: ${browserId}. Supported browsers: ${getBrowserIds().join(', ')}`,
     };
   }
 
-  const browserPath = await findBrowserPath(browserConfig);
+  const install = await findBrowserInstall(browserConfig);
 
-  if (browserPath) {
+  if (install) {
+    const version = await getBrowserVersion(install);
     return {
       found: true,
       name: browserConfig.name,
       id: browserConfig.id,
-      path: browserPath,
+      path: install.path,
       appFlag: browserConfig.appFlag,
-      profileDir: expandHomePath(browserConfig.profileDir[process.platform] || ''),
+      profileDir: install.profileDir,
+      sandbox: install.sandbox,
+      flatpakId: install.flatpakId,
+      version,
+      warning: getVersionWarning(browserConfig, version),
     };
   }
 
@@ -262,23 +973,136 @@ async function detectBrowser(browserId) {
  */
 async function getSupportedBrowsers() {
   const browsers = [];
+  await discoverBrowsers();
 
-  for (const [id, config] of Object.entries(BROWSER_CONFIGS)) {
-    const browserPath = await findBrowserPath(config);
-    browsers.push({
-      id,
-      name: config.name,
-      available: !!browserPath,
-      path: browserPath || null,
-    });
+  for (const config of Object.values(getBrowserConfigs())) {
+    // Channels are only listed when they are installed
+    const channels = Object.keys(config.channels || {}).map(channel => getChannelConfig(config, channel));
+
+    for (const browserConfig of [config, ...channels]) {
+      const install = await findBrowserInstall(browserConfig);
+      if (!install && browserConfig.channel) {
+        continue;
+      }
+
+      const version = install ? await getBrowserVersion(install) : null;
+      browsers.push({
+        id: browserConfig.id,
+        name: browserConfig.name,
+        available: !!install,
+        path: install ? install.path : null,
+        sandbox: install ? install.sandbox : null,
+        flatpakId: install ? install.flatpakId : null,
+        version,
+        warning: getVersionWarning(browserConfig, version),
+        channel: browserConfig.channel || null,
+        custom: !!browserConfig.custom,
+        autoDetected: !!browserConfig.autoDetected,
+      });
+    }
   }
 
   return browsers;
 }
 
+/**
+ * List the named profiles of a browser from its Local State file
+ */
+async function listBrowserProfiles(browserId) {
+  if (!getBrowserConfig(browserId)) {
+    await discoverBrowsers();
+  }
+
+  const browserConfig = getBrowserConfig(browserId);
+
+  if (!browserConfig) {
+    return {
+      success: false,
+      error: `Unknown browser: ${browserId}. Supported browsers: ${getBrowserIds().join(', ')}`,
+    };
+  }
+
+  // Snap and Flatpak installs keep their profiles inside the sandbox
+  const install = await findBrowserInstall(browserConfig);
+  const profileDir = install ? install.profileDir : expandHomePath(browserConfig.profileDir[process.platform] || '');
+  if (!profileDir) {
+    return {
+      success: false,
+      notFound: true,
+      error: `${browserConfig.name} has no profile directory configured for this platform`,
+    };
+  }
+
+  const localStatePath = path.join(profileDir, 'Local State');
+
+  let localState;
+  try {
+    localState = JSON.parse(await readFileAsync(localStatePath, 'utf8'));
+  } catch (error) {
+    return {
+      success: false,
+      notFound: error.code === 'ENOENT',
+      error: error.code === 'ENOENT'
+        ? `No ${browserConfig.name} profiles found (missing ${localStatePath})`
+        : `Failed to read ${localStatePath}: ${error.message}`,
+    };
+  }
+
+  const infoCache = (localState.profile && localState.profile.info_cache) || {};
+  const profiles = Object.entries(infoCache).map(([directory, info]) => ({
+    directory,
+    name: info.name || directory,
+    email: info.user_name || null,
+  }));
+
+  // Keep the browser's own ordering: Default first, then Profile 1, Profile 2, ...
+  profiles.sort((a, b) => a.directory.localeCompare(b.directory, undefined, { numeric: true }));
+
+  return {
+    success: true,
+    browserName: browserConfig.name,
+    profiles,
+  };
+}
+
+/**
+ * Resolve a profile by directory, display name or signed-in email
+ */
+async function resolveBrowserProfile(browserId, profileName) {
+  const result = await listBrowserProfiles(browserId);
+  if (!result.success) {
+    return result;
+  }
+
+  const wanted = profileName.toLowerCase();
+  const profile = result.profiles.find(p => p.directory === profileName) ||
+    result.profiles.find(p => p.name.toLowerCase() === wanted) ||
+    result.profiles.find(p => p.email && p.email.toLowerCase() === wanted);
+
+  if (!profile) {
+    const available = result.profiles.map(p => `"${p.name}"`).join(', ');
+    return {
+      success: false,
+      notFound: true,
+      error: `No ${result.browserName} profile named "${profileName}". Available profiles: ${available || 'none'}`,
+    };
+  }
+
+  return { success: true, profile };
+}
+
 module.exports = {
   detectBrowser,
   getSupportedBrowsers,
+  getBrowserConfigs,
+  getBrowserConfig,
+  getTargetBrowser,
+  getBrowserIds,
+  getBrowsersConfigPath,
+  discoverBrowsers,
+  listBrowserProfiles,
+  resolveBrowserProfile,
   BROWSER_CONFIGS,
+  DEFAULT_BROWSER_ID,
   expandHomePath,
 };
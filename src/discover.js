@@ -0,0 +1,505 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { expandHomePath } = require('./browser');
+const { parseFlags } = require('./utils');
+
+const execFileAsync = promisify(execFile);
+const readFileAsync = promisify(fs.readFile);
+const readdirAsync = promisify(fs.readdir);
+const realpathAsync = promisify(fs.realpath);
+
+// Resource files every Chromium build ships next to its executable
+const CHROMIUM_MARKERS = ['chrome_100_percent.pak', 'resources.pak'];
+
+// Commands of Chromium-based browsers whose launchers are scripts outside the install directory
+const KNOWN_CHROMIUM_COMMANDS = [
+  'vivaldi', 'vivaldi-stable', 'vivaldi-snapshot', 'opera', 'opera-beta', 'opera-developer',
+  'yandex-browser', 'yandex-browser-stable', 'thorium-browser', 'ungoogled-chromium', 'cromite',
+  'iridium-browser', 'naver-whale', 'whale', 'slimjet', 'supermium', 'arc',
+];
+
+/**
+ * Turn a browser's display name into an id usable with --browser
+ */
+function slugify(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Check whether a file or directory exists
+ */
+function pathExists(filepath) {
+  return new Promise((resolve) => {
+    fs.access(filepath, (err) => resolve(!err));
+  });
+}
+
+/**
+ * Check whether a directory holds a Chromium build, directly or in a
+ * version-numbered subdirectory (the Windows layout)
+ */
+async function isChromiumDirectory(dir) {
+  let entries;
+  try {
+    entries = await readdirAsync(dir);
+  } catch {
+    return false;
+  }
+
+  if (CHROMIUM_MARKERS.some(marker => entries.includes(marker))) {
+    return true;
+  }
+
+  for (const entry of entries.filter(name => /^\d+(\.\d+)+$/.test(name))) {
+    if (await pathExists(path.join(dir, entry, CHROMIUM_MARKERS[1]))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Check whether an executable belongs to a Chromium-based browser
+ */
+async function isChromiumExecutable(executable) {
+  const command = path.basename(executable).replace(/\.exe$/i, '').toLowerCase();
+  if (KNOWN_CHROMIUM_COMMANDS.includes(command)) {
+    return true;
+  }
+
+  try {
+    return await isChromiumDirectory(path.dirname(await realpathAsync(executable)));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Pick the first candidate directory that holds a Chromium profile
+ */
+async function findProfileDir(candidates) {
+  for (const candidate of candidates) {
+    if (await pathExists(path.join(candidate, 'Local State'))) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Read the [Desktop Entry] group of a .desktop file
+ */
+function parseDesktopEntry(contents) {
+  const entry = {};
+  let inEntry = false;
+
+  for (const line of contents.split(/\r?\n/)) {
+    if (line.startsWith('[')) {
+      inEntry = line.trim() === '[Desktop Entry]';
+      continue;
+    }
+    const match = inEntry && line.match(/^([A-Za-z0-9-]+)\s*=\s*(.*)$/);
+    if (match && !(match[1] in entry)) {
+      entry[match[1]] = match[2].trim();
+    }
+  }
+
+  return entry;
+}
+
+/**
+ * Find the program a .desktop Exec line runs, skipping an `env VAR=value` prefix
+ */
+function findExecProgram(exec) {
+  const args = parseFlags(exec.replace(/%[a-zA-Z%]/g, ''));
+  let index = 0;
+  if (args[index] === 'env') {
+    index++;
+    while (args[index] && args[index].includes('=')) {
+      index++;
+    }
+  }
+  return args[index] || null;
+}
+
+/**
+ * Look a command up on the PATH
+ */
+async function resolveCommand(command) {
+  if (path.isAbsolute(command)) {
+    return (await pathExists(command)) ? command : null;
+  }
+
+  for (const dir of (process.env.PATH || '').split(path.delimiter).filter(Boolean)) {
+    const candidate = path.join(dir, command);
+    if (await pathExists(candidate)) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the XDG directories that hold .desktop files, most specific first
+ */
+function getApplicationDirectories() {
+  const dataHome = process.env.XDG_DATA_HOME || expandHomePath('~/.local/share');
+  const dataDirs = (process.env.XDG_DATA_DIRS || '/usr/local/share:/usr/share').split(':').filter(Boolean);
+  return [dataHome, ...dataDirs].map(dir => path.join(dir, 'applications'));
+}
+
+/**
+ * Find Chromium-based browsers in the XDG application directories
+ */
+async function discoverLinuxBrowsers() {
+  const found = [];
+
+  for (const dir of getApplicationDirectories()) {
+    let files;
+    try {
+      files = (await readdirAsync(dir)).filter(file => file.endsWith('.desktop') && !file.startsWith('com.webnest.'));
+    } catch {
+      continue;
+    }
+
+    for (const file of files) {
+      let entry;
+      try {
+        entry = parseDesktopEntry(await readFileAsync(path.join(dir, file), 'utf8'));
+      } catch {
+        continue;
+      }
+
+      const isBrowser = /(^|;)WebBrowser(;|$)/.test(entry.Categories || '') ||
+        /(^|;)x-scheme-handler\/https?(;|$)/.test(entry.MimeType || '');
+      if (!isBrowser || !entry.Name || !entry.Exec || entry.Hidden === 'true' || entry.Exec.includes('--app=')) {
+        continue;
+      }
+
+      // Flatpak and Snap installs are handled by the browser configs
+      const program = findExecProgram(entry.Exec);
+      const executable = program && program !== 'flatpak' ? await resolveCommand(program) : null;
+      if (!executable || !(await isChromiumExecutable(executable))) {
+        continue;
+      }
+
+      const command = path.basename(executable);
+      found.push({
+        name: entry.Name,
+        alternateId: slugify(file.replace(/\.desktop$/, '')),
+        executable,
+        profileDir: await findProfileDir([
+          expandHomePath(`~/.config/${command}`),
+          expandHomePath(`~/.config/${slugify(entry.Name)}`),
+          expandHomePath(`~/.config/${entry.Name}`),
+        ]),
+      });
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Read a string value from an XML property list
+ */
+function plistString(xml, key) {
+  const match = xml.match(new RegExp(`<key>${key}</key>\\s*<string>([^<]*)</string>`));
+  return match ? match[1] : null;
+}
+
+/**
+ * Find Chromium-based browsers among the .app bundles in the Applications folders.
+ * Their Info.plist registers the http scheme and they ship a "<Name> Framework".
+ */
+async function discoverMacOSBrowsers() {
+  const found = [];
+
+  for (const dir of ['/Applications', expandHomePath('~/Applications')]) {
+    let bundles;
+    try {
+      bundles = (await readdirAsync(dir)).filter(name => name.endsWith('.app'));
+    } catch {
+      continue;
+    }
+
+    for (const bundle of bundles) {
+      const contents = path.join(dir, bundle, 'Contents');
+
+      let frameworks;
+      try {
+        frameworks = await readdirAsync(path.join(contents, 'Frameworks'));
+      } catch {
+        continue;
+      }
+      // Electron apps share the layout but aren't browsers
+      if (!frameworks.some(name => name.endsWith(' Framework.framework') && name !== 'Electron Framework.framework')) {
+        continue;
+      }
+
+      // Info.plist may be binary, so let plutil turn it into XML
+      let xml;
+      try {
+        ({ stdout: xml } = await execFileAsync('plutil', ['-convert', 'xml1', '-o', '-', path.join(contents, 'Info.plist')], { timeout: 5000 }));
+      } catch {
+        continue;
+      }
+
+      const schemes = xml.match(/<key>CFBundleURLSchemes<\/key>\s*<array>([\s\S]*?)<\/array>/g) || [];
+      const executableName = plistString(xml, 'CFBundleExecutable');
+      if (!schemes.some(block => /<string>https?<\/string>/.test(block)) || !executableName) {
+        continue;
+      }
+
+      const name = plistString(xml, 'CFBundleDisplayName') || plistString(xml, 'CFBundleName') || bundle.replace(/\.app$/, '');
+      const bundleId = plistString(xml, 'CFBundleIdentifier');
+      found.push({
+        name,
+        alternateId: bundleId ? slugify(bundleId) : null,
+        executable: path.join(contents, 'MacOS', executableName),
+        profileDir: await findProfileDir([name, bundleId].filter(Boolean).map(folder =>
+          expandHomePath(`~/Library/Application Support/${folder}`))),
+      });
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Find Chromium-based browsers registered under App Paths in the Windows registry
+ */
+async function discoverWindowsBrowsers() {
+  const found = [];
+
+  for (const root of ['HKCU', 'HKLM']) {
+    let stdout;
+    try {
+      ({ stdout } = await execFileAsync('reg', ['query', `${root}\\SOFTWARE\\Microsoft\\Windows\\CurrentVersion\\App Paths`, '/s', '/ve'], { timeout: 10000 }));
+    } catch {
+      continue;
+    }
+
+    let key = null;
+    for (const line of stdout.split(/\r?\n/)) {
+      if (line.startsWith('HKEY_')) {
+        key = line.trim();
+        continue;
+      }
+
+      const match = line.match(/^\s+\(Default\)\s+REG_(?:EXPAND_)?SZ\s+(.+)$/);
+      if (!match || !key || !/\.exe$/i.test(key)) {
+        continue;
+      }
+
+      const executable = match[1].trim()
+        .replace(/^"|"$/g, '')
+        .replace(/%([^%]+)%/g, (whole, name) => process.env[name] || whole);
+      if (!/\.exe$/i.test(executable) || !(await pathExists(executable)) || !(await isChromiumExecutable(executable))) {
+        continue;
+      }
+
+      const command = path.basename(executable, path.extname(executable));
+      const name = command.charAt(0).toUpperCase() + command.slice(1);
+      found.push({
+        name,
+        alternateId: null,
+        executable,
+        profileDir: await findProfileDir([
+          path.join(path.dirname(path.dirname(executable)), 'User Data'),
+          path.join(process.env.LOCALAPPDATA || expandHomePath('~/AppData/Local'), name, 'User Data'),
+        ]),
+      });
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Read the desktop id of the default browser from mimeapps.list, for
+ * systems without xdg-settings
+ */
+async function readMimeAppsDefault() {
+  const configHome = process.env.XDG_CONFIG_HOME || expandHomePath('~/.config');
+  for (const file of [path.join(configHome, 'mimeapps.list'), ...getApplicationDirectories().map(dir => path.join(dir, 'mimeapps.list'))]) {
+    let contents;
+    try {
+      contents = await readFileAsync(file, 'utf8');
+    } catch {
+      continue;
+    }
+
+    const section = contents.split(/^\[/m).find(group => group.startsWith('Default Applications]'));
+    const match = section && section.match(/^x-scheme-handler\/http=([^;\s]+)/m);
+    if (match) {
+      return match[1];
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the default browser on Linux from its .desktop file
+ */
+async function findLinuxDefaultBrowser() {
+  let desktopId;
+  try {
+    const { stdout } = await execFileAsync('xdg-settings', ['get', 'default-web-browser'], { timeout: 5000 });
+    desktopId = stdout.trim();
+  } catch {
+    desktopId = await readMimeAppsDefault();
+  }
+  if (!desktopId) {
+    return null;
+  }
+
+  for (const dir of getApplicationDirectories()) {
+    let entry;
+    try {
+      entry = parseDesktopEntry(await readFileAsync(path.join(dir, desktopId), 'utf8'));
+    } catch {
+      continue;
+    }
+
+    const program = entry.Exec ? findExecProgram(entry.Exec) : null;
+    return {
+      name: entry.Name || desktopId,
+      flatpakId: entry['X-Flatpak'] || null,
+      executable: program ? await resolveCommand(program) : null,
+    };
+  }
+
+  return { name: desktopId.replace(/\.desktop$/, ''), flatpakId: null, executable: null };
+}
+
+/**
+ * Find the default browser on macOS by asking LaunchServices which app opens http URLs
+ */
+async function findMacOSDefaultBrowser() {
+  const script = "ObjC.import('AppKit'); $.NSWorkspace.sharedWorkspace.URLForApplicationToOpenURL($.NSURL.URLWithString('http://example.com')).path.js";
+  const { stdout } = await execFileAsync('osascript', ['-l', 'JavaScript', '-e', script], { timeout: 10000 });
+  const appPath = stdout.trim();
+  return appPath ? { name: path.basename(appPath, '.app'), appPath } : null;
+}
+
+/**
+ * Find the default browser on Windows from the http UserChoice ProgId and its open command
+ */
+async function findWindowsDefaultBrowser() {
+  const { stdout } = await execFileAsync('reg', ['query', 'HKCU\\Software\\Microsoft\\Windows\\Shell\\Associations\\UrlAssociations\\http\\UserChoice', '/v', 'ProgId'], { timeout: 10000 });
+  const progId = (stdout.match(/ProgId\s+REG_SZ\s+(\S+)/) || [])[1];
+  if (!progId) {
+    return null;
+  }
+
+  let executable = null;
+  try {
+    const { stdout: command } = await execFileAsync('reg', ['query', `HKCR\\${progId}\\shell\\open\\command`, '/ve'], { timeout: 10000 });
+    const match = command.match(/REG_(?:EXPAND_)?SZ\s+(?:"([^"]+)"|(\S+\.exe))/i);
+    if (match) {
+      executable = (match[1] || match[2]).replace(/%([^%]+)%/g, (whole, name) => process.env[name] || whole);
+    }
+  } catch {
+    // The ProgId has no open command
+  }
+
+  return { name: progId, executable };
+}
+
+/**
+ * Find the operating system's default browser.
+ * Returns its name plus whatever identifies its install: the executable,
+ * the .app bundle (macOS) or the Flatpak app id. Null when it can't be told.
+ */
+async function findDefaultBrowser() {
+  const find = {
+    linux: findLinuxDefaultBrowser,
+    darwin: findMacOSDefaultBrowser,
+    win32: findWindowsDefaultBrowser,
+  }[process.platform];
+
+  try {
+    return find ? await find() : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find Chromium-based browsers installed on the system that the known
+ * configs don't cover, and describe them as browser configs
+ */
+async function discoverBrowsers(knownConfigs) {
+  const platform = process.platform;
+  const discover = {
+    linux: discoverLinuxBrowsers,
+    darwin: discoverMacOSBrowsers,
+    win32: discoverWindowsBrowsers,
+  }[platform];
+  if (!discover) {
+    return [];
+  }
+
+  // Skip installs a known browser already points at, whichever path reaches them
+  const knownPaths = new Set();
+  const knownNames = new Set();
+  const known = Object.values(knownConfigs)
+    .flatMap(config => [config, ...Object.values(config.channels || {})]);
+  for (const config of known) {
+    knownNames.add(config.name.toLowerCase());
+    for (const browserPath of config.paths[platform] || []) {
+      try {
+        knownPaths.add(await realpathAsync(expandHomePath(browserPath)));
+      } catch {
+        // Not installed
+      }
+    }
+  }
+
+  const configs = [];
+  const taken = new Set(Object.keys(knownConfigs));
+  for (const browser of await discover()) {
+    let realPath;
+    try {
+      realPath = await realpathAsync(browser.executable);
+    } catch {
+      continue;
+    }
+    if (knownPaths.has(realPath) || knownNames.has(browser.name.toLowerCase())) {
+      continue;
+    }
+
+    const id = [slugify(browser.name), browser.alternateId].find(candidate => candidate && !taken.has(candidate));
+    if (!id) {
+      continue;
+    }
+
+    taken.add(id);
+    knownPaths.add(realPath);
+    knownNames.add(browser.name.toLowerCase());
+    configs.push({
+      name: browser.name,
+      id,
+      paths: { [platform]: [browser.executable] },
+      appFlag: '--app=',
+      profileDir: browser.profileDir ? { [platform]: browser.profileDir } : {},
+      appsDir: {},
+      autoDetected: true,
+    });
+  }
+
+  return configs;
+}
+
+module.exports = {
+  discoverBrowsers,
+  findDefaultBrowser,
+};
@@ -0,0 +1,398 @@
+const fs = require('fs');
+const path = require('path');
+const dns = require('dns');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { detectBrowser } = require('./browser');
+const { loadRegistry, isSystemApp } = require('./registry');
+const { editWebApp, describeApp, loadAppBrowsers } = require('./installer');
+
+const execFileAsync = promisify(execFile);
+const readFileAsync = promisify(fs.readFile);
+const accessAsync = promisify(fs.access);
+
+// Desktop Entry spec versions desktop-file-validate accepts
+const DESKTOP_ENTRY_VERSIONS = ['1.0', '1.1', '1.2', '1.3', '1.4', '1.5'];
+const DESKTOP_BOOLEAN_KEYS = ['Terminal', 'StartupNotify', 'NoDisplay', 'Hidden', 'DBusActivatable', 'PrefersNonDefaultGPU', 'SingleMainWindow'];
+const DESKTOP_LIST_KEYS = ['Actions', 'Categories', 'MimeType', 'Keywords', 'OnlyShowIn', 'NotShowIn', 'Implements'];
+
+/**
+ * Check whether a path exists, and optionally that it is executable
+ */
+async function isAccessible(filePath, executable = false) {
+  try {
+    await accessAsync(filePath, executable ? fs.constants.X_OK : fs.constants.F_OK);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check the app's browser: the executable must still be there, and when the
+ * browser has moved the launcher can be pointed at its current location
+ */
+async function checkBrowser(entry) {
+  const exists = entry.browserPath && await isAccessible(entry.browserPath, true);
+  if (exists && !entry.flatpakId) {
+    return [];
+  }
+
+  // A Flatpak browser can be uninstalled while the flatpak command stays
+  const current = await detectBrowser(entry.browserId);
+  const moved = current.found && (current.path !== entry.browserPath || (current.flatpakId || null) !== (entry.flatpakId || null));
+  if (exists && current.found && !moved) {
+    return [];
+  }
+
+  const where = entry.flatpakId ? `flatpak app ${entry.flatpakId}` : entry.browserPath;
+  if (moved) {
+    const location = current.flatpakId ? `flatpak run ${current.flatpakId}` : current.path;
+    return [{
+      check: 'browser',
+      severity: 'error',
+      message: `Browser not found at ${where}; ${current.name} is now at ${location}`,
+      fix: 'browser',
+      browser: current,
+    }];
+  }
+
+  return [{
+    check: 'browser',
+    severity: 'error',
+    message: `Browser not found at ${where}. Install it again or switch the app with "webnest edit --use-browser"`,
+  }];
+}
+
+/**
+ * Check that the launcher and the icon it refers to are still there
+ */
+async function checkFiles(entry) {
+  const problems = [];
+
+  if (!(await isAccessible(entry.launcherPath))) {
+    problems.push({
+      check: 'launcher',
+      severity: 'error',
+      message: `Launcher missing: ${entry.launcherPath}`,
+      fix: 'launcher',
+    });
+  }
+
+  if (entry.iconPath && !(await isAccessible(entry.iconPath))) {
+    problems.push({
+      check: 'icon',
+      severity: 'error',
+      message: `Icon missing: ${entry.iconPath}`,
+      fix: 'icon',
+    });
+  }
+
+  return problems;
+}
+
+/**
+ * Check a .desktop file against the Desktop Entry rules desktop-file-validate enforces
+ */
+function validateDesktopEntry(contents) {
+  const errors = [];
+  const groups = new Map();
+  let group = null;
+
+  contents.split(/\r?\n/).forEach((line, index) => {
+    const lineNumber = index + 1;
+    if (line.trim() === '' || line.startsWith('#')) {
+      return;
+    }
+
+    const header = line.match(/^\[([^\[\]]+)\]$/);
+    if (header) {
+      group = header[1];
+      if (groups.size === 0 && group !== 'Desktop Entry') {
+        errors.push(`first group must be "Desktop Entry", not "${group}"`);
+      }
+      if (groups.has(group)) {
+        errors.push(`group "${group}" is defined twice`);
+      }
+      groups.set(group, new Map());
+      return;
+    }
+
+    const pair = line.match(/^([A-Za-z0-9-]+(?:\[[^\]]+\])?)\s*=\s*(.*)$/);
+    if (!pair) {
+      errors.push(`line ${lineNumber} is not a group header, comment or key=value pair`);
+      return;
+    }
+    if (!group) {
+      errors.push(`line ${lineNumber} is outside of any group`);
+      return;
+    }
+
+    const keys = groups.get(group);
+    if (keys.has(pair[1])) {
+      errors.push(`key "${pair[1]}" appears twice in group "${group}"`);
+    }
+    keys.set(pair[1], pair[2]);
+  });
+
+  const entry = groups.get('Desktop Entry');
+  if (!entry) {
+    return errors.length > 0 ? errors : ['missing the "Desktop Entry" group'];
+  }
+
+  for (const key of ['Type', 'Name']) {
+    if (!entry.has(key)) {
+      errors.push(`required key "${key}" is missing`);
+    }
+  }
+  if (entry.has('Type') && !['Application', 'Link', 'Directory'].includes(entry.get('Type'))) {
+    errors.push(`"Type" ${entry.get('Type')} is not Application, Link or Directory`);
+  }
+  if (entry.get('Type') === 'Application' && !entry.has('Exec') && entry.get('DBusActivatable') !== 'true') {
+    errors.push('application is missing the "Exec" key');
+  }
+  if (entry.has('Version') && !DESKTOP_ENTRY_VERSIONS.includes(entry.get('Version'))) {
+    errors.push(`"Version" ${entry.get('Version')} is not a known Desktop Entry version`);
+  }
+
+  for (const [groupName, keys] of groups) {
+    for (const [key, value] of keys) {
+      if (DESKTOP_BOOLEAN_KEYS.includes(key) && !['true', 'false'].includes(value)) {
+        errors.push(`"${key}" in "${groupName}" must be true or false`);
+      }
+      if (DESKTOP_LIST_KEYS.includes(key) && value && !value.endsWith(';')) {
+        errors.push(`"${key}" in "${groupName}" must end with a semicolon`);
+      }
+      if (key === 'Exec' && /%[^fFuUick%]/.test(value.replace(/%%/g, ''))) {
+        errors.push(`"Exec" in "${groupName}" has an invalid field code (escape a literal % as %%)`);
+      }
+    }
+  }
+
+  const actions = (entry.get('Actions') || '').split(';').filter(Boolean);
+  for (const action of actions) {
+    const actionGroup = groups.get(`Desktop Action ${action}`);
+    if (!actionGroup) {
+      errors.push(`action "${action}" has no "Desktop Action ${action}" group`);
+    } else if (!actionGroup.has('Name')) {
+      errors.push(`action "${action}" is missing the "Name" key`);
+    }
+  }
+  for (const groupName of groups.keys()) {
+    const action = groupName.match(/^Desktop Action (.+)$/);
+    if (action && !actions.includes(action[1])) {
+      errors.push(`group "${groupName}" isn't listed in "Actions"`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Check a Linux launcher's desktop entry, with desktop-file-validate too when it is installed
+ */
+async function checkDesktopEntry(entry) {
+  let contents;
+  try {
+    contents = await readFileAsync(entry.launcherPath, 'utf8');
+  } catch {
+    return [];
+  }
+
+  const errors = validateDesktopEntry(contents);
+
+  try {
+    await execFileAsync('desktop-file-validate', [entry.launcherPath], { timeout: 10000 });
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      const output = `${error.stdout || ''}${error.stderr || ''}`;
+      errors.push(...output.split('\n')
+        .filter(line => /error:/.test(line))
+        .map(line => line.replace(/^.*?error:\s*/, '').trim())
+        .filter(message => !errors.includes(message)));
+    }
+  }
+
+  // Rewriting the launcher replaces the desktop entry
+  return errors.map(message => ({
+    check: 'desktop-entry',
+    severity: 'error',
+    message: `Desktop entry: ${message}`,
+    fix: 'launcher',
+  }));
+}
+
+/**
+ * Check that an XML document's tags are balanced
+ */
+function isWellFormedXml(xml) {
+  const stack = [];
+  const body = xml.replace(/<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<![^>]*>/g, '');
+  const tags = body.match(/<[^>]*>/g) || [];
+
+  for (const tag of tags) {
+    const match = tag.match(/^<(\/)?([A-Za-z_][\w.-]*)[^>]*?(\/)?>$/);
+    if (!match) {
+      return false;
+    }
+    if (match[3]) {
+      continue;
+    }
+    if (match[1]) {
+      if (stack.pop() !== match[2]) {
+        return false;
+      }
+    } else {
+      stack.push(match[2]);
+    }
+  }
+
+  return stack.length === 0 && tags.length > 0 && !/<(?![\/A-Za-z_])/.test(body);
+}
+
+/**
+ * Check a macOS app bundle's Info.plist and the launcher it names
+ */
+async function checkInfoPlist(entry) {
+  const plistPath = path.join(entry.launcherPath, 'Contents', 'Info.plist');
+  const problem = (message) => [{ check: 'info-plist', severity: 'error', message, fix: 'launcher' }];
+
+  let plist;
+  try {
+    plist = await readFileAsync(plistPath, 'utf8');
+  } catch {
+    return problem(`Info.plist missing: ${plistPath}`);
+  }
+
+  if (!isWellFormedXml(plist) || !/<plist[\s>][\s\S]*<dict>/.test(plist)) {
+    return problem(`Info.plist is not a well-formed property list: ${plistPath}`);
+  }
+  if (process.platform === 'darwin') {
+    try {
+      await execFileAsync('plutil', ['-lint', '-s', plistPath], { timeout: 10000 });
+    } catch {
+      return problem(`Info.plist is not a valid property list (plutil -lint): ${plistPath}`);
+    }
+  }
+
+  const executable = (plist.match(/<key>CFBundleExecutable<\/key>\s*<string>([^<]*)<\/string>/) || [])[1];
+  if (!executable || !plist.includes('<key>CFBundleIdentifier</key>')) {
+    return problem('Info.plist is missing CFBundleExecutable or CFBundleIdentifier');
+  }
+
+  const executablePath = path.join(entry.launcherPath, 'Contents', 'MacOS', executable
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&'));
+  if (!(await isAccessible(executablePath, true))) {
+    return problem(`Launcher script missing or not executable: ${executablePath}`);
+  }
+
+  return [];
+}
+
+/**
+ * Check that the app's host still resolves. Offline machines fail this too, so it only warns.
+ * Apps adopted from older versions may have no usable URL at all, which is an error.
+ */
+async function checkHost(entry) {
+  let hostname;
+  try {
+    ({ hostname } = new URL(entry.url));
+  } catch {
+    return [{
+      check: 'url',
+      severity: 'error',
+      message: entry.url ? `URL ${entry.url} is not valid` : 'App has no URL recorded; re-create it or set one with "webnest edit --url"',
+    }];
+  }
+
+  try {
+    await Promise.race([
+      dns.promises.lookup(hostname),
+      new Promise((resolve, reject) => setTimeout(() => reject(new Error('timed out')), 5000).unref()),
+    ]);
+    return [];
+  } catch (error) {
+    return [{
+      check: 'host',
+      severity: 'warning',
+      message: `Host ${hostname} does not resolve (${error.code || error.message})`,
+    }];
+  }
+}
+
+/**
+ * Run every check that applies to an app on this platform
+ */
+async function diagnoseEntry(entry) {
+  const problems = [
+    ...await checkFiles(entry),
+    ...await checkBrowser(entry),
+  ];
+
+  const launcherExists = !problems.some(problem => problem.check === 'launcher');
+  if (launcherExists && process.platform === 'linux') {
+    problems.push(...await checkDesktopEntry(entry));
+  }
+  if (launcherExists && process.platform === 'darwin') {
+    problems.push(...await checkInfoPlist(entry));
+  }
+  problems.push(...await checkHost(entry));
+
+  return problems;
+}
+
+/**
+ * Check every registered app, the user's own and those installed for all users, or those of one browser
+ */
+async function diagnoseApps(browserId) {
+  const registries = [await loadRegistry(), await loadRegistry({ system: true })];
+  const entries = registries
+    .flatMap(registry => registry.apps)
+    .filter(entry => !browserId || entry.browserId === browserId.toLowerCase());
+  await loadAppBrowsers(entries);
+  const reports = [];
+
+  for (const entry of entries) {
+    reports.push({
+      app: describeApp(entry),
+      entry,
+      problems: await diagnoseEntry(entry),
+    });
+  }
+
+  return reports;
+}
+
+/**
+ * Repair what can be repaired for one app by rewriting its launcher:
+ * pointing it at the browser's current location, and fetching a missing icon again
+ */
+async function fixApp(report) {
+  const fixable = report.problems.filter(problem => problem.fix);
+  if (fixable.length === 0) {
+    return { success: true, fixed: [] };
+  }
+
+  const { entry } = report;
+  const changes = {};
+  const browserFix = fixable.find(problem => problem.fix === 'browser');
+  if (browserFix) {
+    changes.browser = browserFix.browser;
+  }
+  if (fixable.some(problem => problem.fix === 'icon')) {
+    changes.iconSource = entry.iconSource || null;
+  }
+
+  const result = await editWebApp(entry.name, changes, entry.browserId, { system: isSystemApp(entry) });
+  if (!result.success) {
+    return { success: false, error: result.error, fixed: [] };
+  }
+
+  return { success: true, fixed: fixable, note: result.note };
+}
+
+module.exports = {
+  diagnoseApps,
+  fixApp,
+  validateDesktopEntry,
+};
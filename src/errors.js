@@ -0,0 +1,126 @@
+/**
+ * Errors thrown by the WebNest API.
+ * Each carries a stable `code` so callers can tell failures apart without matching messages.
+ */
+class WebNestError extends Error {
+  constructor(message, code = 'WEBNEST_ERROR', details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    Object.assign(this, details);
+  }
+
+  /**
+   * The error as a plain object, for JSON output
+   */
+  toJSON() {
+    const { cause, ...details } = this;
+    return { ...details, name: this.name, code: this.code, message: this.message };
+  }
+}
+
+/**
+ * A URL (or a path inside an app's site) that WebNest can't use
+ */
+class InvalidUrlError extends WebNestError {
+  constructor(message, details) {
+    super(message, 'INVALID_URL', details);
+  }
+}
+
+/**
+ * An option with a malformed or conflicting value
+ */
+class InvalidOptionError extends WebNestError {
+  constructor(message, details) {
+    super(message, 'INVALID_OPTION', details);
+  }
+}
+
+/**
+ * A browser that isn't installed, or that has moved since an app was created
+ */
+class BrowserNotFoundError extends WebNestError {
+  constructor(message, details) {
+    super(message, 'BROWSER_NOT_FOUND', details);
+  }
+}
+
+/**
+ * No registered app matches the given name
+ */
+class AppNotFoundError extends WebNestError {
+  constructor(message, details) {
+    super(message, 'APP_NOT_FOUND', details);
+  }
+}
+
+/**
+ * Several apps match the given name and a browser is needed to pick one
+ */
+class AmbiguousAppError extends WebNestError {
+  constructor(message, details) {
+    super(message, 'APP_AMBIGUOUS', details);
+  }
+}
+
+/**
+ * An icon that couldn't be read, downloaded or converted
+ */
+class IconError extends WebNestError {
+  constructor(message, details) {
+    super(message, 'ICON_FAILED', details);
+  }
+}
+
+/**
+ * Reading or writing launchers, icons, profiles or the registry failed
+ */
+class FileSystemError extends WebNestError {
+  constructor(message, details) {
+    super(message, 'FILESYSTEM_ERROR', details);
+  }
+}
+
+/**
+ * Installing or removing apps for all users without root or administrator rights,
+ * or any other file WebNest isn't allowed to read or write
+ */
+class PermissionDeniedError extends WebNestError {
+  constructor(message, details) {
+    super(message, 'PERMISSION_DENIED', details);
+  }
+}
+
+// Process exit status for each error code; anything else exits with 1
+const EXIT_CODES = {
+  INVALID_OPTION: 2,
+  APP_AMBIGUOUS: 2,
+  APP_NOT_FOUND: 3,
+  INVALID_URL: 4,
+  BROWSER_NOT_FOUND: 5,
+  FILESYSTEM_ERROR: 6,
+  PERMISSION_DENIED: 7,
+  ICON_FAILED: 8,
+};
+
+/**
+ * Get the process exit status for an error
+ */
+function getExitCode(error) {
+  return (error && EXIT_CODES[error.code]) || 1;
+}
+
+module.exports = {
+  WebNestError,
+  InvalidUrlError,
+  InvalidOptionError,
+  BrowserNotFoundError,
+  AppNotFoundError,
+  AmbiguousAppError,
+  IconError,
+  FileSystemError,
+  PermissionDeniedError,
+  EXIT_CODES,
+  getExitCode,
+};
@@ -4,11 +4,26 @@ const fs = require('fs');
 const path = require('path');
 const { URL } = require('url');
 const { promisify } = require('util');
-const { exec } = require('child_process');
-
+const { expandHomePath } = require('./browser');
+const {
+  detectImageFormat,
+  decodeImage,
+  encodePng,
+  encodeIco,
+  encodeIcns,
+  resizeImage,
+  squareImage,
+} = require('./image');
+const { loadSvgImage } = require('./svg');
+const { createMonogramSvg, pickMonogramColor } = require('./monogram');
+
+const readFileAsync = promisify(fs.readFile);
 const writeFileAsync = promisify(fs.writeFile);
 const mkdirAsync = promisify(fs.mkdir);
-const execAsync = promisify(exec);
+const rmAsync = promisify(fs.rm);
+
+// Largest PNG written for Linux launchers
+const LINUX_ICON_SIZE = 512;
 
 /**
  * Fetch data from a URL with redirect support
@@ -136,82 +151,185 @@ function parseIconLinks(html, baseUrl) {
 }
 
 /**
- * Parse web app manifest for icons
+ * Find the page's theme color from its <meta name="theme-color"> tags,
+ * preferring one that doesn't only apply to a media query
+ */
+function parseThemeColor(html) {
+  const metas = (html.match(/<meta[^>]*>/gi) || []).filter(meta => /name=["']?theme-color["']?/i.test(meta));
+  const colors = metas
+    .map(meta => {
+      const content = meta.match(/content=["']([^"']+)["']/i);
+      return content ? { color: content[1].trim(), media: /media=/i.test(meta) } : null;
+    })
+    .filter(Boolean);
+
+  const preferred = colors.find(c => !c.media) || colors[0];
+  return preferred ? preferred.color : null;
+}
+
+// Display modes defined by the Web App Manifest spec
+const DISPLAY_MODES = ['fullscreen', 'standalone', 'minimal-ui', 'browser'];
+
+// Browsers show at most this many manifest shortcuts
+const MAX_SHORTCUTS = 10;
+
+/**
+ * Resolve a manifest URL member, keeping it only if it is on the page's origin
  */
-async function parseManifest(manifestUrl) {
+function resolveSameOriginUrl(value, manifestUrl, documentUrl) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    return null;
+  }
+
   try {
-    const { data } = await fetchUrl(manifestUrl, { accept: 'application/json' });
+    const resolved = new URL(value.trim(), manifestUrl);
+    return resolved.origin === new URL(documentUrl).origin ? resolved.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read a string member of a manifest, trimmed, or null when missing
+ */
+function manifestString(manifest, key) {
+  return typeof manifest[key] === 'string' && manifest[key].trim() ? manifest[key].trim() : null;
+}
+
+/**
+ * Parse a web app manifest: its icons and shortcuts plus the app metadata WebNest uses.
+ * URLs are resolved against the manifest, and start_url/scope are dropped
+ * when they point off the page's origin, as browsers do.
+ */
+async function parseManifest(manifestUrl, documentUrl = manifestUrl) {
+  const empty = {
+    url: manifestUrl,
+    name: null,
+    shortName: null,
+    startUrl: null,
+    scope: null,
+    display: null,
+    themeColor: null,
+    backgroundColor: null,
+    shortcuts: [],
+    icons: [],
+  };
+
+  try {
+    const { data } = await fetchUrl(manifestUrl, { accept: 'application/manifest+json, application/json' });
     const manifest = JSON.parse(data.toString());
-    
-    if (!manifest.icons || !Array.isArray(manifest.icons)) {
-      return [];
+    if (!manifest || typeof manifest !== 'object') {
+      return empty;
     }
 
+    const startUrl = resolveSameOriginUrl(manifest.start_url, manifestUrl, documentUrl);
+
+    // The default scope is the start URL's directory
+    let scope = resolveSameOriginUrl(manifest.scope, manifestUrl, documentUrl);
+    if (!scope && startUrl) {
+      scope = new URL('.', startUrl).href;
+    }
+
+    const display = manifestString(manifest, 'display');
+
+    // Quick actions such as "New issue" or "Compose", each opening its own URL
+    const shortcuts = (Array.isArray(manifest.shortcuts) ? manifest.shortcuts : [])
+      .filter(shortcut => shortcut && typeof shortcut === 'object')
+      .map(shortcut => ({
+        name: manifestString(shortcut, 'name') || manifestString(shortcut, 'short_name'),
+        url: resolveSameOriginUrl(shortcut.url, manifestUrl, documentUrl),
+      }))
+      .filter(shortcut => shortcut.name && shortcut.url)
+      .slice(0, MAX_SHORTCUTS);
+
     const baseUrl = new URL(manifestUrl);
-    
-    return manifest.icons.map(icon => {
-      let href = icon.src;
-      if (!href.startsWith('http')) {
-        href = new URL(href, baseUrl).href;
-      }
+    const icons = (Array.isArray(manifest.icons) ? manifest.icons : [])
+      .filter(icon => icon && typeof icon.src === 'string')
+      .map(icon => {
+        let href = icon.src;
+        if (!href.startsWith('http')) {
+          href = new URL(href, baseUrl).href;
+        }
 
-      // Parse size
-      let size = 0;
-      if (icon.sizes) {
-        const sizeStr = icon.sizes.split('x')[0];
-        size = parseInt(sizeStr, 10) || 0;
-      }
+        // Parse size
+        let size = 0;
+        if (icon.sizes) {
+          const sizeStr = String(icon.sizes).split('x')[0];
+          size = parseInt(sizeStr, 10) || 0;
+        }
 
-      return {
-        href,
-        size,
-        type: icon.type || '',
-        purpose: icon.purpose || 'any',
-        priority: size,
-      };
-    });
+        return {
+          href,
+          size,
+          type: icon.type || '',
+          purpose: icon.purpose || 'any',
+          priority: size,
+        };
+      });
+
+    return {
+      url: manifestUrl,
+      name: manifestString(manifest, 'name'),
+      shortName: manifestString(manifest, 'short_name'),
+      startUrl,
+      scope,
+      display: DISPLAY_MODES.includes(display) ? display : null,
+      themeColor: manifestString(manifest, 'theme_color'),
+      backgroundColor: manifestString(manifest, 'background_color'),
+      shortcuts,
+      icons,
+    };
   } catch (error) {
-    return [];
+    return empty;
   }
 }
 
 /**
- * Get the best icon URL from a website
+ * Fetch a website's page and the web app manifest it links to, so that creating an app
+ * loads each of them once for its name, manifest metadata and icon.
+ * `html` is null when the page can't be loaded and `manifest` when it links to none.
  */
-async function getBestIconUrl(websiteUrl) {
+async function fetchWebPage(websiteUrl) {
+  let html;
   try {
-    // Fetch the page HTML
     const { data } = await fetchUrl(websiteUrl, { accept: 'text/html' });
-    const html = data.toString();
+    html = data.toString();
+  } catch {
+    return { url: websiteUrl, html: null, manifest: null };
+  }
 
-    // Parse icon links from HTML
-    const { icons: htmlIcons, manifestUrl } = parseIconLinks(html, websiteUrl);
+  const { manifestUrl } = parseIconLinks(html, websiteUrl);
+  return {
+    url: websiteUrl,
+    html,
+    manifest: manifestUrl ? await parseManifest(manifestUrl, websiteUrl) : null,
+  };
+}
 
-    // Try to get icons from manifest
-    let manifestIcons = [];
-    if (manifestUrl) {
-      manifestIcons = await parseManifest(manifestUrl);
-    }
+/**
+ * Look up a website's best icon URL and theme color from its fetched page (see fetchWebPage).
+ * Falls back to /favicon.ico when the page declares no icons.
+ */
+function discoverIcon(page) {
+  const url = new URL(page.url);
+  const fallback = `${url.protocol}//${url.hostname}/favicon.ico`;
+  if (!page.html) {
+    return { iconUrl: fallback, themeColor: null };
+  }
 
-    // Combine all icons
-    const allIcons = [...htmlIcons, ...manifestIcons];
+  const { icons: htmlIcons } = parseIconLinks(page.html, page.url);
+  const manifest = page.manifest || { icons: [], themeColor: null };
 
-    // Sort by priority (size, with apple-touch-icon getting bonus)
-    allIcons.sort((a, b) => b.priority - a.priority);
+  // Combine all icons
+  const allIcons = [...htmlIcons, ...manifest.icons];
 
-    // Return the best icon, or fallback to favicon.ico
-    if (allIcons.length > 0) {
-      return allIcons[0].href;
-    }
+  // Sort by priority (size, with apple-touch-icon getting bonus)
+  allIcons.sort((a, b) => b.priority - a.priority);
 
-    // Fallback to standard favicon.ico
-    const url = new URL(websiteUrl);
-    return `${url.protocol}//${url.hostname}/favicon.ico`;
-  } catch (error) {
-    // Fallback to favicon.ico
-    const url = new URL(websiteUrl);
-    return `${url.protocol}//${url.hostname}/favicon.ico`;
-  }
+  return {
+    iconUrl: allIcons.length > 0 ? allIcons[0].href : fallback,
+    themeColor: parseThemeColor(page.html) || manifest.themeColor,
+  };
 }
 
 /**
@@ -221,16 +339,19 @@ async function downloadIcon(iconUrl, tempDir) {
   try {
     const { data, contentType } = await fetchUrl(iconUrl);
     
-    // Determine extension from content type or URL
-    let ext = '.png';
-    if (contentType.includes('svg')) {
-      ext = '.svg';
-    } else if (contentType.includes('ico') || iconUrl.endsWith('.ico')) {
-      ext = '.ico';
-    } else if (contentType.includes('jpeg') || contentType.includes('jpg')) {
-      ext = '.jpg';
-    } else if (iconUrl.endsWith('.svg')) {
-      ext = '.svg';
+    // Determine extension from the data itself, then content type or URL
+    const detected = detectImageFormat(data);
+    let ext = detected || '.png';
+    if (!detected) {
+      if (contentType.includes('svg')) {
+        ext = '.svg';
+      } else if (contentType.includes('ico') || iconUrl.endsWith('.ico')) {
+        ext = '.ico';
+      } else if (contentType.includes('jpeg') || contentType.includes('jpg')) {
+        ext = '.jpg';
+      } else if (iconUrl.endsWith('.svg')) {
+        ext = '.svg';
+      }
     }
 
     await mkdirAsync(tempDir, { recursive: true });
@@ -241,6 +362,7 @@ async function downloadIcon(iconUrl, tempDir) {
       success: true,
       path: iconPath,
       extension: ext,
+      detected: !!detected,
       size: data.length,
     };
   } catch (error) {
@@ -252,158 +374,210 @@ async function downloadIcon(iconUrl, tempDir) {
 }
 
 /**
- * Convert icon to macOS .icns format using sips and iconutil
+ * Copy a local icon file to a temporary location
  */
-async function convertToIcns(inputPath, outputPath) {
-  const tempDir = path.join(path.dirname(outputPath), 'icon.iconset');
-  
+async function copyLocalIcon(iconPath, tempDir) {
   try {
+    const data = await readFileAsync(iconPath);
+    const ext = detectImageFormat(data);
+    if (!ext) {
+      return {
+        success: false,
+        error: `${path.basename(iconPath)} is not a PNG, JPEG, SVG, ICO or ICNS image`,
+      };
+    }
+
     await mkdirAsync(tempDir, { recursive: true });
-    
-    // Required sizes for iconset
-    const sizes = [16, 32, 64, 128, 256, 512];
-    
-    for (const size of sizes) {
-      const size2x = size * 2;
-      
-      // Standard resolution
-      await execAsync(
-        `sips -z ${size} ${size} "${inputPath}" --out "${path.join(tempDir, `icon_${size}x${size}.png`)}" 2>/dev/null`
-      );
-      
-      // Retina resolution (if not exceeding 1024)
-      if (size2x <= 1024) {
-        await execAsync(
-          `sips -z ${size2x} ${size2x} "${inputPath}" --out "${path.join(tempDir, `icon_${size}x${size}@2x.png`)}" 2>/dev/null`
-        );
-      }
+    const tempPath = path.join(tempDir, `icon${ext}`);
+    await writeFileAsync(tempPath, data);
+
+    return {
+      success: true,
+      path: tempPath,
+      extension: ext,
+      size: data.length,
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Read and decode an icon file.
+ * SVG icons come back as vector images that render at each requested size.
+ */
+async function loadIconImage(inputPath) {
+  const data = await readFileAsync(inputPath);
+
+  if (detectImageFormat(data) === '.svg') {
+    try {
+      return loadSvgImage(data);
+    } catch (error) {
+      throw new Error(`SVG icon could not be rendered: ${error.message}`);
     }
-    
-    // Convert iconset to icns
-    await execAsync(`iconutil -c icns "${tempDir}" -o "${outputPath}"`);
-    
-    // Clean up iconset directory
-    await execAsync(`rm -rf "${tempDir}"`);
-    
+  }
+
+  return decodeImage(data);
+}
+
+/**
+ * Convert icon to macOS .icns format
+ */
+async function convertToIcns(inputPath, outputPath) {
+  try {
+    const image = await loadIconImage(inputPath);
+    await writeFileAsync(outputPath, encodeIcns(image));
     return { success: true, path: outputPath };
   } catch (error) {
-    // Clean up on error
-    try {
-      await execAsync(`rm -rf "${tempDir}"`);
-    } catch {}
-    
     return { success: false, error: error.message };
   }
 }
 
 /**
- * Convert icon to Windows .ico format
- * Uses ImageMagick if available, otherwise keeps as PNG
+ * Convert icon to a multi-resolution Windows .ico file
  */
 async function convertToIco(inputPath, outputPath) {
   try {
-    // Check if ImageMagick is available
-    await execAsync('which convert');
-    
-    // Convert to ICO with multiple sizes
-    await execAsync(
-      `convert "${inputPath}" -define icon:auto-resize=256,128,64,48,32,16 "${outputPath}"`
-    );
-    
+    const image = await loadIconImage(inputPath);
+    await writeFileAsync(outputPath, encodeIco(image));
     return { success: true, path: outputPath };
-  } catch {
-    // ImageMagick not available, copy as-is or use PNG
-    try {
-      fs.copyFileSync(inputPath, outputPath.replace('.ico', '.png'));
-      return { success: true, path: outputPath.replace('.ico', '.png'), note: 'Saved as PNG (ImageMagick not available for ICO conversion)' };
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
+  } catch (error) {
+    return { success: false, error: error.message };
   }
 }
 
 /**
- * Prepare icon for the target platform
+ * Convert icon to a square PNG for Linux, at most LINUX_ICON_SIZE pixels across
  */
-async function prepareIcon(websiteUrl, outputDir, platform) {
-  // Get best icon URL
-  const iconUrl = await getBestIconUrl(websiteUrl);
-  
-  // Download the icon
-  const tempDir = path.join(outputDir, '.icon-temp');
-  const downloaded = await downloadIcon(iconUrl, tempDir);
-  
-  if (!downloaded.success) {
-    return { success: false, error: `Failed to download icon: ${downloaded.error}` };
+async function convertToPng(inputPath, outputPath) {
+  try {
+    const source = await loadIconImage(inputPath);
+    let image = source.render
+      ? source.render(LINUX_ICON_SIZE, LINUX_ICON_SIZE)
+      : squareImage(source);
+    if (image.width > LINUX_ICON_SIZE) {
+      image = resizeImage(image, LINUX_ICON_SIZE, LINUX_ICON_SIZE);
+    }
+    await writeFileAsync(outputPath, encodePng(image));
+    return { success: true, path: outputPath };
+  } catch (error) {
+    return { success: false, error: error.message };
   }
+}
 
-  let result;
-  
+/**
+ * Write a generated monogram icon into the temp directory
+ */
+async function writeMonogramIcon(websiteUrl, tempDir, options) {
+  const { appName, iconStyle, themeColor } = options;
+  const svg = createMonogramSvg(appName, pickMonogramColor(themeColor, websiteUrl), iconStyle, websiteUrl);
+
+  await mkdirAsync(tempDir, { recursive: true });
+  const iconPath = path.join(tempDir, 'monogram.svg');
+  await writeFileAsync(iconPath, svg);
+
+  return { success: true, path: iconPath, extension: '.svg', generated: true };
+}
+
+/**
+ * Convert a downloaded or generated icon to the target platform's format
+ */
+async function convertIcon(icon, outputDir, platform) {
   switch (platform) {
     case 'darwin': {
-      // Convert to .icns for macOS
+      // Convert to .icns for macOS; an .icns file can be used as-is
       const icnsPath = path.join(outputDir, 'AppIcon.icns');
-      
-      // If it's SVG, we need to convert to PNG first
-      if (downloaded.extension === '.svg') {
-        try {
-          const pngPath = path.join(tempDir, 'icon.png');
-          // Try using qlmanage or sips for SVG conversion
-          await execAsync(`qlmanage -t -s 1024 -o "${tempDir}" "${downloaded.path}" 2>/dev/null || sips -s format png "${downloaded.path}" --out "${pngPath}" 2>/dev/null`);
-          downloaded.path = pngPath;
-        } catch {
-          // SVG conversion failed, try anyway
-        }
+      if (icon.extension === '.icns') {
+        fs.copyFileSync(icon.path, icnsPath);
+        return { success: true, path: icnsPath };
       }
-      
-      result = await convertToIcns(downloaded.path, icnsPath);
-      break;
+      return convertToIcns(icon.path, icnsPath);
     }
-    
-    case 'win32': {
+
+    case 'win32':
       // Convert to .ico for Windows
-      const icoPath = path.join(outputDir, 'app.ico');
-      result = await convertToIco(downloaded.path, icoPath);
-      break;
-    }
-    
-    case 'linux': {
+      return convertToIco(icon.path, path.join(outputDir, 'app.ico'));
+
+    case 'linux':
       // Use PNG for Linux
-      const pngPath = path.join(outputDir, 'icon.png');
-      
-      if (downloaded.extension === '.png') {
-        fs.copyFileSync(downloaded.path, pngPath);
-        result = { success: true, path: pngPath };
-      } else {
-        // Try to convert to PNG using sips or ImageMagick
-        try {
-          await execAsync(`sips -s format png "${downloaded.path}" --out "${pngPath}" 2>/dev/null || convert "${downloaded.path}" "${pngPath}"`);
-          result = { success: true, path: pngPath };
-        } catch {
-          // Just copy as-is
-          fs.copyFileSync(downloaded.path, pngPath);
-          result = { success: true, path: pngPath };
-        }
-      }
-      break;
-    }
-    
+      return convertToPng(icon.path, path.join(outputDir, 'icon.png'));
+
     default:
-      result = { success: false, error: `Unsupported platform: ${platform}` };
+      return { success: false, error: `Unsupported platform: ${platform}` };
   }
+}
+
+/**
+ * Prepare icon for the target platform.
+ * A custom icon source (local file or URL) skips the website's icon discovery, which uses
+ * `options.page` when the website was already fetched (see fetchWebPage).
+ * When the website has no usable icon, a monogram of the app name's initials
+ * is generated instead (`generated: true` in the result).
+ */
+async function prepareIcon(websiteUrl, outputDir, platform, options = {}) {
+  const { iconSource } = options;
+  const tempDir = path.join(outputDir, '.icon-temp');
+  let downloaded;
+  let themeColor = null;
 
-  // Clean up temp directory
   try {
-    await execAsync(`rm -rf "${tempDir}"`);
-  } catch {}
+    if (iconSource && !/^https?:\/\//i.test(iconSource)) {
+      downloaded = await copyLocalIcon(expandHomePath(iconSource), tempDir);
+      if (!downloaded.success) {
+        return { success: false, error: `Failed to read icon: ${downloaded.error}` };
+      }
+    } else {
+      // Get best icon URL, unless one was given
+      let iconUrl = iconSource;
+      if (!iconUrl) {
+        ({ iconUrl, themeColor } = discoverIcon(options.page || await fetchWebPage(websiteUrl)));
+      }
+
+      // Colors stored from the site's manifest take precedence
+      themeColor = options.themeColor || themeColor;
+
+      // Download the icon
+      downloaded = await downloadIcon(iconUrl, tempDir);
+      if (iconSource) {
+        if (!downloaded.success) {
+          return { success: false, error: `Failed to download icon: ${downloaded.error}` };
+        }
+        if (!downloaded.detected) {
+          return { success: false, error: `${iconSource} is not a PNG, JPEG, SVG, ICO or ICNS image` };
+        }
+      } else if (!downloaded.success || !downloaded.detected) {
+        downloaded = await writeMonogramIcon(websiteUrl, tempDir, { ...options, themeColor });
+      }
+    }
 
-  return result;
+    let result = await convertIcon(downloaded, outputDir, platform);
+
+    // A site icon that turns out to be unreadable gets a monogram too
+    if (!result.success && !iconSource && !downloaded.generated) {
+      downloaded = await writeMonogramIcon(websiteUrl, tempDir, { ...options, themeColor });
+      result = await convertIcon(downloaded, outputDir, platform);
+    }
+
+    if (result.success && downloaded.generated) {
+      result.generated = true;
+    }
+
+    return result;
+  } finally {
+    // Clean up temp directory
+    await rmAsync(tempDir, { recursive: true, force: true });
+  }
 }
 
 module.exports = {
-  getBestIconUrl,
+  fetchWebPage,
+  DISPLAY_MODES,
   downloadIcon,
   prepareIcon,
   convertToIcns,
   convertToIco,
+  convertToPng,
 };
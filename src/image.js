@@ -0,0 +1,802 @@
+const zlib = require('zlib');
+const jpeg = require('jpeg-js');
+
+// Images are passed around as { width, height, data } with data holding
+// 8-bit RGBA pixels (straight, not premultiplied, alpha), row by row.
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Largest PNG (or ICO bitmap) decoded, so a huge (or hostile) favicon can't exhaust memory;
+// icons never need more than this
+const MAX_PNG_PIXELS = 4096 * 4096;
+
+// Sizes Windows picks from when showing shortcut icons
+const ICO_SIZES = [16, 24, 32, 48, 64, 128, 256];
+
+// Sizes of the PNGs installed into a freedesktop icon theme such as hicolor
+const THEME_ICON_SIZES = [16, 24, 32, 48, 64, 128, 256, 512];
+
+// PNG-based .icns entries and the pixel size each one holds
+const ICNS_TYPES = [
+  ['icp4', 16],
+  ['icp5', 32],
+  ['ic11', 32],
+  ['icp6', 64],
+  ['ic12', 64],
+  ['ic07', 128],
+  ['ic08', 256],
+  ['ic13', 256],
+  ['ic09', 512],
+  ['ic14', 512],
+  ['ic10', 1024],
+];
+
+/**
+ * Detect an image format from its contents, returning the matching file extension
+ */
+function detectImageFormat(data) {
+  if (data.length >= 8 && data.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    return '.png';
+  }
+  if (data.length >= 3 && data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) {
+    return '.jpg';
+  }
+  if (data.length >= 6 && data.readUInt32BE(0) === 0x00000100 && data.readUInt16LE(4) > 0) {
+    return '.ico';
+  }
+  if (data.length >= 8 && data.toString('latin1', 0, 4) === 'icns') {
+    return '.icns';
+  }
+
+  const head = data.toString('utf8', 0, Math.min(data.length, 1024)).trimStart();
+  if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*|<!DOCTYPE[^>]*>\s*)*<svg[\s>]/i.test(head)) {
+    return '.svg';
+  }
+
+  return null;
+}
+
+/**
+ * Create a blank, fully transparent image
+ */
+function createImage(width, height) {
+  return { width, height, data: Buffer.alloc(width * height * 4) };
+}
+
+// ---------------------------------------------------------------------------
+// PNG
+// ---------------------------------------------------------------------------
+
+const CRC_TABLE = (() => {
+  const table = new Int32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c;
+  }
+  return table;
+})();
+
+/**
+ * Compute the CRC-32 of a PNG chunk's type and data
+ */
+function crc32(buffer) {
+  let crc = -1;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+/**
+ * Paeth predictor from the PNG specification
+ */
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  if (pb <= pc) return b;
+  return c;
+}
+
+/**
+ * Undo the filter of one scanline in place
+ */
+function unfilterRow(type, row, prev, bpp) {
+  for (let i = 0; i < row.length; i++) {
+    const a = i >= bpp ? row[i - bpp] : 0;
+    const b = prev[i];
+    const c = i >= bpp ? prev[i - bpp] : 0;
+
+    switch (type) {
+      case 0:
+        break;
+      case 1:
+        row[i] = (row[i] + a) & 0xff;
+        break;
+      case 2:
+        row[i] = (row[i] + b) & 0xff;
+        break;
+      case 3:
+        row[i] = (row[i] + ((a + b) >> 1)) & 0xff;
+        break;
+      case 4:
+        row[i] = (row[i] + paeth(a, b, c)) & 0xff;
+        break;
+      default:
+        throw new Error(`Invalid PNG filter type ${type}`);
+    }
+  }
+}
+
+/**
+ * Decode a PNG of any standard color type, bit depth and interlacing
+ */
+function decodePng(buffer) {
+  if (buffer.length < 8 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw new Error('Not a PNG image');
+  }
+
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const idat = [];
+
+  let offset = 8;
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    offset += 12 + length;
+
+    if (type === 'IHDR') {
+      header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12],
+      };
+    } else if (type === 'PLTE') {
+      palette = data;
+    } else if (type === 'tRNS') {
+      transparency = data;
+    } else if (type === 'IDAT') {
+      idat.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+
+  if (!header || idat.length === 0) {
+    throw new Error('PNG image is missing its header or image data');
+  }
+
+  const { width, height, bitDepth, colorType, interlace } = header;
+  if (width === 0 || height === 0 || width * height > MAX_PNG_PIXELS) {
+    throw new Error(`PNG image is too large (${width}x${height}, at most ${MAX_PNG_PIXELS} pixels)`);
+  }
+  const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType];
+  if (!channels || ![1, 2, 4, 8, 16].includes(bitDepth)) {
+    throw new Error(`Unsupported PNG format (color type ${colorType}, bit depth ${bitDepth})`);
+  }
+  if (colorType === 3 && !palette) {
+    throw new Error('Palette PNG image has no palette');
+  }
+
+  const bitsPerPixel = channels * bitDepth;
+  // Scanlines plus their filter bytes; interlaced images add a few rows per pass, so allow twice that
+  const rawLimit = 2 * height * (Math.ceil((width * bitsPerPixel) / 8) + 1);
+  const raw = zlib.inflateSync(Buffer.concat(idat), { maxOutputLength: rawLimit });
+  const image = createImage(width, height);
+  const bpp = Math.max(1, bitsPerPixel >> 3);
+  const maxValue = (1 << bitDepth) - 1;
+
+  // Read the raw value of sample `index` in a scanline
+  const sample = (row, index) => {
+    if (bitDepth === 16) return row.readUInt16BE(index * 2);
+    if (bitDepth === 8) return row[index];
+    const bit = index * bitDepth;
+    return (row[bit >> 3] >> (8 - bitDepth - (bit & 7))) & maxValue;
+  };
+  const to8 = value => (bitDepth === 16 ? value >> 8 : Math.round((value * 255) / maxValue));
+
+  const passes = interlace
+    ? [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]]
+    : [[0, 0, 1, 1]];
+
+  let position = 0;
+  for (const [xStart, yStart, xStep, yStep] of passes) {
+    const passWidth = Math.ceil((width - xStart) / xStep);
+    const passHeight = Math.ceil((height - yStart) / yStep);
+    if (passWidth <= 0 || passHeight <= 0) continue;
+
+    const rowBytes = Math.ceil((passWidth * bitsPerPixel) / 8);
+    let prev = Buffer.alloc(rowBytes);
+
+    for (let y = 0; y < passHeight; y++) {
+      const filter = raw[position];
+      const row = Buffer.from(raw.subarray(position + 1, position + 1 + rowBytes));
+      position += rowBytes + 1;
+      unfilterRow(filter, row, prev, bpp);
+
+      for (let x = 0; x < passWidth; x++) {
+        const out = ((yStart + y * yStep) * width + xStart + x * xStep) * 4;
+        const base = x * channels;
+        let r;
+        let g;
+        let b;
+        let a = 255;
+
+        switch (colorType) {
+          case 0: {
+            const value = sample(row, base);
+            r = g = b = to8(value);
+            if (transparency && transparency.length >= 2 && value === transparency.readUInt16BE(0)) a = 0;
+            break;
+          }
+          case 2: {
+            const values = [sample(row, base), sample(row, base + 1), sample(row, base + 2)];
+            [r, g, b] = values.map(to8);
+            if (transparency && transparency.length >= 6 &&
+                values[0] === transparency.readUInt16BE(0) &&
+                values[1] === transparency.readUInt16BE(2) &&
+                values[2] === transparency.readUInt16BE(4)) {
+              a = 0;
+            }
+            break;
+          }
+          case 3: {
+            const index = sample(row, base);
+            r = palette[index * 3] || 0;
+            g = palette[index * 3 + 1] || 0;
+            b = palette[index * 3 + 2] || 0;
+            if (transparency && index < transparency.length) a = transparency[index];
+            break;
+          }
+          case 4:
+            r = g = b = to8(sample(row, base));
+            a = to8(sample(row, base + 1));
+            break;
+          case 6:
+            r = to8(sample(row, base));
+            g = to8(sample(row, base + 1));
+            b = to8(sample(row, base + 2));
+            a = to8(sample(row, base + 3));
+            break;
+        }
+
+        image.data[out] = r;
+        image.data[out + 1] = g;
+        image.data[out + 2] = b;
+        image.data[out + 3] = a;
+      }
+
+      prev = row;
+    }
+  }
+
+  return image;
+}
+
+/**
+ * Build a PNG chunk with its length and CRC
+ */
+function pngChunk(type, data) {
+  const chunk = Buffer.alloc(12 + data.length);
+  chunk.writeUInt32BE(data.length, 0);
+  chunk.write(type, 4, 'latin1');
+  data.copy(chunk, 8);
+  chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+  return chunk;
+}
+
+/**
+ * Encode an image as an 8-bit RGBA PNG, picking the best filter per scanline
+ */
+function encodePng(image) {
+  const { width, height, data } = image;
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  const candidate = Buffer.alloc(stride);
+  let prev = Buffer.alloc(stride);
+
+  for (let y = 0; y < height; y++) {
+    const row = data.subarray(y * stride, (y + 1) * stride);
+    let bestScore = Infinity;
+
+    for (let filter = 0; filter <= 4; filter++) {
+      let score = 0;
+      for (let i = 0; i < stride; i++) {
+        const a = i >= 4 ? row[i - 4] : 0;
+        const b = prev[i];
+        const c = i >= 4 ? prev[i - 4] : 0;
+        let predictor = 0;
+        if (filter === 1) predictor = a;
+        else if (filter === 2) predictor = b;
+        else if (filter === 3) predictor = (a + b) >> 1;
+        else if (filter === 4) predictor = paeth(a, b, c);
+        const value = (row[i] - predictor) & 0xff;
+        candidate[i] = value;
+        score += value < 128 ? value : 256 - value;
+      }
+
+      if (score < bestScore) {
+        bestScore = score;
+        raw[y * (stride + 1)] = filter;
+        candidate.copy(raw, y * (stride + 1) + 1);
+      }
+    }
+
+    prev = row;
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 6; // RGBA
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+// ---------------------------------------------------------------------------
+// JPEG, ICO and ICNS
+// ---------------------------------------------------------------------------
+
+/**
+ * Decode a baseline or progressive JPEG
+ */
+function decodeJpeg(buffer) {
+  const decoded = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true, maxMemoryUsageInMB: 256 });
+  return { width: decoded.width, height: decoded.height, data: Buffer.from(decoded.data.buffer) };
+}
+
+/**
+ * Decode a BMP image stored inside an .ico file (no file header, doubled height, AND mask)
+ */
+function decodeIcoBitmap(buffer) {
+  if (buffer.length < 40) {
+    throw new Error('ICO bitmap is truncated');
+  }
+  const headerSize = buffer.readUInt32LE(0);
+  const width = buffer.readInt32LE(4);
+  const height = Math.floor(Math.abs(buffer.readInt32LE(8)) / 2);
+  const bitCount = buffer.readUInt16LE(14);
+  const colorsUsed = buffer.readUInt32LE(32);
+
+  if (width <= 0 || height <= 0) {
+    throw new Error(`ICO bitmap has an invalid size (${width}x${height})`);
+  }
+  if (width * height > MAX_PNG_PIXELS) {
+    throw new Error(`ICO bitmap is too large (${width}x${height}, at most ${MAX_PNG_PIXELS} pixels)`);
+  }
+  if (![1, 4, 8, 24, 32].includes(bitCount)) {
+    throw new Error(`Unsupported ICO bitmap depth ${bitCount}`);
+  }
+
+  const paletteSize = bitCount <= 8 ? colorsUsed || 1 << bitCount : 0;
+  const paletteOffset = headerSize;
+  const pixelOffset = paletteOffset + paletteSize * 4;
+  const stride = Math.floor((width * bitCount + 31) / 32) * 4;
+  const maskOffset = pixelOffset + stride * height;
+  const maskStride = Math.floor((width + 31) / 32) * 4;
+  const hasMask = buffer.length >= maskOffset + maskStride * height;
+  if (paletteSize > 256 || buffer.length < maskOffset) {
+    throw new Error('ICO bitmap is truncated');
+  }
+
+  const image = createImage(width, height);
+  let anyAlpha = false;
+
+  for (let y = 0; y < height; y++) {
+    // Rows are stored bottom-up
+    const row = pixelOffset + (height - 1 - y) * stride;
+    for (let x = 0; x < width; x++) {
+      const out = (y * width + x) * 4;
+      let r;
+      let g;
+      let b;
+      let a = 255;
+
+      if (bitCount === 32) {
+        b = buffer[row + x * 4];
+        g = buffer[row + x * 4 + 1];
+        r = buffer[row + x * 4 + 2];
+        a = buffer[row + x * 4 + 3];
+        if (a) anyAlpha = true;
+      } else if (bitCount === 24) {
+        b = buffer[row + x * 3];
+        g = buffer[row + x * 3 + 1];
+        r = buffer[row + x * 3 + 2];
+      } else {
+        const bit = x * bitCount;
+        const index = (buffer[row + (bit >> 3)] >> (8 - bitCount - (bit & 7))) & ((1 << bitCount) - 1);
+        b = buffer[paletteOffset + index * 4];
+        g = buffer[paletteOffset + index * 4 + 1];
+        r = buffer[paletteOffset + index * 4 + 2];
+      }
+
+      image.data[out] = r;
+      image.data[out + 1] = g;
+      image.data[out + 2] = b;
+      image.data[out + 3] = a;
+    }
+  }
+
+  // Without real alpha, transparency comes from the AND mask
+  if (hasMask && (bitCount !== 32 || !anyAlpha)) {
+    for (let y = 0; y < height; y++) {
+      const row = maskOffset + (height - 1 - y) * maskStride;
+      for (let x = 0; x < width; x++) {
+        const transparent = (buffer[row + (x >> 3)] >> (7 - (x & 7))) & 1;
+        image.data[(y * width + x) * 4 + 3] = transparent ? 0 : 255;
+      }
+    }
+  }
+
+  return image;
+}
+
+/**
+ * Decode the largest image in an .ico file
+ */
+function decodeIco(buffer) {
+  const count = buffer.readUInt16LE(4);
+  let best = null;
+
+  for (let i = 0; i < count; i++) {
+    const entry = 6 + i * 16;
+    if (entry + 16 > buffer.length) break;
+
+    const width = buffer[entry] || 256;
+    const height = buffer[entry + 1] || 256;
+    const bitCount = buffer.readUInt16LE(entry + 6);
+    const size = buffer.readUInt32LE(entry + 8);
+    const offset = buffer.readUInt32LE(entry + 12);
+    const score = width * height * 64 + bitCount;
+
+    if (offset + size <= buffer.length && (!best || score > best.score)) {
+      best = { score, data: buffer.subarray(offset, offset + size) };
+    }
+  }
+
+  if (!best) {
+    throw new Error('ICO file contains no images');
+  }
+
+  return detectImageFormat(best.data) === '.png' ? decodePng(best.data) : decodeIcoBitmap(best.data);
+}
+
+/**
+ * Extract the largest PNG image embedded in a macOS .icns file
+ */
+function extractPngFromIcns(data) {
+  let best = null;
+  let bestWidth = 0;
+  let offset = 8;
+
+  while (offset + 8 <= data.length) {
+    const length = data.readUInt32BE(offset + 4);
+    if (length < 8 || offset + length > data.length) break;
+
+    const chunk = data.subarray(offset + 8, offset + length);
+    if (detectImageFormat(chunk) === '.png' && chunk.length >= 24) {
+      // Width sits in the IHDR chunk right after the signature
+      const width = chunk.readUInt32BE(16);
+      if (width > bestWidth) {
+        best = chunk;
+        bestWidth = width;
+      }
+    }
+
+    offset += length;
+  }
+
+  return best;
+}
+
+/**
+ * Decode a PNG, JPEG, ICO or (PNG-based) ICNS image
+ */
+function decodeImage(buffer) {
+  switch (detectImageFormat(buffer)) {
+    case '.png':
+      return decodePng(buffer);
+    case '.jpg':
+      return decodeJpeg(buffer);
+    case '.ico':
+      return decodeIco(buffer);
+    case '.icns': {
+      const png = extractPngFromIcns(buffer);
+      if (!png) {
+        throw new Error('The .icns file has no PNG image to decode');
+      }
+      return decodePng(png);
+    }
+    case '.svg':
+      throw new Error('SVG images must be rasterized before decoding');
+    default:
+      throw new Error('Unrecognized image format');
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Resampling
+// ---------------------------------------------------------------------------
+
+/**
+ * Lanczos windowed sinc with three lobes
+ */
+function lanczos3(x) {
+  if (x === 0) return 1;
+  if (x <= -3 || x >= 3) return 0;
+  const px = Math.PI * x;
+  return (3 * Math.sin(px) * Math.sin(px / 3)) / (px * px);
+}
+
+/**
+ * Precompute the filter taps mapping each destination pixel to source pixels.
+ * When shrinking, the filter is widened so every source pixel contributes.
+ */
+function computeWeights(srcSize, dstSize) {
+  const ratio = srcSize / dstSize;
+  const filterScale = Math.max(1, ratio);
+  const support = 3 * filterScale;
+  const taps = [];
+
+  for (let i = 0; i < dstSize; i++) {
+    const center = (i + 0.5) * ratio;
+    const first = Math.max(0, Math.floor(center - support));
+    const last = Math.min(srcSize - 1, Math.ceil(center + support));
+    const weights = [];
+    let total = 0;
+
+    for (let j = first; j <= last; j++) {
+      const weight = lanczos3((j + 0.5 - center) / filterScale);
+      weights.push(weight);
+      total += weight;
+    }
+
+    taps.push({ first, weights: weights.map(w => w / total) });
+  }
+
+  return taps;
+}
+
+/**
+ * Resize an image with a separable Lanczos filter.
+ * Works on premultiplied alpha so transparent pixels don't bleed dark fringes.
+ */
+function resizeImage(image, width, height) {
+  const { width: srcWidth, height: srcHeight, data } = image;
+
+  if (srcWidth === width && srcHeight === height) {
+    return { width, height, data: Buffer.from(data) };
+  }
+
+  const source = new Float32Array(srcWidth * srcHeight * 4);
+  for (let i = 0; i < srcWidth * srcHeight; i++) {
+    const alpha = data[i * 4 + 3] / 255;
+    source[i * 4] = data[i * 4] * alpha;
+    source[i * 4 + 1] = data[i * 4 + 1] * alpha;
+    source[i * 4 + 2] = data[i * 4 + 2] * alpha;
+    source[i * 4 + 3] = data[i * 4 + 3];
+  }
+
+  // Horizontal pass
+  const xTaps = computeWeights(srcWidth, width);
+  const horizontal = new Float32Array(width * srcHeight * 4);
+  for (let y = 0; y < srcHeight; y++) {
+    for (let x = 0; x < width; x++) {
+      const { first, weights } = xTaps[x];
+      const out = (y * width + x) * 4;
+      for (let k = 0; k < weights.length; k++) {
+        const src = (y * srcWidth + first + k) * 4;
+        const weight = weights[k];
+        horizontal[out] += source[src] * weight;
+        horizontal[out + 1] += source[src + 1] * weight;
+        horizontal[out + 2] += source[src + 2] * weight;
+        horizontal[out + 3] += source[src + 3] * weight;
+      }
+    }
+  }
+
+  // Vertical pass
+  const yTaps = computeWeights(srcHeight, height);
+  const result = createImage(width, height);
+  const pixel = new Float32Array(4);
+  for (let y = 0; y < height; y++) {
+    const { first, weights } = yTaps[y];
+    for (let x = 0; x < width; x++) {
+      pixel.fill(0);
+      for (let k = 0; k < weights.length; k++) {
+        const src = ((first + k) * width + x) * 4;
+        const weight = weights[k];
+        pixel[0] += horizontal[src] * weight;
+        pixel[1] += horizontal[src + 1] * weight;
+        pixel[2] += horizontal[src + 2] * weight;
+        pixel[3] += horizontal[src + 3] * weight;
+      }
+
+      const out = (y * width + x) * 4;
+      const alpha = Math.min(255, Math.max(0, pixel[3]));
+      const unpremultiply = alpha > 0 ? 255 / alpha : 0;
+      result.data[out] = Math.min(255, Math.max(0, Math.round(pixel[0] * unpremultiply)));
+      result.data[out + 1] = Math.min(255, Math.max(0, Math.round(pixel[1] * unpremultiply)));
+      result.data[out + 2] = Math.min(255, Math.max(0, Math.round(pixel[2] * unpremultiply)));
+      result.data[out + 3] = Math.round(alpha);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Center an image on a transparent square canvas so icons keep their aspect ratio
+ */
+function squareImage(image) {
+  const { width, height, data } = image;
+  if (width === height) {
+    return image;
+  }
+
+  const size = Math.max(width, height);
+  const square = createImage(size, size);
+  const left = Math.floor((size - width) / 2);
+  const top = Math.floor((size - height) / 2);
+
+  for (let y = 0; y < height; y++) {
+    data.copy(square.data, ((top + y) * size + left) * 4, y * width * 4, (y + 1) * width * 4);
+  }
+
+  return square;
+}
+
+/**
+ * Render a square icon at several sizes, once per distinct size.
+ * Vector images (with a render function) are drawn at each size instead of resized.
+ */
+function renderSizes(image, sizes) {
+  const square = image.render ? image : squareImage(image);
+  const rendered = new Map();
+
+  for (const size of sizes) {
+    if (!rendered.has(size)) {
+      rendered.set(size, image.render ? image.render(size, size) : resizeImage(square, size, size));
+    }
+  }
+
+  return rendered;
+}
+
+/**
+ * Encode an icon image as a 32-bit BMP for an .ico entry
+ */
+function encodeIcoBitmap(image) {
+  const { width, height, data } = image;
+  const stride = width * 4;
+  const maskStride = Math.floor((width + 31) / 32) * 4;
+  const bitmap = Buffer.alloc(40 + stride * height + maskStride * height);
+
+  bitmap.writeUInt32LE(40, 0);
+  bitmap.writeInt32LE(width, 4);
+  bitmap.writeInt32LE(height * 2, 8);
+  bitmap.writeUInt16LE(1, 12);
+  bitmap.writeUInt16LE(32, 14);
+  bitmap.writeUInt32LE(stride * height + maskStride * height, 20);
+
+  for (let y = 0; y < height; y++) {
+    // Rows are stored bottom-up
+    const row = 40 + (height - 1 - y) * stride;
+    const maskRow = 40 + stride * height + (height - 1 - y) * maskStride;
+
+    for (let x = 0; x < width; x++) {
+      const src = (y * width + x) * 4;
+      bitmap[row + x * 4] = data[src + 2];
+      bitmap[row + x * 4 + 1] = data[src + 1];
+      bitmap[row + x * 4 + 2] = data[src];
+      bitmap[row + x * 4 + 3] = data[src + 3];
+
+      if (data[src + 3] === 0) {
+        bitmap[maskRow + (x >> 3)] |= 0x80 >> (x & 7);
+      }
+    }
+  }
+
+  return bitmap;
+}
+
+/**
+ * Encode a multi-resolution Windows .ico file.
+ * Small sizes are stored as bitmaps for compatibility, 256px as PNG to keep it small.
+ */
+function encodeIco(image, sizes = ICO_SIZES) {
+  const rendered = renderSizes(image, sizes);
+  const entries = sizes.map(size => {
+    const icon = rendered.get(size);
+    return { size, data: size >= 256 ? encodePng(icon) : encodeIcoBitmap(icon) };
+  });
+
+  const header = Buffer.alloc(6 + entries.length * 16);
+  header.writeUInt16LE(0, 0);
+  header.writeUInt16LE(1, 2);
+  header.writeUInt16LE(entries.length, 4);
+
+  let offset = header.length;
+  entries.forEach(({ size, data }, i) => {
+    const entry = 6 + i * 16;
+    header[entry] = size >= 256 ? 0 : size;
+    header[entry + 1] = size >= 256 ? 0 : size;
+    header.writeUInt16LE(1, entry + 4);
+    header.writeUInt16LE(32, entry + 6);
+    header.writeUInt32LE(data.length, entry + 8);
+    header.writeUInt32LE(offset, entry + 12);
+    offset += data.length;
+  });
+
+  return Buffer.concat([header, ...entries.map(e => e.data)]);
+}
+
+/**
+ * Encode a macOS .icns file with PNG images for every standard and Retina size
+ */
+function encodeIcns(image) {
+  const rendered = renderSizes(image, ICNS_TYPES.map(([, size]) => size));
+  const pngs = new Map();
+  const chunks = [];
+
+  for (const [type, size] of ICNS_TYPES) {
+    if (!pngs.has(size)) {
+      pngs.set(size, encodePng(rendered.get(size)));
+    }
+    const png = pngs.get(size);
+
+    const chunk = Buffer.alloc(8 + png.length);
+    chunk.write(type, 0, 'latin1');
+    chunk.writeUInt32BE(chunk.length, 4);
+    png.copy(chunk, 8);
+    chunks.push(chunk);
+  }
+
+  const header = Buffer.alloc(8);
+  header.write('icns', 0, 'latin1');
+  header.writeUInt32BE(8 + chunks.reduce((total, chunk) => total + chunk.length, 0), 4);
+
+  return Buffer.concat([header, ...chunks]);
+}
+
+/**
+ * Encode an icon as one PNG per icon theme size, for the hicolor/<size>x<size>/apps folders
+ */
+function encodeThemeIcons(image, sizes = THEME_ICON_SIZES) {
+  const rendered = renderSizes(image, sizes);
+  return sizes.map(size => ({ size, data: encodePng(rendered.get(size)) }));
+}
+
+module.exports = {
+  detectImageFormat,
+  extractPngFromIcns,
+  createImage,
+  decodeImage,
+  decodePng,
+  decodeJpeg,
+  decodeIco,
+  encodePng,
+  encodeIco,
+  encodeIcns,
+  encodeThemeIcons,
+  resizeImage,
+  squareImage,
+  ICO_SIZES,
+  THEME_ICON_SIZES,
+};
@@ -1,22 +1,63 @@
 #!/usr/bin/env node
 
-const { program } = require('commander');
+const { program, Option } = require('commander');
 const chalk = require('chalk');
 const ora = require('ora');
-const { installWebApp, uninstallWebApp, listInstalledApps } = require('./installer');
-const { detectBrowser, getSupportedBrowsers } = require('./browser');
-const { validateUrl, getAppNameFromUrl } = require('./utils');
+const readline = require('readline');
+const {
+  createApp,
+  buildApp,
+  removeApp,
+  editApp,
+  launchApp,
+  listApps,
+  detectBrowsers,
+  AppNotFoundError,
+  AmbiguousAppError,
+  BrowserNotFoundError,
+  FileSystemError,
+  InvalidOptionError,
+  WebNestError,
+  getExitCode,
+  describePlan,
+} = require('./api');
+const { getBrowsersConfigPath, listBrowserProfiles } = require('./browser');
+const { getRegistryPath, isSystemApp } = require('./registry');
+const { parseFlags } = require('./utils');
+const { listProfiles, resolveProfile, resetProfile, deleteProfile } = require('./profile');
+const { diagnoseApps, fixApp } = require('./doctor');
+const { loadManifest, planManifest, applyManifestPlan, exportManifest, formatManifest, writeManifest } = require('./manifest');
 
 const VERSION = '1.0.0';
 
+// Set by --json: print one JSON document per command, without spinners or colors
+let jsonOutput = false;
+
+// Declared once and given to every command below, so it works before or after any command name
+const jsonOption = new Option('--json', 'Print the result as a single JSON document instead of text');
+
 program
   .name('webnest')
   .description('Create desktop web apps from URLs using your favorite browser')
   .version(VERSION)
+  // Keep options like --browser and --icon from being claimed by the create command when given to a subcommand
+  .enablePositionalOptions()
   .argument('<url>', 'URL of the website to create a desktop app from')
-  .option('-b, --browser <browser>', 'Browser to use (chrome, edge, brave, comet, atlas)', 'chrome')
+  .option('-b, --browser <browser>', 'Browser to use (default, chrome, edge, brave, comet, atlas, or an id from browsers.json); add a channel as in chrome:beta', 'default')
   .option('-n, --name <name>', 'Custom name for the app (defaults to website title)')
+  .option('-i, --isolated', 'Give the app its own browser profile (separate cookies, extensions and logins)')
+  .option('-p, --profile <profile>', 'Open the app in an existing browser profile (name, email or directory)')
+  .option('--icon <path|url>', 'Use a local image or image URL as the icon (PNG, JPEG, SVG, ICO or ICNS)')
+  .option('--icon-style <style>', 'Shape of the icon generated when the site has none: letter, rounded or circle')
+  .option('--no-manifest', 'Ignore the site\'s web app manifest (name, start URL, display mode and colors)')
+  .option('--flag <flag>', 'Extra browser flag for the app, e.g. --flag=--lang=de (repeatable)', collect, [])
+  .option('--size <WxH>', 'Initial window size, e.g. 1400x900')
+  .option('--dark', 'Force dark mode in the app\'s browser window')
+  .option('--system', 'Install the app for all users of this machine (needs sudo, or an administrator terminal on Windows)')
+  .option('--desktop', 'Also put the app on your desktop')
   .option('-l, --list-browsers', 'List available browsers on this system')
+  .option('--dry-run', 'Show the files and commands creating the app would involve, without changing anything')
+  .addOption(jsonOption)
   .action(async (url, options) => {
     // Handle list browsers option
     if (options.listBrowsers) {
@@ -24,63 +65,7 @@ program
       return;
     }
 
-    // Validate URL
-    if (!validateUrl(url)) {
-      console.error(chalk.red('Error: Invalid URL provided.'));
-      console.error(chalk.yellow('Please provide a valid URL starting with http:// or https://'));
-      process.exit(1);
-    }
-
-    const spinner = ora('Detecting browser...').start();
-
-    try {
-      // Detect browser
-      const browserInfo = await detectBrowser(options.browser);
-      
-      if (!browserInfo.found) {
-        spinner.fail(chalk.red(`Browser "${options.browser}" not found on this system.`));
-        console.log(chalk.yellow('\nAvailable browsers:'));
-        const browsers = await getSupportedBrowsers();
-        browsers.forEach(b => {
-          if (b.available) {
-            console.log(chalk.green(`  ✓ ${b.name}`));
-          }
-        });
-        process.exit(1);
-      }
-
-      spinner.text = `Using ${browserInfo.name}...`;
-      
-      // Get app name
-      const appName = options.name || await getAppNameFromUrl(url);
-      spinner.text = `Creating "${appName}" web app...`;
-
-      // Install the web app
-      const result = await installWebApp({
-        url,
-        appName,
-        browser: browserInfo,
-      });
-
-      if (result.success) {
-        spinner.succeed(chalk.green(`Successfully created "${appName}" web app!`));
-        console.log(chalk.cyan(`\nApp location: ${result.appPath}`));
-        console.log(chalk.gray('\nThe app should now be available in your system\'s app launcher.'));
-        
-        if (result.note) {
-          console.log(chalk.yellow(`\nNote: ${result.note}`));
-        }
-      } else {
-        spinner.fail(chalk.red(`Failed to create web app: ${result.error}`));
-        process.exit(1);
-      }
-    } catch (error) {
-      spinner.fail(chalk.red(`Error: ${error.message}`));
-      if (process.env.DEBUG) {
-        console.error(error);
-      }
-      process.exit(1);
-    }
+    await createWebApp(url, options);
   });
 
 // Handle list-browsers as standalone command
@@ -91,17 +76,84 @@ program
     await listAvailableBrowsers();
   });
 
+// Build command
+program
+  .command('build <url>')
+  .description('Build an app\'s launcher for macOS, Windows or Linux into a folder, from any OS, without installing it')
+  .requiredOption('-t, --target <platform>', 'Platform to build for: darwin, win32 or linux')
+  .requiredOption('-o, --out <dir>', 'Directory to write the launcher and its icons to')
+  .option('-b, --browser <browser>', 'Browser the launcher starts (chrome, edge, brave, comet, atlas, or an id from browsers.json)', 'chrome')
+  .option('--browser-path <path>', 'Browser executable on the target machine (defaults to the browser\'s usual location there)')
+  .option('-n, --name <name>', 'Custom name for the app (defaults to website title)')
+  .option('--icon <path|url>', 'Use a local image or image URL as the icon (PNG, JPEG, SVG, ICO or ICNS)')
+  .option('--icon-style <style>', 'Shape of the icon generated when the site has none: letter, rounded or circle')
+  .option('--no-manifest', 'Ignore the site\'s web app manifest (name, start URL, display mode and colors)')
+  .option('--flag <flag>', 'Extra browser flag for the app, e.g. --flag=--lang=de (repeatable)', collect, [])
+  .option('--size <WxH>', 'Initial window size, e.g. 1400x900')
+  .option('--dark', 'Force dark mode in the app\'s browser window')
+  .option('--dry-run', 'Show the files building the app would write, without writing them')
+  .action(async (url, options) => {
+    await buildWebApp(url, options);
+  });
+
 // Remove/uninstall command
 program
   .command('remove <name>')
   .alias('uninstall')
   .description('Remove a previously created web app')
-  .option('-b, --browser <browser>', 'Browser that was used to create the app (chrome, edge, brave, comet, atlas)', 'chrome')
-  .option('-a, --all', 'Remove app from all browser app directories')
+  .option('-b, --browser <browser>', 'Browser that was used to create the app (chrome, edge, brave, comet, atlas)')
+  .option('-a, --all', 'Remove the app for every browser it was created with')
+  .option('--delete-profile', 'Also delete the app\'s isolated profile data without asking')
+  .option('--keep-profile', 'Keep the app\'s isolated profile data without asking')
+  .option('--system', 'Remove an app installed for all users with --system')
+  .option('--dry-run', 'Show what would be deleted, without changing anything')
   .action(async (name, options) => {
     await removeWebApp(name, options);
   });
 
+// Edit command
+program
+  .command('edit <name>')
+  .description('Change a previously created web app in place')
+  .option('-u, --url <url>', 'New URL for the app to open')
+  .option('-r, --rename <name>', 'New name for the app')
+  .option('-b, --browser <browser>', 'Browser the app was created with (when several apps share the name)')
+  .option('--use-browser <browser>', 'Switch the app to another browser (chrome, edge, brave, comet, atlas)')
+  .option('--icon <path|url>', 'Replace the app icon with a local file or image URL')
+  .option('--icon-style <style>', 'Redraw a generated icon as letter, rounded or circle')
+  .option('--flags <flags>', 'Extra browser flags for the app, replacing the current ones ("" clears them)')
+  .option('--flag <flag>', 'Add a browser flag, replacing one with the same name (repeatable)', collect, [])
+  .option('--remove-flag <name>', 'Remove a browser flag by name, e.g. --remove-flag=--lang (repeatable)', collect, [])
+  .option('--size <WxH>', 'Initial window size, e.g. 1400x900')
+  .option('--dark', 'Force dark mode in the app\'s browser window')
+  .option('--no-dark', 'Stop forcing dark mode')
+  .option('--system', 'Change an app installed for all users with --system')
+  .option('--dry-run', 'Show the files and commands the edit would involve, without changing anything')
+  .action(async (name, options) => {
+    await editWebApp(name, options);
+  });
+
+// Launch command
+program
+  .command('launch <name> [path-or-url]')
+  .alias('open')
+  .description('Open a web app, optionally at a path or URL inside its site')
+  .option('-b, --browser <browser>', 'Browser the app was created with (when several apps share the name)')
+  .option('--system', 'Open an app installed for all users with --system')
+  .action(async (name, target, options) => {
+    await launchWebApp(name, target, options);
+  });
+
+// Doctor command
+program
+  .command('doctor')
+  .description('Check that every web app\'s browser, icon and launcher still work')
+  .option('-b, --browser <browser>', 'Only check apps of this browser')
+  .option('--fix', 'Point launchers at the browser\'s current location and regenerate missing icons')
+  .action(async (options) => {
+    await doctorApps(options);
+  });
+
 // List installed apps command
 program
   .command('installed')
@@ -111,91 +163,613 @@ program
     await listWebApps(options);
   });
 
+// Team manifest commands
+program
+  .command('apply <file>')
+  .description('Create and update apps to match a webnest.json or YAML manifest')
+  .option('--prune', 'Also remove WebNest apps that are not in the manifest')
+  .option('-y, --yes', 'Apply the plan without asking for confirmation')
+  .option('--dry-run', 'Show the files and commands applying the plan would involve, without changing anything')
+  .action(async (file, options) => {
+    await applyManifest(file, options);
+  });
+
+program
+  .command('export [file]')
+  .description('Write the installed apps as a manifest (prints to stdout without a file)')
+  .option('-f, --format <format>', 'Manifest format: json or yaml (defaults to the file extension)')
+  .action(async (file, options) => {
+    await exportApps(file, options);
+  });
+
+// List the browser's own profiles
+program
+  .command('list-profiles')
+  .description('List the profiles of a browser, for use with --profile')
+  .option('-b, --browser <browser>', 'Browser whose profiles to list (chrome, edge, brave, comet, atlas)', 'chrome')
+  .action(async (options) => {
+    await listProfilesOfBrowser(options);
+  });
+
+// Isolated profile commands
+const profileCommand = program
+  .command('profile')
+  .description('Manage isolated browser profiles of web apps created with --isolated');
+
+profileCommand
+  .command('list')
+  .description('List isolated profiles and the apps that use them')
+  .action(async () => {
+    await listIsolatedProfiles();
+  });
+
+profileCommand
+  .command('path <name>')
+  .description('Print the profile directory of an app')
+  .option('-b, --browser <browser>', 'Browser the app was created with')
+  .action(async (name, options) => {
+    await printProfilePath(name, options);
+  });
+
+profileCommand
+  .command('reset <name>')
+  .description('Wipe an app\'s profile so it starts fresh (signs out of everything)')
+  .option('-b, --browser <browser>', 'Browser the app was created with')
+  .action(async (name, options) => {
+    await changeProfile(name, options, resetProfile, 'Reset');
+  });
+
+profileCommand
+  .command('delete <name>')
+  .description('Delete an app\'s profile data, including profiles left behind by removed apps')
+  .option('-b, --browser <browser>', 'Browser the app was created with')
+  .action(async (name, options) => {
+    await changeProfile(name, options, deleteProfile, 'Deleted');
+  });
+
+/**
+ * Collect the values of a repeatable option
+ */
+function collect(value, previous) {
+  return previous.concat([value]);
+}
+
+/**
+ * Start a spinner, which stays silent with --json
+ */
+function startSpinner(text) {
+  return ora({ text, isSilent: jsonOutput }).start();
+}
+
+/**
+ * Print a command's result as a single JSON document
+ */
+function printJson(document) {
+  process.stdout.write(`${JSON.stringify(document, null, 2)}\n`);
+}
+
+/**
+ * Print the steps of a dry run: each file with its contents, and each command
+ */
+function printPlan(steps) {
+  const indent = (text) => text.replace(/\n$/, '').split('\n').map(line => chalk.gray(`        │ ${line}`)).join('\n');
+
+  steps.forEach(step => {
+    switch (step.type) {
+      case 'mkdir':
+        console.log(`  ${chalk.cyan('mkdir')}   ${step.path}`);
+        break;
+      case 'write':
+        if (Buffer.isBuffer(step.contents)) {
+          console.log(`  ${chalk.green('write')}   ${step.path} ${chalk.gray(`(binary, ${step.contents.length} bytes)`)}`);
+        } else {
+          console.log(`  ${chalk.green('write')}   ${step.path}${step.mode ? chalk.gray(` (mode ${step.mode})`) : ''}`);
+          console.log(indent(step.contents));
+        }
+        break;
+      case 'move':
+        console.log(`  ${chalk.yellow('move')}    ${step.from} → ${step.path}`);
+        break;
+      case 'copy':
+        console.log(`  ${chalk.green('copy')}    ${step.from} → ${step.path}`);
+        break;
+      case 'symlink':
+        console.log(`  ${chalk.green('link')}    ${step.path} → ${step.target}`);
+        break;
+      case 'delete':
+        console.log(`  ${chalk.red('delete')}  ${step.path}`);
+        break;
+      case 'exec':
+        console.log(`  ${chalk.magenta('run')}     ${step.command}`);
+        if (step.script) {
+          console.log(chalk.gray(`        ${step.script.path}:`));
+          console.log(indent(step.script.contents));
+        }
+        break;
+      case 'register':
+        console.log(`  ${chalk.cyan('record')}  "${step.entry.name}" (${step.entry.browserId}) in ${getRegistryPath(isSystemApp(step.entry))}`);
+        break;
+      case 'unregister':
+        console.log(`  ${chalk.cyan('forget')}  "${step.entry.name}" (${step.entry.browserId}) in ${getRegistryPath(isSystemApp(step.entry))}`);
+        break;
+    }
+  });
+}
+
+/**
+ * Report a failed command: the error as a JSON document with --json, otherwise a failed spinner and a tip
+ */
+function reportError(spinner, message, error) {
+  if (jsonOutput) {
+    const details = error instanceof WebNestError ? error : { name: error.name, code: 'WEBNEST_ERROR', message: error.message };
+    printJson({ success: false, error: details });
+    return;
+  }
+
+  spinner.fail(chalk.red(message));
+  printErrorHint(error);
+}
+
+/**
+ * Print a browser's note (such as a fallback from the default browser) and version warning
+ */
+function printBrowserNotes(spinner, browser) {
+  if (browser.note) {
+    spinner.info(chalk.yellow(browser.note));
+    spinner.start();
+  }
+  if (browser.warning) {
+    spinner.warn(chalk.yellow(browser.warning));
+    spinner.start();
+  }
+}
+
+/**
+ * Print the tip for an API error, or the error itself in DEBUG mode
+ */
+function printErrorHint(error) {
+  if (error instanceof AppNotFoundError && error.profile) {
+    console.log(chalk.gray('\nTip: Use "webnest profile list" to see all isolated profiles.'));
+  } else if (error instanceof AppNotFoundError) {
+    console.log(chalk.gray('\nTip: Use "webnest installed" to see all installed web apps.'));
+  } else if (error instanceof InvalidOptionError && error.option === 'profile' && error.browser) {
+    console.log(chalk.gray(`\nTip: Use "webnest list-profiles --browser ${error.browser}" to see all profiles.`));
+  }
+  if (process.env.DEBUG) {
+    console.error(error);
+  }
+}
+
+/**
+ * Ask the user a yes/no question; resolves false when there is no terminal to ask on
+ */
+function confirm(question) {
+  if (!process.stdin.isTTY) {
+    return Promise.resolve(false);
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise((resolve) => {
+    rl.question(`${question} (y/N) `, (answer) => {
+      rl.close();
+      resolve(/^y(es)?$/i.test(answer.trim()));
+    });
+  });
+}
+
+async function createWebApp(url, options) {
+  const spinner = startSpinner('Detecting browser...');
+
+  try {
+    const result = await createApp(url, {
+      browser: options.browser,
+      name: options.name,
+      isolated: !!options.isolated,
+      profile: options.profile,
+      icon: options.icon,
+      iconStyle: options.iconStyle,
+      manifest: options.manifest,
+      flags: options.flag,
+      size: options.size,
+      dark: options.dark,
+      system: !!options.system,
+      desktop: !!options.desktop,
+      dryRun: !!options.dryRun,
+      onProgress: (text) => {
+        spinner.text = text;
+      },
+      onBrowser: (browser) => printBrowserNotes(spinner, browser),
+    });
+
+    if (jsonOutput) {
+      printJson({ success: true, ...result, steps: describePlan(result.steps) });
+      return;
+    }
+
+    if (result.dryRun) {
+      spinner.info(`Dry run: creating "${result.app.name}" with ${result.browser.name} would do the following. Nothing was changed.\n`);
+      printPlan(result.steps);
+      console.log();
+      return;
+    }
+
+    spinner.succeed(chalk.green(`Successfully created "${result.app.name}" web app!`));
+    console.log(chalk.cyan(`\nApp location: ${result.appPath}`));
+    console.log(chalk.cyan(`Browser: ${result.browser.name}`));
+    if (result.app.installScope === 'system') {
+      console.log(chalk.cyan('Installed for: all users'));
+    }
+    if (result.app.desktopPath) {
+      console.log(chalk.cyan(`Desktop shortcut: ${result.app.desktopPath}`));
+    }
+    if (result.launchUrl !== url) {
+      console.log(chalk.cyan(`Opens at: ${result.launchUrl} (start URL from the site's manifest)`));
+    }
+    if (result.app.userDataDir) {
+      console.log(chalk.cyan(`Profile data: ${result.app.userDataDir}`));
+    }
+    if (result.profile) {
+      console.log(chalk.cyan(`Browser profile: ${result.profile.name} (${result.profile.directory})`));
+    }
+    console.log(chalk.gray('\nThe app should now be available in your system\'s app launcher.'));
+
+    if (result.note) {
+      console.log(chalk.yellow(`\nNote: ${result.note}`));
+    }
+  } catch (error) {
+    reportError(spinner, `Failed to create web app: ${error.message}`, error);
+
+    if (error instanceof BrowserNotFoundError && !jsonOutput) {
+      console.log(chalk.yellow('\nAvailable browsers:'));
+      const browsers = await detectBrowsers();
+      browsers.forEach(b => {
+        if (b.available) {
+          console.log(chalk.green(`  ✓ ${b.name}`));
+        }
+      });
+    }
+    process.exit(getExitCode(error));
+  }
+}
+
+async function buildWebApp(url, options) {
+  const spinner = startSpinner('Reading website...');
+
+  try {
+    const result = await buildApp(url, {
+      target: options.target,
+      outDir: options.out,
+      browser: options.browser,
+      browserPath: options.browserPath,
+      name: options.name,
+      icon: options.icon,
+      iconStyle: options.iconStyle,
+      manifest: options.manifest,
+      flags: options.flag,
+      size: options.size,
+      dark: options.dark,
+      dryRun: !!options.dryRun,
+      onProgress: (text) => {
+        spinner.text = text;
+      },
+    });
+
+    if (jsonOutput) {
+      printJson({ success: true, ...result, steps: describePlan(result.steps) });
+      return;
+    }
+
+    if (result.dryRun) {
+      spinner.info(`Dry run: building "${result.name}" for ${result.target} would do the following. Nothing was written.\n`);
+      printPlan(result.steps);
+      console.log();
+      return;
+    }
+
+    spinner.succeed(chalk.green(`Built "${result.name}" for ${result.target}!`));
+    console.log(chalk.cyan(`\nLauncher: ${result.appPath}`));
+    if (result.iconPath) {
+      console.log(chalk.cyan(`Icon: ${result.iconPath}`));
+    }
+    console.log(chalk.cyan(`Browser: ${result.browser.name} (${result.browser.path})`));
+    if (result.launchUrl !== url) {
+      console.log(chalk.cyan(`Opens at: ${result.launchUrl} (start URL from the site's manifest)`));
+    }
+
+    if (result.note) {
+      console.log(chalk.yellow(`\nNote: ${result.note}`));
+    }
+  } catch (error) {
+    reportError(spinner, `Failed to build web app: ${error.message}`, error);
+    process.exit(getExitCode(error));
+  }
+}
+
 async function listAvailableBrowsers() {
-  const spinner = ora('Detecting available browsers...').start();
+  const spinner = startSpinner('Detecting available browsers...');
   
   try {
-    const browsers = await getSupportedBrowsers();
+    const browsers = await detectBrowsers();
     spinner.stop();
+
+    if (jsonOutput) {
+      printJson({ success: true, browsers, configPath: getBrowsersConfigPath() });
+      return;
+    }
     
     console.log(chalk.cyan('\nAvailable browsers for web app creation:\n'));
     
+    const nameWidth = Math.max(15, ...browsers.map(browser => browser.name.length));
     browsers.forEach(browser => {
+      let tag = '';
+      if (browser.custom) {
+        tag = chalk.gray(` (custom: ${browser.id})`);
+      } else if (browser.autoDetected) {
+        tag = chalk.gray(` (auto-detected: ${browser.id})`);
+      } else if (browser.channel) {
+        tag = chalk.gray(` (${browser.id})`);
+      }
       if (browser.available) {
-        console.log(chalk.green(`  ✓ ${browser.name.padEnd(15)} - ${browser.path}`));
+        const location = browser.sandbox === 'flatpak' ? `flatpak run ${browser.flatpakId}` : browser.path;
+        const sandbox = browser.sandbox ? chalk.cyan(` [${browser.sandbox}]`) : '';
+        const version = (browser.version || '?').padEnd(15);
+        console.log(chalk.green(`  ✓ ${browser.name.padEnd(nameWidth)} ${version} - ${location}`) + sandbox + tag);
+        if (browser.warning) {
+          console.log(chalk.yellow(`      ⚠ ${browser.warning}`));
+        }
       } else {
-        console.log(chalk.gray(`  ✗ ${browser.name.padEnd(15)} - Not installed`));
+        console.log(chalk.gray(`  ✗ ${browser.name.padEnd(nameWidth)} ${''.padEnd(15)} - Not installed`) + tag);
       }
     });
     
-    console.log(chalk.gray('\nUsage: webnest <url> --browser <browser-name>\n'));
+    console.log(chalk.gray('\nUsage: webnest <url> --browser <browser-name>[:<channel>]'));
+    console.log(chalk.gray(`Add more Chromium-based browsers in ${getBrowsersConfigPath()}\n`));
   } catch (error) {
-    spinner.fail(chalk.red(`Error detecting browsers: ${error.message}`));
-    process.exit(1);
+    reportError(spinner, `Error detecting browsers: ${error.message}`, error);
+    process.exit(getExitCode(error));
   }
 }
 
 async function removeWebApp(name, options) {
-  const spinner = ora(`Searching for "${name}" web app...`).start();
+  const spinner = startSpinner(`Searching for "${name}" web app...`);
 
   try {
-    const browsers = options.all 
-      ? ['chrome', 'edge', 'brave', 'chromium', 'comet', 'atlas']
-      : [options.browser];
-
-    let removedCount = 0;
-    let errors = [];
-
-    for (const browserId of browsers) {
-      const result = await uninstallWebApp(name, browserId);
-      
-      if (result.success) {
-        removedCount++;
-        spinner.succeed(chalk.green(`Removed "${name}" from ${result.browserName} apps`));
-        console.log(chalk.gray(`  Deleted: ${result.appPath}`));
-      } else if (result.notFound) {
-        // App not found for this browser, continue silently unless it's the only browser
-        if (!options.all) {
-          errors.push(result.error);
+    const result = await removeApp(name, {
+      browser: options.browser,
+      all: !!options.all,
+      deleteProfile: !!options.deleteProfile,
+      system: !!options.system,
+      dryRun: !!options.dryRun,
+    });
+    if (jsonOutput) {
+      printJson({ success: true, ...result, removed: result.removed.map(app => ({ ...app, steps: describePlan(app.steps) })) });
+      return;
+    }
+
+    if (options.dryRun) {
+      for (const app of result.removed) {
+        spinner.info(`Dry run: removing "${name}" from ${app.browserName} apps would do the following. Nothing was changed.\n`);
+        printPlan(app.steps);
+        if (app.userDataDir && !options.deleteProfile) {
+          console.log(chalk.gray(`\n  Its isolated profile data (${app.userDataDir}) would be kept unless you confirm deleting it.`));
+        }
+        console.log();
+      }
+      result.errors.forEach(err => console.log(chalk.yellow(`  ${err}`)));
+      return;
+    }
+
+    const errors = [...result.errors];
+
+    for (const app of result.removed) {
+      spinner.succeed(chalk.green(`Removed "${name}" from ${app.browserName} apps`));
+      console.log(chalk.gray(`  Deleted: ${app.appPath}`));
+      if (app.desktopPath) {
+        console.log(chalk.gray(`  Deleted: ${app.desktopPath}`));
+      }
+
+      if (app.profileDeleted) {
+        console.log(chalk.gray(`  Deleted: ${app.userDataDir}`));
+      } else if (app.userDataDir && !options.keepProfile) {
+        if (await confirm(chalk.yellow(`  Also delete its isolated profile data (${app.userDataDir})?`))) {
+          const deleted = await deleteProfile(app.userDataDir);
+          if (deleted.success) {
+            console.log(chalk.gray(`  Deleted: ${deleted.path}`));
+          } else {
+            errors.push(deleted.error);
+          }
+        } else {
+          console.log(chalk.gray(`  Kept profile data. Delete it later with: webnest profile delete ${app.id}`));
         }
-      } else {
-        errors.push(result.error);
       }
     }
 
-    if (removedCount === 0) {
+    errors.forEach(err => console.log(chalk.yellow(`  ${err}`)));
+    if (options.all) {
+      console.log(chalk.green(`\n✓ Removed ${result.removed.length} instance(s) of "${name}"`));
+    }
+  } catch (error) {
+    if (error instanceof AppNotFoundError && !jsonOutput) {
       spinner.fail(chalk.red(`Web app "${name}" not found.`));
+      console.log(chalk.yellow(`  ${error.message}`));
+      printErrorHint(error);
+    } else {
+      reportError(spinner, `Error removing web app: ${error.message}`, error);
+    }
+    process.exit(getExitCode(error));
+  }
+}
+
+async function editWebApp(name, options) {
+  const spinner = startSpinner(`Updating "${name}" web app...`);
+
+  try {
+    const result = await editApp(name, {
+      url: options.url,
+      name: options.rename,
+      icon: options.icon,
+      iconStyle: options.iconStyle,
+      flags: options.flags !== undefined ? parseFlags(options.flags) : undefined,
+      addFlags: options.flag,
+      removeFlags: options.removeFlag,
+      size: options.size,
+      dark: options.dark,
+      useBrowser: options.useBrowser,
+    }, {
+      browser: options.browser,
+      system: !!options.system,
+      dryRun: !!options.dryRun,
+      onBrowser: (browser) => printBrowserNotes(spinner, browser),
+    });
+
+    if (jsonOutput) {
+      printJson({ success: true, ...result, steps: describePlan(result.steps) });
+      return;
+    }
+
+    if (result.dryRun) {
+      spinner.info(`Dry run: updating "${name}" would do the following. Nothing was changed.\n`);
+      printPlan(result.steps);
+      console.log();
+      return;
+    }
+
+    spinner.succeed(chalk.green(`Updated "${result.app.name}" web app`));
+    console.log(chalk.cyan(`\nApp location: ${result.appPath}`));
+
+    if (result.note) {
+      console.log(chalk.yellow(`\nNote: ${result.note}`));
+    }
+  } catch (error) {
+    reportError(spinner, `Failed to edit web app: ${error.message}`, error);
+    process.exit(getExitCode(error));
+  }
+}
+
+async function launchWebApp(name, target, options) {
+  const spinner = startSpinner(`Opening "${name}"...`);
+
+  try {
+    const result = await launchApp(name, target, { browser: options.browser, system: !!options.system });
+
+    if (jsonOutput) {
+      printJson({ success: true, ...result });
+      return;
+    }
+
+    spinner.succeed(chalk.green(`Opened "${result.app.name}" in ${result.app.browser}`));
+    console.log(chalk.cyan(`URL: ${result.url}`));
+    console.log(chalk.gray(`Command: ${result.command.map(arg => (/[\s"]/.test(arg) ? JSON.stringify(arg) : arg)).join(' ')}`));
+  } catch (error) {
+    reportError(spinner, `Failed to open web app: ${error.message}`, error);
+    process.exit(getExitCode(error));
+  }
+}
+
+async function doctorApps(options) {
+  const spinner = startSpinner('Checking web apps...');
+
+  try {
+    const reports = await diagnoseApps(options.browser);
+    spinner.stop();
+
+    if (reports.length === 0) {
+      if (jsonOutput) {
+        printJson({ success: true, apps: [] });
+      } else {
+        console.log(chalk.yellow('\nNo web apps found.'));
+      }
+      return;
+    }
+
+    if (!jsonOutput) {
+      console.log(chalk.cyan(`\nChecked ${reports.length} web app(s):\n`));
+    }
+
+    const results = [];
+    let remaining = 0;
+    let warnings = 0;
+    let fixable = 0;
+    for (const report of reports) {
+      let { problems } = report;
+      let fixed = [];
+      let fixError = null;
+
+      if (options.fix && problems.some(problem => problem.fix)) {
+        const result = await fixApp(report);
+        if (result.success) {
+          fixed = result.fixed;
+          problems = problems.filter(problem => !fixed.includes(problem));
+        } else {
+          fixError = result.error;
+        }
+      }
+
+      const errors = problems.filter(problem => problem.severity === 'error');
+      remaining += errors.length;
+      warnings += problems.length - errors.length;
+      fixable += problems.filter(problem => problem.fix).length;
+      results.push({ app: report.app, problems, fixed, fixError });
+
+      if (jsonOutput) {
+        continue;
+      }
+
+      if (fixError) {
+        console.log(chalk.red(`  ✗ Could not fix "${report.app.name}": ${fixError}`));
+      }
+
+      const label = `${report.app.name} (${report.app.browser})`;
       if (errors.length > 0) {
-        errors.forEach(err => console.log(chalk.yellow(`  ${err}`)));
+        console.log(chalk.red(`  ✗ ${label}`));
+      } else if (problems.length > 0) {
+        console.log(chalk.yellow(`  ⚠ ${label}`));
+      } else {
+        console.log(chalk.green(`  ✓ ${label}`));
+      }
+
+      fixed.forEach(problem => console.log(chalk.green(`      fixed: ${problem.message}`)));
+      problems.forEach(problem => {
+        const color = problem.severity === 'error' ? chalk.red : chalk.yellow;
+        console.log(color(`      ${problem.message}`) + (problem.fix ? chalk.gray(' (fixable)') : ''));
+      });
+    }
+
+    if (jsonOutput) {
+      printJson({ success: remaining === 0, apps: results });
+    } else if (remaining === 0) {
+      const suffix = warnings > 0 ? ` (${warnings} warning(s))` : '';
+      console.log(chalk.green(`\nNo problems found${suffix}.\n`));
+    } else {
+      console.log(chalk.red(`\n${remaining} problem(s) found.`));
+      if (fixable > 0) {
+        console.log(chalk.gray(`Run "webnest doctor --fix" to repair ${fixable} of them.`));
       }
-      console.log(chalk.gray('\nTip: Use "webnest installed" to see all installed web apps.'));
+      console.log();
+    }
+
+    if (remaining > 0) {
       process.exit(1);
-    } else if (removedCount > 0 && options.all) {
-      console.log(chalk.green(`\n✓ Removed ${removedCount} instance(s) of "${name}"`));
     }
   } catch (error) {
-    spinner.fail(chalk.red(`Error removing web app: ${error.message}`));
-    process.exit(1);
+    reportError(spinner, `Error checking web apps: ${error.message}`, error);
+    process.exit(getExitCode(error));
   }
 }
 
 async function listWebApps(options) {
-  const spinner = ora('Scanning for installed web apps...').start();
+  const spinner = startSpinner('Reading installed web apps...');
 
   try {
-    const browsers = options.browser 
-      ? [options.browser]
-      : ['chrome', 'edge', 'brave', 'chromium', 'comet', 'atlas'];
+    const allApps = await listApps({ browser: options.browser });
 
-    const allApps = [];
+    spinner.stop();
 
-    for (const browserId of browsers) {
-      const apps = await listInstalledApps(browserId);
-      allApps.push(...apps);
+    if (jsonOutput) {
+      printJson({ success: true, apps: allApps });
+      return;
     }
 
-    spinner.stop();
-
     if (allApps.length === 0) {
       console.log(chalk.yellow('\nNo web apps found.'));
       console.log(chalk.gray('Create one with: webnest <url> --browser <browser>\n'));
@@ -205,15 +779,296 @@ async function listWebApps(options) {
     console.log(chalk.cyan(`\nInstalled web apps (${allApps.length}):\n`));
 
     allApps.forEach(app => {
-      console.log(chalk.green(`  ${app.name.padEnd(25)} - ${app.browser}`));
-      console.log(chalk.gray(`    ${app.path}`));
+      const scope = app.installScope === 'system' ? chalk.cyan(' [all users]') : '';
+      console.log(chalk.green(`  ${app.name.padEnd(25)} - ${app.browser}`) + scope);
+      console.log(chalk.gray(`    ${app.path}${app.missing ? chalk.yellow(' (launcher missing)') : ''}`));
     });
 
-    console.log(chalk.gray('\nRemove with: webnest remove <name> --browser <browser>\n'));
+    const systemHint = allApps.some(app => app.installScope === 'system') ? ' (add --system for apps for all users)' : '';
+    console.log(chalk.gray(`\nRemove with: webnest remove <name> --browser <browser>${systemHint}\n`));
   } catch (error) {
-    spinner.fail(chalk.red(`Error listing web apps: ${error.message}`));
-    process.exit(1);
+    reportError(spinner, `Error listing web apps: ${error.message}`, error);
+    process.exit(getExitCode(error));
   }
 }
 
+function printManifestPlan(plan) {
+  plan.create.forEach(({ app }) => {
+    console.log(chalk.green(`  + create  ${app.name} (${app.browser}) - ${app.url}`));
+  });
+  plan.update.forEach(({ entry, changes }) => {
+    const fields = Object.keys(changes).map(field => (field === 'iconSource' ? 'icon' : field)).join(', ');
+    console.log(chalk.yellow(`  ~ update  ${entry.name} (${entry.browserId}) - ${fields}`));
+  });
+  plan.delete.forEach(({ entry }) => {
+    console.log(chalk.red(`  - delete  ${entry.name} (${entry.browserId})`));
+  });
+}
+
+async function applyManifest(file, options) {
+  const spinner = startSpinner('Reading manifest...');
+
+  try {
+    const loaded = await loadManifest(file);
+    if (!loaded.success) {
+      throw new InvalidOptionError(loaded.error, { option: 'file' });
+    }
+
+    const plan = await planManifest(loaded.manifest, { prune: options.prune });
+    spinner.stop();
+
+    if (plan.errors.length > 0) {
+      throw new InvalidOptionError(`The manifest can't be applied:\n${plan.errors.map(err => `  ${err}`).join('\n')}`, { option: 'file', errors: plan.errors });
+    }
+
+    const total = plan.create.length + plan.update.length + plan.delete.length;
+    if (total === 0) {
+      if (jsonOutput) {
+        printJson({ success: true, dryRun: !!options.dryRun, unchanged: plan.unchanged.length, results: [] });
+      } else {
+        console.log(chalk.green(`\nAll ${plan.unchanged.length} app(s) are up to date.\n`));
+      }
+      return;
+    }
+
+    if (!jsonOutput) {
+      console.log(chalk.cyan('\nPlan:\n'));
+      printManifestPlan(plan);
+      console.log(chalk.gray(`\n  ${plan.create.length} to create, ${plan.update.length} to update, ${plan.delete.length} to delete, ${plan.unchanged.length} unchanged\n`));
+    }
+
+    if (!options.yes && !options.dryRun) {
+      // With --json there is no prompt to answer, so the plan must be confirmed with --yes
+      if (jsonOutput || !process.stdin.isTTY) {
+        throw new InvalidOptionError('Refusing to apply without confirmation. Re-run with --yes.', { option: 'yes' });
+      }
+      if (!await confirm('Apply these changes?')) {
+        console.log(chalk.gray('Nothing changed.'));
+        return;
+      }
+    }
+
+    spinner.start('Applying manifest...');
+    const done = options.dryRun
+      ? { create: 'Would create', update: 'Would update', delete: 'Would remove' }
+      : { create: 'Created', update: 'Updated', delete: 'Removed' };
+    let failures = 0;
+
+    const results = await applyManifestPlan(plan, {
+      dryRun: !!options.dryRun,
+      onStep: (step) => {
+        if (step.success) {
+          spinner.succeed(chalk.green(`${done[step.action]} "${step.name}"`));
+          if (step.dryRun && !jsonOutput) {
+            printPlan(step.steps);
+            console.log();
+          }
+        } else {
+          failures++;
+          spinner.fail(chalk.red(`Failed to ${step.action} "${step.name}": ${step.error}`));
+        }
+        spinner.start('Applying manifest...');
+      },
+    });
+
+    spinner.stop();
+
+    if (jsonOutput) {
+      printJson({
+        success: failures === 0,
+        dryRun: !!options.dryRun,
+        unchanged: plan.unchanged.length,
+        results: results.map(step => (step.steps ? { ...step, steps: describePlan(step.steps) } : step)),
+      });
+    } else if (failures > 0) {
+      console.log(chalk.red(`\n${failures} change(s) failed.`));
+    } else if (options.dryRun) {
+      console.log(chalk.gray('Dry run: nothing was changed.\n'));
+    } else {
+      console.log(chalk.green(`\n✓ Applied ${total} change(s)`));
+    }
+
+    if (failures > 0) {
+      process.exit(1);
+    }
+  } catch (error) {
+    reportError(spinner, `Error applying manifest: ${error.message}`, error);
+    process.exit(getExitCode(error));
+  }
+}
+
+async function exportApps(file, options) {
+  const spinner = startSpinner('Reading installed web apps...');
+
+  try {
+    const format = options.format && options.format.toLowerCase();
+    if (format && format !== 'json' && format !== 'yaml') {
+      throw new InvalidOptionError(`Unknown format "${options.format}". Use json or yaml.`, { option: 'format' });
+    }
+
+    if (!file) {
+      const manifest = await exportManifest();
+      spinner.stop();
+      // The manifest is JSON already; --json keeps it from being printed as YAML
+      process.stdout.write(formatManifest(manifest, jsonOutput ? 'json' : format || 'json'));
+      return;
+    }
+
+    const manifest = await writeManifest(file, format);
+    spinner.stop();
+
+    if (jsonOutput) {
+      printJson({ success: true, path: file, count: manifest.apps.length });
+      return;
+    }
+    console.log(chalk.green(`Exported ${manifest.apps.length} app(s) to ${file}`));
+  } catch (error) {
+    reportError(spinner, `Error exporting apps: ${error.message}`, error);
+    process.exit(getExitCode(error));
+  }
+}
+
+async function listProfilesOfBrowser(options) {
+  const spinner = startSpinner('Reading browser profiles...');
+
+  try {
+    const result = await listBrowserProfiles(options.browser);
+    spinner.stop();
+    if (!result.success) {
+      throw result.notFound
+        ? new BrowserNotFoundError(result.error, { browser: options.browser })
+        : new InvalidOptionError(result.error, { option: 'browser' });
+    }
+
+    if (jsonOutput) {
+      printJson({ success: true, browser: options.browser, browserName: result.browserName, profiles: result.profiles });
+      return;
+    }
+
+    if (result.profiles.length === 0) {
+      console.log(chalk.yellow(`\nNo ${result.browserName} profiles found.\n`));
+      return;
+    }
+
+    console.log(chalk.cyan(`\n${result.browserName} profiles:\n`));
+
+    result.profiles.forEach(profile => {
+      const email = profile.email ? chalk.gray(` <${profile.email}>`) : '';
+      console.log(`  ${chalk.green(profile.name.padEnd(20))} ${chalk.gray(profile.directory.padEnd(12))}${email}`);
+    });
+
+    console.log(chalk.gray(`\nUsage: webnest <url> --browser ${options.browser} --profile "<name>"\n`));
+  } catch (error) {
+    reportError(spinner, `Error listing profiles: ${error.message}`, error);
+    process.exit(getExitCode(error));
+  }
+}
+
+async function listIsolatedProfiles() {
+  const spinner = startSpinner('Reading isolated profiles...');
+
+  try {
+    const profiles = await listProfiles();
+    spinner.stop();
+
+    if (jsonOutput) {
+      printJson({ success: true, profiles });
+      return;
+    }
+
+    if (profiles.length === 0) {
+      console.log(chalk.yellow('\nNo isolated profiles found.'));
+      console.log(chalk.gray('Create an app with one using: webnest <url> --isolated\n'));
+      return;
+    }
+
+    console.log(chalk.cyan(`\nIsolated profiles (${profiles.length}):\n`));
+
+    profiles.forEach(profile => {
+      const label = profile.orphaned ? chalk.yellow(`${profile.id} (app removed)`) : chalk.green(profile.name);
+      console.log(`  ${label} - ${profile.browserId}`);
+      console.log(chalk.gray(`    ${profile.path}`));
+    });
+
+    console.log();
+  } catch (error) {
+    reportError(spinner, `Error listing profiles: ${error.message}`, error);
+    process.exit(getExitCode(error));
+  }
+}
+
+/**
+ * Find the isolated profile of an app, as a typed error when there is none or several match
+ */
+async function findIsolatedProfile(name, browser) {
+  const resolved = await resolveProfile(name, browser);
+  if (resolved.notFound) {
+    throw new AppNotFoundError(resolved.error, { profile: true });
+  }
+  if (resolved.ambiguous) {
+    throw new AmbiguousAppError(resolved.error);
+  }
+  return resolved.profile;
+}
+
+async function printProfilePath(name, options) {
+  const spinner = startSpinner(`Searching for the profile of "${name}"...`);
+
+  try {
+    const profile = await findIsolatedProfile(name, options.browser);
+    spinner.stop();
+
+    if (jsonOutput) {
+      printJson({ success: true, profile });
+      return;
+    }
+    console.log(profile.path);
+  } catch (error) {
+    reportError(spinner, error.message, error);
+    process.exit(getExitCode(error));
+  }
+}
+
+async function changeProfile(name, options, change, verb) {
+  const spinner = startSpinner(`Searching for the profile of "${name}"...`);
+
+  try {
+    const profile = await findIsolatedProfile(name, options.browser);
+
+    const result = await change(profile.path);
+    if (!result.success) {
+      throw new FileSystemError(result.error, { path: profile.path });
+    }
+
+    if (jsonOutput) {
+      printJson({ success: true, name, path: result.path });
+      return;
+    }
+    spinner.succeed(chalk.green(`${verb} profile of "${name}"`));
+    console.log(chalk.gray(`  ${result.path}`));
+  } catch (error) {
+    reportError(spinner, `Error: ${error.message}`, error);
+    process.exit(getExitCode(error));
+  }
+}
+
+/**
+ * Give a command and all of its subcommands the global --json option
+ */
+function addJsonOption(command) {
+  command.commands.forEach(subcommand => {
+    subcommand.addOption(jsonOption);
+    addJsonOption(subcommand);
+  });
+}
+
+addJsonOption(program);
+
+program.hook('preAction', (thisCommand, actionCommand) => {
+  jsonOutput = !!actionCommand.optsWithGlobals().json;
+  if (jsonOutput) {
+    chalk.level = 0;
+  }
+});
+
 program.parse();
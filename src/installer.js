@@ -1,69 +1,278 @@
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const { exec, spawn } = require('child_process');
+const { spawn, exec } = require('child_process');
 const { promisify } = require('util');
-const { expandHomePath, BROWSER_CONFIGS } = require('./browser');
-const { sanitizeAppName, generateAppId } = require('./utils');
+const { expandHomePath, getBrowserConfig, discoverBrowsers } = require('./browser');
+const { sanitizeAppName, generateAppId, mergeFlags, getFlagName } = require('./utils');
 const { prepareIcon } = require('./icon');
+const { decodePng, encodeThemeIcons, THEME_ICON_SIZES } = require('./image');
+const { createShortcut } = require('./lnk');
+const { findApps, loadRegistry, getRegistryPath, isSystemApp } = require('./registry');
+const { getIsolatedProfilePath, getProfilesDirectory } = require('./profile');
+const { mkdirStep, writeStep, moveStep, copyStep, symlinkStep, deleteStep, execStep, registerStep, unregisterStep, applyPlan } = require('./plan');
 
-const execAsync = promisify(exec);
-const writeFileAsync = promisify(fs.writeFile);
-const mkdirAsync = promisify(fs.mkdir);
-const chmodAsync = promisify(fs.chmod);
-const readdirAsync = promisify(fs.readdir);
-const statAsync = promisify(fs.stat);
+const readFileAsync = promisify(fs.readFile);
+const mkdtempAsync = promisify(fs.mkdtemp);
 const rmAsync = promisify(fs.rm);
+const accessAsync = promisify(fs.access);
+const execAsync = promisify(exec);
+
+// Launch Services tool that adds apps to (and removes them from) Spotlight
+const LSREGISTER = '/System/Library/Frameworks/CoreServices.framework/Frameworks/LaunchServices.framework/Support/lsregister';
+
+// Icon theme that Linux apps installed for all users put their icons in
+const SYSTEM_ICON_THEME = '/usr/share/icons/hicolor';
 
 /**
- * Get the default web app installation directory for each platform
+ * Get the default web app installation directory for each platform.
+ * With `system` the app is installed for all users of the machine.
  */
-function getWebAppDirectory(browser) {
-  const platform = process.platform;
-  const browserId = browser.id;
+function getWebAppDirectory(browser, { system = false } = {}) {
+  const dir = system ? getSystemAppDirectory(browser.id) : getWebAppDirectoryById(browser.id);
+  if (!dir) {
+    throw new Error(`Unsupported platform: ${process.platform}`);
+  }
+  return dir;
+}
 
-  const directories = {
-    darwin: {
-      // macOS Chrome Apps location
-      chrome: '~/Applications/Chrome Apps.localized',
-      edge: '~/Applications/Edge Apps.localized',
-      brave: '~/Applications/Brave Apps.localized',
-      chromium: '~/Applications/Chromium Apps.localized',
-      comet: '~/Applications/Comet Apps.localized',
-      atlas: '~/Applications/Atlas Apps.localized',
-    },
-    win32: {
-      // Windows uses Start Menu shortcuts
-      chrome: `${process.env.APPDATA}\\Microsoft\\Windows\\Start Menu\\Programs\\Chrome Apps`,
-      edge: `${process.env.APPDATA}\\Microsoft\\Windows\\Start Menu\\Programs\\Edge Apps`,
-      brave: `${process.env.APPDATA}\\Microsoft\\Windows\\Start Menu\\Programs\\Brave Apps`,
-      chromium: `${process.env.APPDATA}\\Microsoft\\Windows\\Start Menu\\Programs\\Chromium Apps`,
-      comet: `${process.env.APPDATA}\\Microsoft\\Windows\\Start Menu\\Programs\\Comet Apps`,
-      atlas: `${process.env.APPDATA}\\Microsoft\\Windows\\Start Menu\\Programs\\Atlas Apps`,
-    },
-    linux: {
-      // Linux uses .desktop files in applications folder
-      chrome: '~/.local/share/applications',
-      edge: '~/.local/share/applications',
-      brave: '~/.local/share/applications',
-      chromium: '~/.local/share/applications',
-      comet: '~/.local/share/applications',
-      atlas: '~/.local/share/applications',
-    },
-  };
+/**
+ * Get the directory apps installed for all users go to.
+ * Windows keeps the per-browser Start Menu folder, under ProgramData instead of the user's AppData.
+ */
+function getSystemAppDirectory(browserId) {
+  switch (process.platform) {
+    case 'darwin':
+      return '/Applications';
+    case 'win32': {
+      const programData = process.env.ProgramData || 'C:\\ProgramData';
+      const folder = path.win32.basename(getWebAppDirectoryById(browserId));
+      return `${programData}\\Microsoft\\Windows\\Start Menu\\Programs\\${folder}`;
+    }
+    case 'linux':
+      return '/usr/share/applications';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check that a directory, or the nearest of its parents that exists, can be written to
+ */
+async function isWritable(dirPath) {
+  let current = dirPath;
+  while (!fs.existsSync(current) && path.dirname(current) !== current) {
+    current = path.dirname(current);
+  }
+
+  try {
+    await accessAsync(current, fs.constants.W_OK);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check up front that apps can be installed in (or removed from) `appDir` for all users,
+ * which takes root (sudo) or an administrator terminal on Windows.
+ * `action` starts the error message, e.g. "Installing".
+ */
+async function checkSystemAccess(appDir, action = 'Installing') {
+  if (process.platform === 'win32') {
+    // "net session" only succeeds in an elevated terminal
+    try {
+      await execAsync('net session');
+      return { success: true };
+    } catch {
+      return {
+        success: false,
+        permissionDenied: true,
+        error: `${action} apps for all users needs administrator rights. Run WebNest from a terminal opened with "Run as administrator".`,
+      };
+    }
+  }
+
+  const dirs = [appDir, path.dirname(getRegistryPath(true))];
+  if (process.platform === 'linux') {
+    dirs.push(SYSTEM_ICON_THEME);
+  }
+  for (const dir of dirs) {
+    if (!await isWritable(dir)) {
+      return {
+        success: false,
+        permissionDenied: true,
+        error: `${action} apps for all users needs write access to ${dir}. Run the command with sudo.`,
+      };
+    }
+  }
+  return { success: true };
+}
+
+/**
+ * Check that a browser can open an isolated profile. Snap browsers are confined to their own
+ * folder under ~/snap and can't write to the dot-directories where isolated profiles live.
+ */
+function checkIsolatedProfileSupport(browser) {
+  if (browser.sandbox === 'snap') {
+    return {
+      success: false,
+      invalidOption: true,
+      option: 'isolated',
+      error: `${getBrowserName(browser.id)} is installed as a snap, which can't use an isolated profile in ${getProfilesDirectory()}. Leave out --isolated, or install the browser from a package or Flatpak.`,
+    };
+  }
+  return { success: true };
+}
+
+/**
+ * Build the browser arguments a launcher passes for an app.
+ * The manifest's display mode picks fullscreen or a regular browser window over an app window.
+ * Flatpak browsers are started with `flatpak run`, which has to be granted access to an isolated profile.
+ */
+function buildLaunchArgs({ url, browser, userDataDir, profileDirectory, flags = [], display = null }) {
+  const args = [];
+
+  if (browser && browser.sandbox === 'flatpak') {
+    args.push('run');
+    if (userDataDir) {
+      args.push(`--filesystem=${userDataDir}`);
+    }
+    args.push(browser.flatpakId);
+  }
+
+  if (userDataDir) {
+    args.push(`--user-data-dir=${userDataDir}`);
+  }
+  if (profileDirectory) {
+    args.push(`--profile-directory=${profileDirectory}`);
+  }
+  if (display === 'fullscreen') {
+    args.push('--start-fullscreen');
+  }
+  args.push(...flags);
+  if (display === 'browser') {
+    args.push('--new-window', url);
+  } else {
+    args.push(`${(browser && browser.appFlag) || '--app='}${url}`);
+  }
+
+  return args;
+}
+
+/**
+ * Quote an argument for a bash launcher script
+ */
+function quoteShellArg(arg) {
+  return `"${arg.replace(/(["\\$`])/g, '\\$1')}"`;
+}
+
+/**
+ * Quote an argument for a .desktop Exec line.
+ * Applies the Exec quoting rule first, then the string escaping rule, and escapes field codes.
+ */
+function quoteDesktopArg(arg) {
+  const quoted = arg.replace(/(["`$\\])/g, '\\$1').replace(/%/g, '%%');
+  return `"${quoted.replace(/\\/g, '\\\\')}"`;
+}
+
+/**
+ * Escape a string value for a .desktop file (no line breaks allowed)
+ */
+function escapeDesktopValue(value) {
+  return value.replace(/\\/g, '\\\\').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Folder holding the links for a Windows app's manifest shortcuts
+ */
+function getShortcutsDirectory(shortcutPath) {
+  return shortcutPath.replace(/\.lnk$/i, ' Shortcuts');
+}
+
+/**
+ * Quote an argument for a Windows command line
+ */
+function quoteWindowsArg(arg) {
+  if (!/[\s"]/.test(arg)) {
+    return arg;
+  }
+  return `"${arg.replace(/(\\*)"/g, '$1$1\\"').replace(/(\\+)$/, '$1$1')}"`;
+}
+
+/**
+ * Escape text for an XML property list
+ */
+function escapeXml(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Explain why an app ended up without its icon
+ */
+function iconFailureNote(iconSource, reason) {
+  return iconSource ? `Could not use the custom icon: ${reason}. ` : 'Could not fetch icon from website. ';
+}
 
-  const platformDirs = directories[platform];
-  if (!platformDirs) {
-    throw new Error(`Unsupported platform: ${platform}`);
+/**
+ * Note shown when the website had no usable icon and a monogram was generated
+ */
+function generatedIconNote(iconResult) {
+  return iconResult.generated ? 'The website has no usable icon, so one was generated from the app\'s initials. ' : '';
+}
+
+/**
+ * Escape a value for a double-quoted PowerShell string
+ */
+function escapePowerShell(value) {
+  return value.replace(/([`"$])/g, '`$1');
+}
+
+/**
+ * Fetch (or generate) an icon and convert it in a scratch directory.
+ * Resolves with the icon's contents, so a plan can write it next to the launcher.
+ */
+async function stageIcon(url, platform, options) {
+  const stagingDir = await mkdtempAsync(path.join(os.tmpdir(), 'webnest-icon-'));
+
+  try {
+    const iconResult = await prepareIcon(url, stagingDir, platform, options);
+    if (!iconResult.success) {
+      return iconResult;
+    }
+    return {
+      success: true,
+      contents: await readFileAsync(iconResult.path),
+      extension: path.extname(iconResult.path),
+      generated: !!iconResult.generated,
+    };
+  } finally {
+    await rmAsync(stagingDir, { recursive: true, force: true });
   }
+}
 
-  const dir = platformDirs[browserId] || platformDirs.chrome;
-  return expandHomePath(dir);
+/**
+ * Plan an app icon's PNGs in an icon theme directory (such as hicolor), one per size
+ */
+function planThemeIcons(themeDir, appId, contents) {
+  const steps = [];
+  for (const { size, data } of encodeThemeIcons(decodePng(contents))) {
+    const sizeDir = path.join(themeDir, `${size}x${size}`, 'apps');
+    steps.push(mkdirStep(sizeDir), writeStep(path.join(sizeDir, `${appId}.png`), data));
+  }
+  return steps;
 }
 
 /**
- * Create macOS .app bundle
+ * Plan a macOS .app bundle.
+ * With `build` the bundle is only written, for copying to another Mac, and not registered here.
  */
-async function createMacOSApp({ url, appName, browser, appDir }) {
+async function planMacOSApp(options) {
+  const { appId, url, appName, browser, appDir, keepIcon, iconSource, iconStyle, themeColor, page } = options;
   const safeName = sanitizeAppName(appName);
   const appPath = path.join(appDir, `${safeName}.app`);
   const contentsPath = path.join(appPath, 'Contents');
@@ -71,40 +280,44 @@ async function createMacOSApp({ url, appName, browser, appDir }) {
   const resourcesPath = path.join(contentsPath, 'Resources');
 
   // Create directory structure
-  await mkdirAsync(macOSPath, { recursive: true });
-  await mkdirAsync(resourcesPath, { recursive: true });
+  const steps = [mkdirStep(macOSPath), mkdirStep(resourcesPath)];
 
-  // Fetch and prepare icon
+  // Fetch and prepare icon, unless an edit keeps the current one
+  let iconPath = null;
   let iconNote = '';
-  try {
-    const iconResult = await prepareIcon(url, resourcesPath, 'darwin');
-    if (iconResult.success) {
-      // Rename to AppIcon.icns if needed
-      const iconPath = path.join(resourcesPath, 'AppIcon.icns');
-      if (iconResult.path !== iconPath && fs.existsSync(iconResult.path)) {
-        fs.renameSync(iconResult.path, iconPath);
+  let iconGenerated = !!options.iconGenerated;
+  if (keepIcon) {
+    iconPath = options.iconPath || null;
+  } else {
+    try {
+      const iconResult = await stageIcon(url, 'darwin', { iconSource, appName, iconStyle, themeColor, page });
+      if (iconResult.success) {
+        iconNote = generatedIconNote(iconResult);
+        iconGenerated = iconResult.generated;
+        iconPath = path.join(resourcesPath, 'AppIcon.icns');
+        steps.push(writeStep(iconPath, iconResult.contents));
+      } else {
+        iconNote = iconFailureNote(iconSource, iconResult.error);
       }
-    } else {
-      iconNote = 'Could not fetch icon from website. ';
+    } catch (error) {
+      iconNote = iconFailureNote(iconSource, error.message);
     }
-  } catch (error) {
-    iconNote = 'Could not fetch icon from website. ';
   }
 
   // Create Info.plist with icon reference
-  const bundleId = generateAppId(url);
+  const bundleId = appId;
   const infoPlist = `<?xml version="1.0" encoding="UTF-8"?>
 <!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
 <plist version="1.0">
 <dict>
     <key>CFBundleExecutable</key>
-    <string>${safeName}</string>
+    <string>${escapeXml(safeName)}</string>
     <key>CFBundleIdentifier</key>
     <string>${bundleId}</string>
     <key>CFBundleName</key>
-    <string>${appName}</string>
+    <string>${escapeXml(appName)}</string>
     <key>CFBundleDisplayName</key>
-    <string>${appName}</string>
+    <string>${escapeXml(appName)}</string>
     <key>CFBundleIconFile</key>
     <string>AppIcon</string>
     <key>CFBundlePackageType</key>
@@ -122,175 +335,326 @@ async function createMacOSApp({ url, appName, browser, appDir }) {
 </dict>
 </plist>`;
 
-  await writeFileAsync(path.join(contentsPath, 'Info.plist'), infoPlist);
+  steps.push(writeStep(path.join(contentsPath, 'Info.plist'), infoPlist));
 
   // Create launcher script
+  const launchArgs = buildLaunchArgs(options).map(quoteShellArg).join(' ');
   const launcherScript = `#!/bin/bash
-exec "${browser.path}" --app="${url}" "$@"
+exec "${browser.path}" ${launchArgs} "$@"
 `;
 
-  const launcherPath = path.join(macOSPath, safeName);
-  await writeFileAsync(launcherPath, launcherScript);
-  await chmodAsync(launcherPath, '755');
+  steps.push(writeStep(path.join(macOSPath, safeName), launcherScript, '755'));
 
-  // Register with Launch Services to make it appear in Spotlight
-  try {
-    await execAsync(`/System/Library/Frameworks/CoreServices.framework/Frameworks/LaunchServices.framework/Support/lsregister -f "${appPath}"`);
-  } catch {
-    // lsregister might fail on some systems, but app will still work
+  if (options.build) {
+    return {
+      success: true,
+      steps,
+      appPath,
+      iconPath,
+      iconGenerated: !!iconPath && iconGenerated,
+      note: iconNote + 'Copy the bundle to ~/Applications or /Applications on the Mac to install it.',
+    };
   }
 
+  // Register with Launch Services to make it appear in Spotlight; the app still works if this fails
+  steps.push(execStep(`${LSREGISTER} -f "${appPath}"`, { optional: true }));
+
   return {
     success: true,
+    steps,
     appPath,
+    iconPath,
+    iconGenerated: !!iconPath && iconGenerated,
     note: iconNote + 'The app should appear in Spotlight search. If not, try restarting Spotlight (killall mds).',
   };
 }
 
 /**
- * Create Windows shortcut (.lnk file)
+ * Plan a Windows shortcut (.lnk file).
+ * With `build` the shortcut is written directly, for copying to `installDir` on another machine.
  */
-async function createWindowsApp({ url, appName, browser, appDir }) {
+async function planWindowsApp(options) {
+  const { url, appName, browser, appDir, keepIcon, iconSource, iconStyle, themeColor, page } = options;
   const safeName = sanitizeAppName(appName);
   const shortcutPath = path.join(appDir, `${safeName}.lnk`);
 
   // Create the app directory if it doesn't exist
-  await mkdirAsync(appDir, { recursive: true });
+  const steps = [mkdirStep(appDir)];
 
-  // Fetch and prepare icon
+  // Fetch and prepare icon, unless an edit keeps the current one
   let iconPath = '';
   let iconNote = '';
-  try {
-    const iconResult = await prepareIcon(url, appDir, 'win32');
-    if (iconResult.success) {
-      iconPath = iconResult.path;
-    } else {
-      iconNote = 'Could not fetch icon from website. ';
+  let iconGenerated = !!options.iconGenerated;
+  if (keepIcon) {
+    iconPath = options.iconPath || '';
+  } else {
+    try {
+      const iconResult = await stageIcon(url, 'win32', { iconSource, appName, iconStyle, themeColor, page });
+      if (iconResult.success) {
+        iconNote = generatedIconNote(iconResult);
+        iconGenerated = iconResult.generated;
+        // Name the icon after the shortcut so apps don't overwrite each other's icon
+        iconPath = path.join(appDir, `${safeName}${iconResult.extension}`);
+        steps.push(writeStep(iconPath, iconResult.contents));
+      } else {
+        iconNote = iconFailureNote(iconSource, iconResult.error);
+      }
+    } catch (error) {
+      iconNote = iconFailureNote(iconSource, error.message);
     }
-  } catch {
-    iconNote = 'Could not fetch icon from website. ';
   }
 
-  // Use PowerShell to create the shortcut
+  // Manifest shortcuts get their own links in a folder next to the app, like a jump list
+  const shortcutsDir = getShortcutsDirectory(shortcutPath);
+  steps.push(deleteStep(shortcutsDir));
+  const shortcuts = options.shortcuts || [];
+  if (shortcuts.length > 0) {
+    steps.push(mkdirStep(shortcutsDir));
+  }
+
+  // Use PowerShell to create the shortcuts
+  const links = [{ linkPath: shortcutPath, url, description: `${appName} - Web App` }];
+  shortcuts.forEach(shortcut => {
+    links.push({
+      linkPath: path.join(shortcutsDir, `${sanitizeAppName(shortcut.name)}.lnk`),
+      url: shortcut.url,
+      description: `${appName} - ${shortcut.name}`,
+    });
+  });
+
+  if (options.build) {
+    // The icon is looked up where it will sit next to the shortcut once installed
+    const iconLocation = iconPath ? path.win32.join(options.installDir, path.basename(iconPath)) : '';
+    links.forEach(link => {
+      steps.push(writeStep(link.linkPath, createShortcut({
+        targetPath: browser.path,
+        args: buildLaunchArgs({ ...options, url: link.url }).map(quoteWindowsArg).join(' '),
+        workingDirectory: path.win32.dirname(browser.path),
+        description: link.description,
+        iconLocation,
+      })));
+    });
+
+    return {
+      success: true,
+      steps,
+      appPath: shortcutPath,
+      iconPath: iconPath || null,
+      iconGenerated: !!iconPath && iconGenerated,
+      note: iconNote + `Copy the shortcut and its icon to ${options.installDir} on the Windows machine to install it.`,
+    };
+  }
+
   const iconLine = iconPath ? `$Shortcut.IconLocation = "${iconPath.replace(/\\/g, '\\\\')},0"` : '';
   const psScript = `
 $WshShell = New-Object -ComObject WScript.Shell
-$Shortcut = $WshShell.CreateShortcut("${shortcutPath.replace(/\\/g, '\\\\')}")
+${links.map(link => `$Shortcut = $WshShell.CreateShortcut("${link.linkPath.replace(/\\/g, '\\\\')}")
 $Shortcut.TargetPath = "${browser.path.replace(/\\/g, '\\\\')}"
-$Shortcut.Arguments = "--app=${url}"
+$Shortcut.Arguments = "${escapePowerShell(buildLaunchArgs({ ...options, url: link.url }).map(quoteWindowsArg).join(' '))}"
 $Shortcut.WorkingDirectory = "${path.dirname(browser.path).replace(/\\/g, '\\\\')}"
-$Shortcut.Description = "${appName} - Web App"
+$Shortcut.Description = "${escapePowerShell(link.description)}"
 ${iconLine}
-$Shortcut.Save()
+$Shortcut.Save()`).join('\n')}
 `;
 
-  // Write PowerShell script to temp file and execute
-  const tempScript = path.join(process.env.TEMP, `webnest_${Date.now()}.ps1`);
-  await writeFileAsync(tempScript, psScript);
-
-  try {
-    await execAsync(`powershell -ExecutionPolicy Bypass -File "${tempScript}"`);
-    // Clean up temp script
-    fs.unlinkSync(tempScript);
-  } catch (error) {
-    fs.unlinkSync(tempScript);
-    throw new Error(`Failed to create shortcut: ${error.message}`);
-  }
+  // The script goes to a temp file that is deleted once PowerShell has run it
+  const tempScript = path.join(process.env.TEMP || os.tmpdir(), `webnest_${Date.now()}.ps1`);
+  steps.push(execStep(`powershell -ExecutionPolicy Bypass -File "${tempScript}"`, {
+    script: { path: tempScript, contents: psScript },
+    error: 'Failed to create shortcut',
+  }));
 
   return {
     success: true,
+    steps,
     appPath: shortcutPath,
+    iconPath: iconPath || null,
+    iconGenerated: !!iconPath && iconGenerated,
     note: iconNote + 'The app should appear in the Start Menu search.',
   };
 }
 
 /**
- * Create Linux .desktop file
+ * Plan a Linux .desktop file.
+ * With `build` the icon is written as a hicolor icon set next to the file and referred to by name,
+ * for copying both to another machine; with `system` the icon set goes to the system's hicolor theme.
  */
-async function createLinuxApp({ url, appName, browser, appDir }) {
+async function planLinuxApp(options) {
+  const { appId, url, appName, browser, appDir, keepIcon, iconSource, iconStyle, themeColor, page } = options;
   const safeName = sanitizeAppName(appName);
-  const appId = generateAppId(url);
   const desktopFilePath = path.join(appDir, `${appId}.desktop`);
 
   // Create the app directory if it doesn't exist
-  await mkdirAsync(appDir, { recursive: true });
+  const steps = [mkdirStep(appDir)];
 
-  // Create icon directory and fetch icon
+  // Create icon directory and fetch icon; apps for all users and built apps use an icon theme instead
   const iconDir = expandHomePath('~/.local/share/icons/webnest');
-  await mkdirAsync(iconDir, { recursive: true });
-  
+  let themeDir = null;
+  if (options.build) {
+    themeDir = path.join(appDir, 'icons', 'hicolor');
+  } else if (options.system) {
+    themeDir = SYSTEM_ICON_THEME;
+  }
+
   let iconPath = 'web-browser';
   let iconNote = '';
-  try {
-    const iconResult = await prepareIcon(url, iconDir, 'linux');
-    if (iconResult.success) {
-      // Rename icon to match app ID
-      const newIconPath = path.join(iconDir, `${appId}.png`);
-      fs.renameSync(iconResult.path, newIconPath);
-      iconPath = newIconPath;
-    } else {
-      iconNote = 'Could not fetch icon from website. ';
+  let iconGenerated = !!options.iconGenerated;
+  if (keepIcon) {
+    iconPath = options.iconPath || iconPath;
+  } else {
+    try {
+      const iconResult = await stageIcon(url, 'linux', { iconSource, appName, iconStyle, themeColor, page });
+      if (iconResult.success) {
+        iconNote = generatedIconNote(iconResult);
+        iconGenerated = iconResult.generated;
+        if (themeDir) {
+          const themeSteps = planThemeIcons(themeDir, appId, iconResult.contents);
+          steps.push(...themeSteps);
+          iconPath = themeSteps[themeSteps.length - 1].path;
+        } else {
+          // Name the icon after the app ID
+          iconPath = path.join(iconDir, `${appId}.png`);
+          steps.push(mkdirStep(iconDir), writeStep(iconPath, iconResult.contents));
+        }
+      } else {
+        iconNote = iconFailureNote(iconSource, iconResult.error);
+      }
+    } catch (error) {
+      iconNote = iconFailureNote(iconSource, error.message);
     }
-  } catch {
-    iconNote = 'Could not fetch icon from website. ';
   }
 
   // Create .desktop file content
+  const execLine = (launchUrl) => {
+    const launchArgs = buildLaunchArgs({ ...options, url: launchUrl }).map(quoteDesktopArg).join(' ');
+    return `${quoteDesktopArg(browser.path)} ${launchArgs}`;
+  };
+
+  // Manifest shortcuts become actions in the launcher's right-click menu
+  const shortcuts = options.shortcuts || [];
+  const actionIds = shortcuts.map((shortcut, index) => `shortcut${index + 1}`);
+  const actions = shortcuts.map((shortcut, index) => `
+[Desktop Action ${actionIds[index]}]
+Name=${escapeDesktopValue(shortcut.name)}
+Exec=${execLine(shortcut.url)}
+`).join('');
+
   const desktopContent = `[Desktop Entry]
 Version=1.0
 Type=Application
-Name=${appName}
-Comment=${appName} - Web App created by WebNest
-Exec="${browser.path}" --app="${url}"
-Icon=${iconPath}
+Name=${escapeDesktopValue(appName)}
+Comment=${escapeDesktopValue(appName)} - Web App created by WebNest
+Exec=${execLine(url)}
+Icon=${themeDir && iconPath !== 'web-browser' ? appId : iconPath}
 Terminal=false
 Categories=Network;WebBrowser;
 StartupWMClass=${safeName}
 StartupNotify=true
-`;
+${actionIds.length > 0 ? `Actions=${actionIds.join(';')};\n` : ''}${actions}`;
 
-  await writeFileAsync(desktopFilePath, desktopContent);
-  await chmodAsync(desktopFilePath, '755');
+  steps.push(writeStep(desktopFilePath, desktopContent, '755'));
 
-  // Update desktop database to register the app
-  try {
-    await execAsync('update-desktop-database ~/.local/share/applications/ 2>/dev/null || true');
-  } catch {
-    // update-desktop-database might not be available on all systems
+  if (options.build) {
+    return {
+      success: true,
+      steps,
+      appPath: desktopFilePath,
+      iconPath: iconPath === 'web-browser' ? null : iconPath,
+      iconGenerated: iconPath !== 'web-browser' && iconGenerated,
+      note: iconNote + 'Copy the .desktop file to ~/.local/share/applications and the icons folder to ~/.local/share/icons on the target machine to install it.',
+    };
+  }
+
+  // Update desktop database to register the app; update-desktop-database might not be available on all systems
+  steps.push(execStep(`update-desktop-database "${appDir}" 2>/dev/null || true`, { optional: true }));
+  if (themeDir) {
+    steps.push(execStep(`gtk-update-icon-cache -q -t "${themeDir}" 2>/dev/null || true`, { optional: true }));
   }
 
   return {
     success: true,
+    steps,
     appPath: desktopFilePath,
+    iconPath: iconPath === 'web-browser' ? null : iconPath,
+    iconGenerated: iconPath !== 'web-browser' && iconGenerated,
     note: iconNote + 'The app should appear in your application menu. You may need to log out and log back in for it to appear.',
   };
 }
 
 /**
- * Install web app based on platform
+ * Get the user's desktop folder: XDG_DESKTOP_DIR (from the environment or user-dirs.dirs) on Linux,
+ * the shell's Desktop folder on Windows, which may have been moved to OneDrive, and ~/Desktop on macOS
  */
-async function installWebApp({ url, appName, browser }) {
-  const platform = process.platform;
-  const appDir = getWebAppDirectory(browser);
-
-  // Ensure the app directory exists
-  try {
-    await mkdirAsync(appDir, { recursive: true });
-  } catch (error) {
-    if (error.code !== 'EEXIST') {
-      throw new Error(`Failed to create app directory: ${error.message}`);
+async function getDesktopDirectory() {
+  switch (process.platform) {
+    case 'linux': {
+      if (process.env.XDG_DESKTOP_DIR) {
+        return process.env.XDG_DESKTOP_DIR;
+      }
+      const configHome = process.env.XDG_CONFIG_HOME || expandHomePath('~/.config');
+      try {
+        const userDirs = await readFileAsync(path.join(configHome, 'user-dirs.dirs'), 'utf8');
+        const match = userDirs.match(/^XDG_DESKTOP_DIR="([^"]+)"/m);
+        if (match) {
+          return match[1].replace(/^\$HOME/, os.homedir());
+        }
+      } catch {
+        // No user-dirs.dirs, use the default
+      }
+      return expandHomePath('~/Desktop');
     }
+
+    case 'win32':
+      try {
+        const { stdout } = await execAsync('powershell -NoProfile -Command "[Environment]::GetFolderPath(\'Desktop\')"');
+        if (stdout.trim()) {
+          return stdout.trim();
+        }
+      } catch {
+        // Fall back to the default location
+      }
+      return path.join(os.homedir(), 'Desktop');
+
+    default:
+      return expandHomePath('~/Desktop');
   }
+}
 
-  const options = { url, appName, browser, appDir };
+/**
+ * Plan a copy of an app's launcher on the user's desktop: the .desktop file, marked trusted so
+ * GNOME starts it, on Linux, the shortcut on Windows and a symlink to the bundle on macOS
+ */
+async function planDesktopShortcut(appPath) {
+  const desktopDir = await getDesktopDirectory();
+  const desktopPath = path.join(desktopDir, path.basename(appPath));
+  const steps = [mkdirStep(desktopDir)];
 
+  if (process.platform === 'darwin') {
+    steps.push(symlinkStep(appPath, desktopPath));
+  } else {
+    steps.push(copyStep(appPath, desktopPath));
+  }
+
+  // gio only exists on GLib desktops; elsewhere the file works without the metadata
+  if (process.platform === 'linux') {
+    steps.push(execStep(`gio set "${desktopPath}" metadata::trusted true 2>/dev/null || true`, { optional: true }));
+  }
+
+  return { desktopPath, steps };
+}
+
+/**
+ * Plan an app's launcher with the writer for `options.platform`, by default the current platform
+ */
+async function planLauncher(options) {
+  const platform = options.platform || process.platform;
   switch (platform) {
     case 'darwin':
-      return createMacOSApp(options);
+      return planMacOSApp(options);
     case 'win32':
-      return createWindowsApp(options);
+      return planWindowsApp(options);
     case 'linux':
-      return createLinuxApp(options);
+      return planLinuxApp(options);
     default:
       return {
         success: false,
@@ -300,13 +664,184 @@ async function installWebApp({ url, appName, browser }) {
 }
 
 /**
- * Get web app directory for a browser by ID
+ * The manifest metadata stored with an app and used by its launcher
  */
-function getWebAppDirectoryById(browserId) {
-  const platform = process.platform;
-  
+function getManifestInfo(webManifest) {
+  return {
+    scope: (webManifest && webManifest.scope) || null,
+    display: (webManifest && webManifest.display) || null,
+    themeColor: (webManifest && webManifest.themeColor) || null,
+    backgroundColor: (webManifest && webManifest.backgroundColor) || null,
+    shortcuts: (webManifest && webManifest.shortcuts) || [],
+  };
+}
+
+/**
+ * Install web app based on platform.
+ * `webManifest` carries the site's manifest metadata (scope, display, colors and shortcuts) to store with the app,
+ * and `page` the site's already fetched page for finding its icon (see fetchWebPage).
+ * The app's id comes from `url`, the URL the user gave; the launcher opens `startUrl` (the manifest's start URL) when one is given.
+ * Re-creating an app keeps the flags it was given before; `flags` are merged into them, replacing ones of the same name.
+ * With `system` the app is installed for all users, which needs root or administrator rights.
+ * With `desktop` it is also put on the user's desktop; re-creating an app keeps its desktop shortcut.
+ * With `dryRun` nothing is written: the result's `steps` list what would be.
+ */
+async function installWebApp({ url, startUrl = null, appName, browser, isolated = false, profileDirectory = null, flags = [], iconSource = null, iconStyle = null, webManifest = null, page = null, system = false, desktop = false, dryRun = false }) {
+  const appDir = getWebAppDirectory(browser, { system });
+  const appId = generateAppId(url);
+
+  if (system && !dryRun) {
+    const access = await checkSystemAccess(appDir);
+    if (!access.success) {
+      return access;
+    }
+  }
+
+  const registry = await loadRegistry({ system });
+  const previous = registry.apps.find(entry => entry.id === appId && entry.browserId === browser.id);
+  flags = mergeFlags((previous && previous.flags) || [], flags);
+
+  // Give isolated apps their own browser profile; the writers create the app directory
+  let userDataDir = null;
+  const steps = [];
+  if (isolated) {
+    const support = checkIsolatedProfileSupport(browser);
+    if (!support.success) {
+      return support;
+    }
+    userDataDir = getIsolatedProfilePath(appId, browser.id);
+    steps.push(mkdirStep(userDataDir));
+  }
+
+  const manifestInfo = getManifestInfo(webManifest);
+
+  const options = {
+    appId,
+    url: startUrl || url,
+    appName,
+    browser,
+    appDir,
+    system,
+    userDataDir,
+    profileDirectory,
+    flags,
+    iconSource,
+    iconStyle,
+    page,
+    display: manifestInfo.display,
+    themeColor: manifestInfo.themeColor || manifestInfo.backgroundColor,
+    shortcuts: manifestInfo.shortcuts,
+  };
+  const result = await planLauncher(options);
+  if (!result.success) {
+    return result;
+  }
+
+  const entry = {
+    id: appId,
+    name: appName,
+    url,
+    startUrl: startUrl && startUrl !== url ? startUrl : null,
+    browserId: browser.id,
+    browserPath: browser.path,
+    browserSandbox: browser.sandbox || null,
+    flatpakId: browser.flatpakId || null,
+    launcherPath: result.appPath,
+    iconPath: result.iconPath,
+    userDataDir,
+    profileDirectory,
+    flags,
+    iconSource,
+    iconStyle,
+    iconGenerated: result.iconGenerated,
+    ...manifestInfo,
+    installScope: system ? 'system' : 'user',
+    desktopPath: null,
+  };
+
+  if (desktop || (previous && previous.desktopPath)) {
+    const shortcut = await planDesktopShortcut(result.appPath);
+    result.steps.push(...shortcut.steps);
+    entry.desktopPath = shortcut.desktopPath;
+  }
+
+  // A new name gives the app a new launcher (and desktop shortcut); the old ones would be left unregistered
+  if (previous && previous.launcherPath !== entry.launcherPath) {
+    result.steps.push(deleteStep(previous.launcherPath));
+    if (process.platform === 'win32') {
+      result.steps.push(deleteStep(getShortcutsDirectory(previous.launcherPath)));
+    }
+    if (process.platform === 'darwin') {
+      result.steps.push(execStep(`${LSREGISTER} -u "${previous.launcherPath}" 2>/dev/null || true`, { optional: true }));
+    }
+    if (previous.desktopPath && previous.desktopPath !== entry.desktopPath) {
+      result.steps.push(deleteStep(previous.desktopPath));
+    }
+  }
+  result.steps = [...steps, ...result.steps, registerStep(entry)];
+  result.dryRun = dryRun;
+
+  if (dryRun) {
+    result.app = entry;
+  } else {
+    [result.app] = await applyPlan(result.steps);
+  }
+  return result;
+}
+
+/**
+ * Build an app's launcher for `platform` into `outDir`, from any platform, without installing or registering it.
+ * `browser` describes the browser on the target machine (see getTargetBrowser); as with installWebApp
+ * the id comes from `url` and the launcher opens `startUrl` when one is given.
+ * With `dryRun` nothing is written: the result's `steps` list what would be.
+ */
+async function buildWebApp({ url, startUrl = null, appName, browser, platform, outDir, flags = [], iconSource = null, iconStyle = null, webManifest = null, page = null, dryRun = false }) {
+  const manifestInfo = getManifestInfo(webManifest);
+
+  const result = await planLauncher({
+    appId: generateAppId(url),
+    url: startUrl || url,
+    appName,
+    browser,
+    appDir: outDir,
+    // Where Windows shortcuts go on the target machine, which their icon location points into
+    installDir: platform === 'win32' ? getWebAppDirectoryById(browser.id, platform) : null,
+    platform,
+    build: true,
+    flags,
+    iconSource,
+    iconStyle,
+    page,
+    display: manifestInfo.display,
+    themeColor: manifestInfo.themeColor || manifestInfo.backgroundColor,
+    shortcuts: manifestInfo.shortcuts,
+  });
+  if (!result.success) {
+    return result;
+  }
+
+  result.dryRun = dryRun;
+  if (!dryRun) {
+    await applyPlan(result.steps);
+  }
+  return result;
+}
+
+/**
+ * Get web app directory for a browser by ID, on the current platform unless `platform` is given.
+ * Browsers from browsers.json can set their own with `appsDir`.
+ */
+function getWebAppDirectoryById(browserId, platform = process.platform) {
+  const config = getBrowserConfig(browserId);
+  const startMenu = `${process.env.APPDATA || '%APPDATA%'}\\Microsoft\\Windows\\Start Menu\\Programs`;
+
+  if (config && config.appsDir && config.appsDir[platform]) {
+    return expandHomePath(config.appsDir[platform]);
+  }
+
   const directories = {
     darwin: {
+      // macOS Chrome Apps location
       chrome: '~/Applications/Chrome Apps.localized',
       edge: '~/Applications/Edge Apps.localized',
       brave: '~/Applications/Brave Apps.localized',
@@ -315,261 +850,549 @@ function getWebAppDirectoryById(browserId) {
       atlas: '~/Applications/Atlas Apps.localized',
     },
     win32: {
-      chrome: `${process.env.APPDATA}\\Microsoft\\Windows\\Start Menu\\Programs\\Chrome Apps`,
-      edge: `${process.env.APPDATA}\\Microsoft\\Windows\\Start Menu\\Programs\\Edge Apps`,
-      brave: `${process.env.APPDATA}\\Microsoft\\Windows\\Start Menu\\Programs\\Brave Apps`,
-      chromium: `${process.env.APPDATA}\\Microsoft\\Windows\\Start Menu\\Programs\\Chromium Apps`,
-      comet: `${process.env.APPDATA}\\Microsoft\\Windows\\Start Menu\\Programs\\Comet Apps`,
-      atlas: `${process.env.APPDATA}\\Microsoft\\Windows\\Start Menu\\Programs\\Atlas Apps`,
-    },
-    linux: {
-      chrome: '~/.local/share/applications',
-      edge: '~/.local/share/applications',
-      brave: '~/.local/share/applications',
-      chromium: '~/.local/share/applications',
-      comet: '~/.local/share/applications',
-      atlas: '~/.local/share/applications',
+      // Windows uses Start Menu shortcuts
+      chrome: `${startMenu}\\Chrome Apps`,
+      edge: `${startMenu}\\Edge Apps`,
+      brave: `${startMenu}\\Brave Apps`,
+      chromium: `${startMenu}\\Chromium Apps`,
+      comet: `${startMenu}\\Comet Apps`,
+      atlas: `${startMenu}\\Atlas Apps`,
     },
   };
 
-  const platformDirs = directories[platform];
-  if (!platformDirs) return null;
+  switch (platform) {
+    case 'darwin':
+    case 'win32': {
+      if (directories[platform][browserId]) {
+        return expandHomePath(directories[platform][browserId]);
+      }
+
+      // Other browsers get a folder named after them
+      const name = config ? sanitizeAppName(config.name) : 'Chrome';
+      return platform === 'darwin'
+        ? expandHomePath(`~/Applications/${name} Apps.localized`)
+        : `${startMenu}\\${name} Apps`;
+    }
+
+    case 'linux':
+      // Linux uses .desktop files in applications folder
+      return expandHomePath('~/.local/share/applications');
 
-  const dir = platformDirs[browserId] || platformDirs.chrome;
-  return expandHomePath(dir);
+    default:
+      return null;
+  }
 }
 
 /**
  * Get browser display name from ID
  */
 function getBrowserName(browserId) {
-  const names = {
-    chrome: 'Google Chrome',
-    edge: 'Microsoft Edge',
-    brave: 'Brave Browser',
-    chromium: 'Chromium',
-    comet: 'Comet Browser',
-    atlas: 'Atlas Browser',
+  try {
+    const config = getBrowserConfig(browserId);
+    return config ? config.name : browserId;
+  } catch {
+    // A broken browsers.json shouldn't stop apps from being listed
+    return browserId;
+  }
+}
+
+/**
+ * Scan for auto-detected browsers when apps use one, so their names can be shown
+ */
+async function loadAppBrowsers(entries) {
+  try {
+    if (entries.some(entry => !getBrowserConfig(entry.browserId))) {
+      await discoverBrowsers();
+    }
+  } catch {
+    // A broken browsers.json shouldn't stop apps from being listed
+  }
+}
+
+/**
+ * Convert a registry entry into the shape reported to callers
+ */
+function describeApp(entry) {
+  return {
+    id: entry.id,
+    name: entry.name,
+    url: entry.url,
+    startUrl: entry.startUrl || null,
+    path: entry.launcherPath,
+    iconPath: entry.iconPath,
+    browser: getBrowserName(entry.browserId),
+    browserId: entry.browserId,
+    browserSandbox: entry.browserSandbox || null,
+    createdAt: entry.createdAt,
+    userDataDir: entry.userDataDir || null,
+    profileDirectory: entry.profileDirectory || null,
+    flags: entry.flags || [],
+    iconSource: entry.iconSource || null,
+    iconStyle: entry.iconStyle || null,
+    scope: entry.scope || null,
+    display: entry.display || null,
+    themeColor: entry.themeColor || null,
+    backgroundColor: entry.backgroundColor || null,
+    shortcuts: entry.shortcuts || [],
+    installScope: isSystemApp(entry) ? 'system' : 'user',
+    desktopPath: entry.desktopPath || null,
+    missing: !fs.existsSync(entry.launcherPath),
   };
-  return names[browserId] || browserId;
 }
 
 /**
- * Uninstall/remove a web app
+ * Find registered web apps by name, optionally limited to one browser.
+ * With `system` the apps installed for all users are searched.
  */
-async function uninstallWebApp(appName, browserId) {
+async function findInstalledApps(appName, browserId, { system = false } = {}) {
+  const entries = await findApps(appName, browserId, { system });
+  await loadAppBrowsers(entries);
+  return entries.map(describeApp);
+}
+
+/**
+ * Remove a registered app's launcher and icon, then drop it from the registry.
+ * With `dryRun` nothing is deleted: the result's `steps` list what would be.
+ */
+async function removeInstalledApp(entry, { dryRun = false } = {}) {
   const platform = process.platform;
-  const appDir = getWebAppDirectoryById(browserId);
-  const browserName = getBrowserName(browserId);
-  const safeName = sanitizeAppName(appName);
+  const browserName = getBrowserName(entry.browserId);
+  const system = isSystemApp(entry);
+  const steps = [deleteStep(entry.launcherPath)];
+  if (entry.desktopPath) {
+    steps.push(deleteStep(entry.desktopPath));
+  }
 
-  if (!appDir) {
+  if (system && !dryRun) {
+    const access = await checkSystemAccess(path.dirname(entry.launcherPath), 'Removing');
+    if (!access.success) {
+      return access;
+    }
+  }
+
+  // Icons live inside the bundle on macOS; Linux apps for all users have one per icon theme size;
+  // elsewhere they sit beside the launcher
+  if (system && platform === 'linux') {
+    THEME_ICON_SIZES.forEach(size => {
+      steps.push(deleteStep(path.join(SYSTEM_ICON_THEME, `${size}x${size}`, 'apps', `${entry.id}.png`)));
+    });
+  } else if (entry.iconPath && platform !== 'darwin') {
+    steps.push(deleteStep(entry.iconPath));
+  }
+
+  // Windows keeps manifest shortcuts in a folder beside the launcher
+  if (platform === 'win32') {
+    steps.push(deleteStep(getShortcutsDirectory(entry.launcherPath)));
+  }
+
+  // On macOS, unregister from Launch Services; lsregister might fail, but the app is still removed
+  if (platform === 'darwin') {
+    steps.push(execStep(`${LSREGISTER} -u "${entry.launcherPath}" 2>/dev/null || true`, { optional: true }));
+  }
+
+  // On Linux, update desktop database; update-desktop-database might not be available
+  if (platform === 'linux') {
+    steps.push(execStep(`update-desktop-database "${path.dirname(entry.launcherPath)}" 2>/dev/null || true`, { optional: true }));
+    if (system) {
+      steps.push(execStep(`gtk-update-icon-cache -q -t "${SYSTEM_ICON_THEME}" 2>/dev/null || true`, { optional: true }));
+    }
+  }
+
+  steps.push(unregisterStep(entry));
+
+  if (!dryRun) {
+    try {
+      await applyPlan(steps);
+    } catch (error) {
+      return {
+        success: false,
+        ioError: true,
+        error: `Failed to remove app: ${error.message}`,
+      };
+    }
+  }
+
+  return {
+    success: true,
+    dryRun,
+    steps,
+    id: entry.id,
+    appPath: entry.launcherPath,
+    desktopPath: entry.desktopPath || null,
+    browserName,
+    userDataDir: entry.userDataDir || null,
+  };
+}
+
+/**
+ * Resolve a single registered app by name, reporting missing or ambiguous matches.
+ * With `system` the apps installed for all users are searched.
+ */
+async function resolveInstalledApp(appName, browserId, { system = false } = {}) {
+  const matches = await findApps(appName, browserId, { system });
+  await loadAppBrowsers(matches);
+  const where = browserId ? ` in ${getBrowserName(browserId)} apps` : '';
+
+  if (matches.length === 0) {
     return {
       success: false,
-      error: `Unsupported platform: ${platform}`,
+      notFound: true,
+      error: `App "${appName}" not found${where}`,
     };
   }
 
-  try {
-    // Check if app directory exists
-    await statAsync(appDir);
-  } catch {
+  if (matches.length > 1) {
+    const browsers = matches.map(m => m.browserId).join(', ');
     return {
       success: false,
-      notFound: true,
-      error: `No ${browserName} apps directory found`,
+      ambiguous: true,
+      error: `"${appName}" exists for several browsers (${browsers}). Use --browser to pick one.`,
     };
   }
 
-  let appPath;
-  let found = false;
+  return { success: true, entry: matches[0] };
+}
 
-  switch (platform) {
-    case 'darwin':
-      // Look for .app bundle
-      appPath = path.join(appDir, `${safeName}.app`);
-      try {
-        await statAsync(appPath);
-        found = true;
-      } catch {
-        // Try case-insensitive search
-        const files = await readdirAsync(appDir);
-        const match = files.find(f => 
-          f.toLowerCase() === `${safeName.toLowerCase()}.app`
-        );
-        if (match) {
-          appPath = path.join(appDir, match);
-          found = true;
-        }
+/**
+ * Resolve a single registered app in the user's or (with `system`) the all-users scope,
+ * pointing at the other scope when the app is only installed there.
+ * `verb` names the command in that hint, e.g. "remove".
+ */
+async function resolveInstalledAppInScope(appName, browserId, system, verb) {
+  const resolved = await resolveInstalledApp(appName, browserId, { system });
+  if (resolved.notFound && (await findApps(appName, browserId, { system: !system })).length > 0) {
+    resolved.error += system
+      ? ` for all users. It is installed for you only; ${verb} it without --system.`
+      : ` for you. It is installed for all users; ${verb} it with --system.`;
+  }
+  return resolved;
+}
+
+/**
+ * Plan moving an app's launcher to match a new name, and into `appDir` when that is another
+ * directory (such as the apps folder of a new browser), keeping its identity.
+ * Linux entries are named after the app id, so they only change directory.
+ */
+function planRelocation(entry, appName, appDir = path.dirname(entry.launcherPath)) {
+  const safeName = sanitizeAppName(appName);
+  let { launcherPath, iconPath } = entry;
+  const steps = appDir !== path.dirname(entry.launcherPath) ? [mkdirStep(appDir)] : [];
+
+  switch (process.platform) {
+    case 'darwin': {
+      launcherPath = path.join(appDir, `${safeName}.app`);
+      if (launcherPath !== entry.launcherPath) {
+        steps.push(moveStep(entry.launcherPath, launcherPath));
+
+        // The writer creates an executable under the new name
+        steps.push(deleteStep(path.join(launcherPath, 'Contents', 'MacOS', sanitizeAppName(entry.name))));
+        iconPath = iconPath && path.join(launcherPath, 'Contents', 'Resources', path.basename(iconPath));
       }
       break;
+    }
 
-    case 'win32':
-      // Look for .lnk shortcut
-      appPath = path.join(appDir, `${safeName}.lnk`);
-      try {
-        await statAsync(appPath);
-        found = true;
-      } catch {
-        // Try case-insensitive search
-        const files = await readdirAsync(appDir);
-        const match = files.find(f => 
-          f.toLowerCase() === `${safeName.toLowerCase()}.lnk`
-        );
-        if (match) {
-          appPath = path.join(appDir, match);
-          found = true;
+    case 'win32': {
+      launcherPath = path.join(appDir, `${safeName}.lnk`);
+      if (launcherPath !== entry.launcherPath) {
+        steps.push(moveStep(entry.launcherPath, launcherPath));
+        // The writer recreates the shortcut links under the new name
+        steps.push(deleteStep(getShortcutsDirectory(entry.launcherPath)));
+        if (iconPath && fs.existsSync(iconPath)) {
+          const newIconPath = path.join(appDir, `${safeName}${path.extname(iconPath)}`);
+          steps.push(moveStep(iconPath, newIconPath));
+          iconPath = newIconPath;
         }
       }
       break;
+    }
 
-    case 'linux':
-      // Look for .desktop file (could be named with app ID)
-      const files = await readdirAsync(appDir);
-      const desktopMatch = files.find(f => {
-        if (!f.endsWith('.desktop')) return false;
-        const baseName = f.replace('.desktop', '');
-        return baseName.toLowerCase().includes(safeName.toLowerCase()) ||
-               f.toLowerCase().includes('webnest');
-      });
-      
-      if (desktopMatch) {
-        appPath = path.join(appDir, desktopMatch);
-        // Verify it's a WebNest app by checking content
-        try {
-          const content = fs.readFileSync(appPath, 'utf8');
-          if (content.includes(safeName) || content.includes('WebNest')) {
-            found = true;
-          }
-        } catch {
-          // Can't read file
-        }
+    default: {
+      launcherPath = path.join(appDir, path.basename(entry.launcherPath));
+      if (launcherPath !== entry.launcherPath) {
+        steps.push(moveStep(entry.launcherPath, launcherPath));
       }
-      break;
+    }
   }
 
-  if (!found) {
-    return {
-      success: false,
-      notFound: true,
-      error: `App "${appName}" not found in ${browserName} apps`,
-    };
+  return { appDir, launcherPath, iconPath, steps };
+}
+
+/**
+ * Modify an installed app in place: rewrite its launcher while keeping its
+ * id, location (unless it moves to another browser) and (unless a new one is given) its icon.
+ * Passing `iconSource: null` goes back to the website's own icon.
+ * With `system` an app installed for all users is changed.
+ * With `dryRun` nothing is written: the result's `steps` list what would be.
+ */
+async function editWebApp(appName, changes, browserId, { system = false, dryRun = false } = {}) {
+  const resolved = await resolveInstalledAppInScope(appName, browserId, system, 'edit');
+  if (!resolved.success) {
+    return resolved;
   }
 
-  // Remove the app
-  try {
-    await rmAsync(appPath, { recursive: true, force: true });
-    
-    // On macOS, unregister from Launch Services
-    if (platform === 'darwin') {
-      try {
-        await execAsync(`/System/Library/Frameworks/CoreServices.framework/Frameworks/LaunchServices.framework/Support/lsregister -u "${appPath}" 2>/dev/null || true`);
-      } catch {
-        // lsregister might fail, but app is still removed
-      }
+  const { entry } = resolved;
+  if (system && !dryRun) {
+    const access = await checkSystemAccess(path.dirname(entry.launcherPath), 'Changing');
+    if (!access.success) {
+      return access;
     }
+  }
 
-    // On Linux, update desktop database
-    if (platform === 'linux') {
-      try {
-        await execAsync('update-desktop-database ~/.local/share/applications/ 2>/dev/null || true');
-      } catch {
-        // update-desktop-database might not be available
-      }
+  const browserConfig = getBrowserConfig(entry.browserId);
+  const browser = changes.browser || {
+    id: entry.browserId,
+    path: entry.browserPath,
+    appFlag: browserConfig ? browserConfig.appFlag : '--app=',
+    sandbox: entry.browserSandbox || null,
+    flatpakId: entry.flatpakId || null,
+  };
+  const name = changes.appName || entry.name;
+  const url = changes.url || entry.url;
+  // A new URL replaces the start URL the site's manifest gave
+  const startUrl = changes.url ? null : entry.startUrl || null;
+
+  // Isolated profiles are per browser, so switching browsers starts a fresh one
+  const isolated = changes.isolated !== undefined ? changes.isolated : !!entry.userDataDir;
+  const userDataDir = isolated ? getIsolatedProfilePath(entry.id, browser.id) : null;
+  const steps = userDataDir ? [mkdirStep(userDataDir)] : [];
+  if (userDataDir && userDataDir !== entry.userDataDir) {
+    const support = checkIsolatedProfileSupport(browser);
+    if (!support.success) {
+      return support;
     }
+  }
 
-    return {
-      success: true,
-      appPath,
-      browserName,
-    };
-  } catch (error) {
+  // A named profile belongs to the old browser and can't follow the app
+  let profileDirectory = browser.id === entry.browserId ? entry.profileDirectory || null : null;
+  if (changes.profileDirectory !== undefined) {
+    profileDirectory = changes.profileDirectory;
+  }
+
+  // Switching browsers moves the launcher into the new browser's apps folder
+  const switching = browser.id !== entry.browserId;
+  const appDir = switching ? getWebAppDirectory(browser, { system: isSystemApp(entry) }) : path.dirname(entry.launcherPath);
+  if (switching && (await findApps(entry.id, browser.id, { system: isSystemApp(entry) })).length > 0) {
     return {
       success: false,
-      error: `Failed to remove app: ${error.message}`,
+      ambiguous: true,
+      error: `"${entry.name}" is already installed for ${getBrowserName(browser.id)}. Remove that app first.`,
     };
   }
+  const location = planRelocation(entry, name, appDir);
+  steps.push(...location.steps);
+
+  // A generated monogram is redrawn when the initials or style change
+  const iconSource = changes.iconSource !== undefined ? changes.iconSource : entry.iconSource || null;
+  const iconStyle = changes.iconStyle !== undefined ? changes.iconStyle : entry.iconStyle || null;
+  const redrawMonogram = entry.iconGenerated && (name !== entry.name || iconStyle !== (entry.iconStyle || null));
+
+  // --flag style changes add to (or replace) the current flags, or the new list given with --flags
+  const removedFlags = changes.removeFlags || [];
+  const flags = mergeFlags(changes.flags || entry.flags || [], changes.addFlags || [])
+    .filter(flag => !removedFlags.includes(getFlagName(flag)));
+
+  const result = await planLauncher({
+    appId: entry.id,
+    url: startUrl || url,
+    appName: name,
+    browser,
+    appDir: location.appDir,
+    system,
+    userDataDir,
+    profileDirectory,
+    flags,
+    keepIcon: changes.iconSource === undefined && !redrawMonogram,
+    iconPath: location.iconPath,
+    iconSource: changes.iconSource !== undefined ? changes.iconSource : redrawMonogram ? null : iconSource,
+    iconStyle,
+    iconGenerated: entry.iconGenerated,
+    display: entry.display || null,
+    themeColor: entry.themeColor || entry.backgroundColor || null,
+    shortcuts: entry.shortcuts || [],
+  });
+
+  if (!result.success) {
+    return result;
+  }
+
+  const updated = {
+    ...entry,
+    name,
+    url,
+    startUrl,
+    browserId: browser.id,
+    browserPath: browser.path,
+    browserSandbox: browser.sandbox || null,
+    flatpakId: browser.flatpakId || null,
+    launcherPath: result.appPath,
+    iconPath: result.iconPath,
+    userDataDir,
+    profileDirectory,
+    flags,
+    iconSource,
+    iconStyle,
+    iconGenerated: result.iconGenerated,
+  };
+
+  // The desktop shortcut is a copy of (or link to) the launcher, so it is made again
+  if (entry.desktopPath) {
+    const shortcut = await planDesktopShortcut(result.appPath);
+    if (shortcut.desktopPath !== entry.desktopPath) {
+      result.steps.push(deleteStep(entry.desktopPath));
+    }
+    result.steps.push(...shortcut.steps);
+    updated.desktopPath = shortcut.desktopPath;
+  }
+  result.steps = [...steps, ...result.steps, unregisterStep(entry), registerStep(updated)];
+  result.dryRun = dryRun;
+
+  if (dryRun) {
+    result.app = updated;
+  } else {
+    try {
+      [result.app] = await applyPlan(result.steps);
+    } catch (error) {
+      return {
+        success: false,
+        ioError: true,
+        error: `Failed to update app: ${error.message}`,
+      };
+    }
+  }
+
+  if (entry.userDataDir && userDataDir !== entry.userDataDir) {
+    result.note = `${result.note} The previous isolated profile was kept at ${entry.userDataDir}.`;
+  }
+  return result;
 }
 
 /**
- * List all installed web apps for a browser
+ * Work out the URL to open for `launch`: the page the launcher opens, or a deep path or URL inside its origin.
+ * Relative paths are resolved against the app's scope, so "reports" opens below the app's start page.
  */
-async function listInstalledApps(browserId) {
-  const platform = process.platform;
-  const appDir = getWebAppDirectoryById(browserId);
-  const browserName = getBrowserName(browserId);
-  const apps = [];
-
-  if (!appDir) return apps;
+function resolveLaunchUrl(entry, target) {
+  if (!target) {
+    return { success: true, url: entry.startUrl || entry.url };
+  }
 
+  const origin = new URL(entry.url).origin;
+  let url;
   try {
-    await statAsync(appDir);
+    url = new URL(target, entry.scope || entry.url);
   } catch {
-    return apps;
+    return { success: false, invalidUrl: true, error: `Invalid path or URL: ${target}` };
+  }
+
+  if (url.origin !== origin) {
+    return { success: false, invalidUrl: true, error: `${url.href} is outside the app's origin (${origin})` };
+  }
+  return { success: true, url: url.href };
+}
+
+/**
+ * Start an app's browser detached, with the same arguments as its launcher.
+ * With `system` an app installed for all users is started.
+ */
+async function launchWebApp(appName, target, browserId, { system = false } = {}) {
+  const resolved = await resolveInstalledAppInScope(appName, browserId, system, 'launch');
+  if (!resolved.success) {
+    return resolved;
+  }
+
+  const { entry } = resolved;
+  const launch = resolveLaunchUrl(entry, target);
+  if (!launch.success) {
+    return launch;
   }
 
   try {
-    const files = await readdirAsync(appDir);
-
-    for (const file of files) {
-      const filePath = path.join(appDir, file);
-      
-      switch (platform) {
-        case 'darwin':
-          if (file.endsWith('.app')) {
-            const appName = file.replace('.app', '');
-            apps.push({
-              name: appName,
-              path: filePath,
-              browser: browserName,
-              browserId,
-            });
-          }
-          break;
-
-        case 'win32':
-          if (file.endsWith('.lnk')) {
-            const appName = file.replace('.lnk', '');
-            apps.push({
-              name: appName,
-              path: filePath,
-              browser: browserName,
-              browserId,
-            });
-          }
-          break;
-
-        case 'linux':
-          if (file.endsWith('.desktop')) {
-            // Read the desktop file to get the app name
-            try {
-              const content = fs.readFileSync(filePath, 'utf8');
-              const nameMatch = content.match(/^Name=(.+)$/m);
-              if (nameMatch) {
-                apps.push({
-                  name: nameMatch[1],
-                  path: filePath,
-                  browser: browserName,
-                  browserId,
-                });
-              }
-            } catch {
-              // Skip files we can't read
-            }
-          }
-          break;
-      }
-    }
+    await accessAsync(entry.browserPath, fs.constants.X_OK);
   } catch {
-    // Directory read failed
+    return {
+      success: false,
+      browserMissing: true,
+      error: `Browser not found at ${entry.browserPath}. Point the app at an installed browser with "webnest edit --use-browser".`,
+    };
+  }
+
+  const browserConfig = getBrowserConfig(entry.browserId);
+  const browser = {
+    id: entry.browserId,
+    path: entry.browserPath,
+    appFlag: browserConfig ? browserConfig.appFlag : '--app=',
+    sandbox: entry.browserSandbox || null,
+    flatpakId: entry.flatpakId || null,
+  };
+  const args = buildLaunchArgs({
+    url: launch.url,
+    browser,
+    userDataDir: entry.userDataDir,
+    profileDirectory: entry.profileDirectory,
+    flags: entry.flags || [],
+    display: entry.display || null,
+  });
+
+  try {
+    await new Promise((resolve, reject) => {
+      const child = spawn(entry.browserPath, args, { detached: true, stdio: 'ignore' });
+      child.once('error', reject);
+      child.once('spawn', () => {
+        child.unref();
+        resolve();
+      });
+    });
+  } catch (error) {
+    return {
+      success: false,
+      error: `Failed to start ${getBrowserName(entry.browserId)}: ${error.message}`,
+    };
+  }
+
+  return {
+    success: true,
+    app: describeApp(entry),
+    url: launch.url,
+    command: [entry.browserPath, ...args],
+  };
+}
+
+/**
+ * Uninstall/remove a web app.
+ * Without a browser id the name must identify a single app; with `system` an app installed for all users is removed.
+ */
+async function uninstallWebApp(appName, browserId, options = {}) {
+  const resolved = await resolveInstalledAppInScope(appName, browserId, !!options.system, 'remove');
+  if (!resolved.success) {
+    return resolved;
   }
 
-  return apps;
+  return removeInstalledApp(resolved.entry, options);
+}
+
+/**
+ * List all installed web apps, the user's own and those installed for all users, optionally for a single browser
+ */
+async function listInstalledApps(browserId) {
+  const registries = [await loadRegistry(), await loadRegistry({ system: true })];
+  const entries = registries
+    .flatMap(registry => registry.apps)
+    .filter(entry => !browserId || entry.browserId === browserId.toLowerCase());
+  await loadAppBrowsers(entries);
+  return entries.map(describeApp);
 }
 
 module.exports = {
   installWebApp,
+  buildWebApp,
   uninstallWebApp,
+  editWebApp,
+  launchWebApp,
+  removeInstalledApp,
+  describeApp,
+  loadAppBrowsers,
+  findInstalledApps,
   listInstalledApps,
   getWebAppDirectory,
+  getWebAppDirectoryById,
+  getSystemAppDirectory,
 };
@@ -0,0 +1,114 @@
+/*
+ * Writer for Windows shortcut (.lnk) files in the Shell Link Binary File Format
+ * (MS-SHLLINK). Windows' own shortcut API is only reachable on Windows, so
+ * launchers built elsewhere are written byte by byte instead.
+ */
+
+// Shell link CLSID 00021401-0000-0000-C000-000000000046, in the byte order the header stores it
+const LINK_CLSID = Buffer.from('0114020000000000c000000000000046', 'hex');
+
+// LinkFlags
+const HAS_LINK_INFO = 0x2;
+const HAS_NAME = 0x4;
+const HAS_WORKING_DIR = 0x10;
+const HAS_ARGUMENTS = 0x20;
+const HAS_ICON_LOCATION = 0x40;
+const IS_UNICODE = 0x80;
+const HAS_EXP_STRING = 0x200;
+const HAS_EXP_ICON = 0x4000;
+
+// Extra data block signatures; both blocks hold a path with %VARIABLES% left in
+const ENVIRONMENT_BLOCK = 0xa0000001;
+const ICON_ENVIRONMENT_BLOCK = 0xa0000007;
+const ENVIRONMENT_BLOCK_SIZE = 0x314;
+
+const SW_SHOWNORMAL = 1;
+const DRIVE_FIXED = 3;
+
+/**
+ * Encode a StringData entry: a character count followed by UTF-16 text
+ */
+function stringData(value) {
+  const count = Buffer.alloc(2);
+  count.writeUInt16LE(value.length, 0);
+  return Buffer.concat([count, Buffer.from(value, 'utf16le')]);
+}
+
+/**
+ * Encode an environment variable data block for a path such as %LOCALAPPDATA%\app.exe
+ */
+function environmentBlock(signature, value) {
+  const block = Buffer.alloc(ENVIRONMENT_BLOCK_SIZE);
+  block.writeUInt32LE(ENVIRONMENT_BLOCK_SIZE, 0);
+  block.writeUInt32LE(signature, 4);
+  block.write(value.slice(0, 259), 8, 'latin1');
+  block.write(value.slice(0, 259), 268, 'utf16le');
+  return block;
+}
+
+/**
+ * Encode a LinkInfo structure pointing at a path on a local fixed drive
+ */
+function linkInfo(targetPath) {
+  const volumeId = Buffer.alloc(17);
+  volumeId.writeUInt32LE(volumeId.length, 0);
+  volumeId.writeUInt32LE(DRIVE_FIXED, 4);
+  volumeId.writeUInt32LE(0x10, 12);
+
+  const basePath = Buffer.from(`${targetPath}\0`, 'latin1');
+  const suffix = Buffer.from([0]);
+
+  const header = Buffer.alloc(0x1c);
+  header.writeUInt32LE(header.length + volumeId.length + basePath.length + suffix.length, 0);
+  header.writeUInt32LE(header.length, 4);
+  header.writeUInt32LE(1, 8);
+  header.writeUInt32LE(header.length, 12);
+  header.writeUInt32LE(header.length + volumeId.length, 16);
+  header.writeUInt32LE(header.length + volumeId.length + basePath.length, 24);
+
+  return Buffer.concat([header, volumeId, basePath, suffix]);
+}
+
+/**
+ * Build the contents of a .lnk file.
+ * Targets and icons containing %VARIABLES% are stored in environment blocks so Windows expands them
+ * when the shortcut is used; other plain ASCII targets also get a LinkInfo with the local path.
+ */
+function createShortcut({ targetPath, args = '', workingDirectory = '', description = '', iconLocation = '' }) {
+  const expandTarget = targetPath.includes('%') || !/^[\x20-\x7e]*$/.test(targetPath);
+  const expandIcon = iconLocation.includes('%');
+
+  let flags = IS_UNICODE;
+  const parts = [];
+  if (!expandTarget) {
+    flags |= HAS_LINK_INFO;
+    parts.push(linkInfo(targetPath));
+  }
+  for (const [flag, value] of [[HAS_NAME, description], [HAS_WORKING_DIR, workingDirectory], [HAS_ARGUMENTS, args], [HAS_ICON_LOCATION, iconLocation]]) {
+    if (value) {
+      flags |= flag;
+      parts.push(stringData(value));
+    }
+  }
+  if (expandTarget) {
+    flags |= HAS_EXP_STRING;
+    parts.push(environmentBlock(ENVIRONMENT_BLOCK, targetPath));
+  }
+  if (expandIcon) {
+    flags |= HAS_EXP_ICON;
+    parts.push(environmentBlock(ICON_ENVIRONMENT_BLOCK, iconLocation));
+  }
+
+  const header = Buffer.alloc(0x4c);
+  header.writeUInt32LE(header.length, 0);
+  LINK_CLSID.copy(header, 4);
+  header.writeUInt32LE(flags, 20);
+  header.writeUInt32LE(SW_SHOWNORMAL, 60);
+
+  // The terminal block ends the extra data
+  return Buffer.concat([header, ...parts, Buffer.alloc(4)]);
+}
+
+module.exports = {
+  createShortcut,
+};
@@ -0,0 +1,324 @@
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const yaml = require('js-yaml');
+const { detectBrowser, resolveBrowserProfile, listBrowserProfiles, expandHomePath, getBrowserConfig, discoverBrowsers, DEFAULT_BROWSER_ID } = require('./browser');
+const { editWebApp, uninstallWebApp } = require('./installer');
+const { createApp } = require('./api');
+const { loadRegistry } = require('./registry');
+const { validateUrl, parseFlags } = require('./utils');
+const { ICON_STYLES } = require('./monogram');
+
+const readFileAsync = promisify(fs.readFile);
+const writeFileAsync = promisify(fs.writeFile);
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * Pick the manifest format from a file name
+ */
+function getManifestFormat(filePath) {
+  return /\.ya?ml$/i.test(filePath || '') ? 'yaml' : 'json';
+}
+
+/**
+ * Check one app declared in a manifest and fill in its defaults
+ */
+function normalizeManifestApp(app, index, baseDir) {
+  const label = app && app.name ? `"${app.name}"` : `#${index + 1}`;
+
+  if (!app || typeof app !== 'object') {
+    throw new Error(`App ${label} must be an object`);
+  }
+  if (!app.name || typeof app.name !== 'string') {
+    throw new Error(`App ${label} needs a name`);
+  }
+  if (!validateUrl(app.url)) {
+    throw new Error(`App ${label} needs a valid http:// or https:// url`);
+  }
+
+  const browser = (app.browser || DEFAULT_BROWSER_ID).toLowerCase();
+  if (browser !== DEFAULT_BROWSER_ID && !getBrowserConfig(browser)) {
+    throw new Error(`App ${label} uses unknown browser "${app.browser}"`);
+  }
+
+  if (app.profile && app.isolated) {
+    throw new Error(`App ${label} can't use both a profile and an isolated profile`);
+  }
+
+  if (app.iconStyle && !ICON_STYLES.includes(app.iconStyle)) {
+    throw new Error(`App ${label} iconStyle must be one of ${ICON_STYLES.join(', ')}`);
+  }
+
+  let flags = app.flags || [];
+  if (typeof flags === 'string') {
+    flags = parseFlags(flags);
+  }
+  if (!Array.isArray(flags)) {
+    throw new Error(`App ${label} flags must be a list or a string`);
+  }
+
+  return {
+    name: app.name,
+    url: app.url,
+    browser,
+    // Icon files are relative to the manifest
+    icon: app.icon && !validateUrl(app.icon) ? path.resolve(baseDir, expandHomePath(app.icon)) : app.icon || null,
+    iconStyle: app.iconStyle || null,
+    flags: flags.map(String),
+    profile: app.profile || null,
+    isolated: !!app.isolated,
+  };
+}
+
+/**
+ * Read and validate a manifest file (JSON or YAML)
+ */
+async function loadManifest(filePath) {
+  let manifest;
+  try {
+    const contents = await readFileAsync(filePath, 'utf8');
+    manifest = getManifestFormat(filePath) === 'yaml' ? yaml.load(contents) : JSON.parse(contents);
+  } catch (error) {
+    return {
+      success: false,
+      error: error.code === 'ENOENT'
+        ? `Manifest not found: ${filePath}`
+        : `Failed to read manifest ${filePath}: ${error.message}`,
+    };
+  }
+
+  if (!manifest || !Array.isArray(manifest.apps)) {
+    return { success: false, error: `Manifest ${filePath} must contain an "apps" list` };
+  }
+
+  // Apps may use a browser that only the system scan knows about
+  if (manifest.apps.some(app => app && app.browser && String(app.browser).toLowerCase() !== DEFAULT_BROWSER_ID && !getBrowserConfig(String(app.browser)))) {
+    await discoverBrowsers();
+  }
+
+  try {
+    const baseDir = path.dirname(path.resolve(filePath));
+    const apps = manifest.apps.map((app, index) => normalizeManifestApp(app, index, baseDir));
+
+    // Apps without a browser use the default one, as creating an app does; it is looked up once
+    // so they can be matched with the installed apps, which record the actual browser
+    if (apps.some(app => app.browser === DEFAULT_BROWSER_ID)) {
+      const browser = await detectBrowser(DEFAULT_BROWSER_ID);
+      if (!browser.found) {
+        throw new Error(browser.error || 'Your default browser could not be found; give each app a browser');
+      }
+      apps.filter(app => app.browser === DEFAULT_BROWSER_ID).forEach(app => {
+        app.browser = browser.id;
+      });
+    }
+
+    const seen = new Set();
+    for (const app of apps) {
+      const key = `${app.browser}:${app.name.toLowerCase()}`;
+      if (seen.has(key)) {
+        throw new Error(`App "${app.name}" is declared twice for ${app.browser}`);
+      }
+      seen.add(key);
+    }
+
+    return { success: true, manifest: { version: manifest.version || MANIFEST_VERSION, apps } };
+  } catch (error) {
+    return { success: false, error: `Invalid manifest ${filePath}: ${error.message}` };
+  }
+}
+
+/**
+ * Work out which fields of an installed app differ from its manifest entry
+ */
+async function diffManifestApp(app, entry) {
+  const changes = {};
+
+  if (app.url !== entry.url) {
+    changes.url = app.url;
+  }
+  if (JSON.stringify(app.flags) !== JSON.stringify(entry.flags || [])) {
+    changes.flags = app.flags;
+  }
+  if ((app.icon || null) !== (entry.iconSource || null)) {
+    changes.iconSource = app.icon;
+  }
+  if (app.iconStyle !== (entry.iconStyle || null)) {
+    changes.iconStyle = app.iconStyle;
+  }
+  if (app.isolated !== !!entry.userDataDir) {
+    changes.isolated = app.isolated;
+  }
+
+  let profileDirectory = null;
+  if (app.profile) {
+    const resolved = await resolveBrowserProfile(app.browser, app.profile);
+    if (!resolved.success) {
+      throw new Error(`App "${app.name}": ${resolved.error}`);
+    }
+    profileDirectory = resolved.profile.directory;
+  }
+  if (profileDirectory !== (entry.profileDirectory || null)) {
+    changes.profileDirectory = profileDirectory;
+  }
+
+  return changes;
+}
+
+/**
+ * Compare a manifest with the installed apps and plan what to create, update and delete
+ */
+async function planManifest(manifest, { prune = false } = {}) {
+  const registry = await loadRegistry();
+  const plan = { create: [], update: [], delete: [], unchanged: [], errors: [] };
+  const claimed = new Set();
+
+  for (const app of manifest.apps) {
+    const entry = registry.apps.find(a =>
+      a.browserId === app.browser && a.name.toLowerCase() === app.name.toLowerCase()
+    );
+
+    if (!entry) {
+      plan.create.push({ app });
+      continue;
+    }
+
+    claimed.add(entry);
+    try {
+      const changes = await diffManifestApp(app, entry);
+      if (Object.keys(changes).length > 0) {
+        plan.update.push({ app, entry, changes });
+      } else {
+        plan.unchanged.push({ app, entry });
+      }
+    } catch (error) {
+      plan.errors.push(error.message);
+    }
+  }
+
+  if (prune) {
+    plan.delete = registry.apps.filter(entry => !claimed.has(entry)).map(entry => ({ entry }));
+  }
+
+  return plan;
+}
+
+/**
+ * Carry out a manifest plan, reporting each step as it completes.
+ * With `dryRun` nothing changes; each step's `steps` lists the files and commands it would touch.
+ */
+async function applyManifestPlan(plan, { onStep = () => {}, dryRun = false } = {}) {
+  const results = [];
+
+  const record = (action, name, result) => {
+    const step = { action, name, ...result };
+    results.push(step);
+    onStep(step);
+  };
+
+  // Removals go first so a renamed app can't have its new launcher deleted
+  for (const { entry } of plan.delete) {
+    try {
+      record('delete', entry.name, await uninstallWebApp(entry.name, entry.browserId, { dryRun }));
+    } catch (error) {
+      record('delete', entry.name, { success: false, error: error.message });
+    }
+  }
+
+  for (const { entry, changes } of plan.update) {
+    try {
+      record('update', entry.name, await editWebApp(entry.name, changes, entry.browserId, { dryRun }));
+    } catch (error) {
+      record('update', entry.name, { success: false, error: error.message });
+    }
+  }
+
+  // Apps are created the way "webnest <url>" creates them, with the site's manifest applied
+  for (const { app } of plan.create) {
+    try {
+      const result = await createApp(app.url, {
+        browser: app.browser,
+        name: app.name,
+        isolated: app.isolated,
+        profile: app.profile || undefined,
+        icon: app.icon || undefined,
+        iconStyle: app.iconStyle || undefined,
+        flags: app.flags,
+        dryRun,
+      });
+      record('create', app.name, { success: true, ...result });
+    } catch (error) {
+      record('create', app.name, { success: false, error: error.message });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Describe the installed apps as a manifest
+ */
+async function exportManifest() {
+  const registry = await loadRegistry();
+  const profileNames = {};
+  const apps = [];
+
+  for (const entry of registry.apps) {
+    const app = { name: entry.name, url: entry.url, browser: entry.browserId };
+
+    if (entry.iconSource) {
+      app.icon = entry.iconSource;
+    }
+    if (entry.iconStyle) {
+      app.iconStyle = entry.iconStyle;
+    }
+    if (entry.flags && entry.flags.length > 0) {
+      app.flags = entry.flags;
+    }
+    if (entry.userDataDir) {
+      app.isolated = true;
+    }
+
+    // Prefer the profile's display name, which survives across machines better than its directory
+    if (entry.profileDirectory) {
+      if (!profileNames[entry.browserId]) {
+        const result = await listBrowserProfiles(entry.browserId);
+        profileNames[entry.browserId] = result.success ? result.profiles : [];
+      }
+      const profile = profileNames[entry.browserId].find(p => p.directory === entry.profileDirectory);
+      app.profile = profile ? profile.name : entry.profileDirectory;
+    }
+
+    apps.push(app);
+  }
+
+  return { version: MANIFEST_VERSION, apps };
+}
+
+/**
+ * Serialize a manifest as JSON or YAML
+ */
+function formatManifest(manifest, format) {
+  return format === 'yaml'
+    ? yaml.dump(manifest, { lineWidth: -1 })
+    : `${JSON.stringify(manifest, null, 2)}\n`;
+}
+
+/**
+ * Write the installed apps to a manifest file
+ */
+async function writeManifest(filePath, format) {
+  const manifest = await exportManifest();
+  await writeFileAsync(path.resolve(filePath), formatManifest(manifest, format || getManifestFormat(filePath)));
+  return manifest;
+}
+
+module.exports = {
+  loadManifest,
+  planManifest,
+  applyManifestPlan,
+  exportManifest,
+  formatManifest,
+  writeManifest,
+  getManifestFormat,
+};
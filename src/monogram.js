@@ -0,0 +1,168 @@
+const { parseColor } = require('./svg');
+
+const ICON_STYLES = ['letter', 'rounded', 'circle'];
+const DEFAULT_ICON_STYLE = 'rounded';
+
+// Stroke outlines for the initials, drawn with round caps on a 100 unit cap height.
+// Each glyph is [advance width, path data].
+const GLYPHS = {
+  A: [70, 'M0 100L35 0L70 100M13 64H57'],
+  B: [61, 'M0 100V0H35A24 24 0 0 1 35 48H0M35 48A26 26 0 0 1 35 100H0'],
+  C: [70, 'M68 15A40 50 0 1 0 68 85'],
+  D: [62, 'M0 0V100H25A37 50 0 0 0 25 0Z'],
+  E: [55, 'M55 0H0V100H55M0 50H45'],
+  F: [55, 'M55 0H0V100M0 50H45'],
+  G: [80, 'M68 15A40 50 0 1 0 80 50H48'],
+  H: [60, 'M0 0V100M60 0V100M0 50H60'],
+  I: [0, 'M0 0V100'],
+  J: [50, 'M50 0V70A25 30 0 0 1 0 70'],
+  K: [60, 'M0 0V100M60 0L0 60M20 42L60 100'],
+  L: [50, 'M0 0V100H50'],
+  M: [76, 'M0 100V0L38 70L76 0V100'],
+  N: [60, 'M0 100V0L60 100V0'],
+  O: [80, 'M0 50A40 50 0 1 0 80 50A40 50 0 1 0 0 50Z'],
+  P: [60, 'M0 100V0H32A28 27 0 0 1 32 54H0'],
+  Q: [82, 'M0 50A40 50 0 1 0 80 50A40 50 0 1 0 0 50ZM50 72L82 104'],
+  R: [62, 'M0 100V0H32A28 27 0 0 1 32 54H0M30 54L62 100'],
+  S: [62, 'M58 14A29 25 0 1 0 31 50A29 25 0 1 1 4 86'],
+  T: [64, 'M0 0H64M32 0V100'],
+  U: [60, 'M0 0V68A30 32 0 0 0 60 68V0'],
+  V: [68, 'M0 0L34 100L68 0'],
+  W: [96, 'M0 0L22 100L48 20L74 100L96 0'],
+  X: [62, 'M0 0L62 100M62 0L0 100'],
+  Y: [64, 'M0 0L32 50L64 0M32 50V100'],
+  Z: [60, 'M0 0H60L0 100H60'],
+  0: [60, 'M0 50A30 50 0 1 0 60 50A30 50 0 1 0 0 50Z'],
+  1: [30, 'M0 22L28 0V100'],
+  2: [60, 'M2 26A28 26 0 0 1 58 26C58 50 0 78 0 100H60'],
+  3: [60, 'M2 14A28 24 0 1 1 28 48A30 26 0 1 1 0 88'],
+  4: [64, 'M46 100V0L0 70H64'],
+  5: [60, 'M56 0H6L2 46A30 28 0 1 1 0 88'],
+  6: [60, 'M0 68A30 30 0 1 0 60 68A30 30 0 1 0 0 68ZM52 4C24 -6 0 20 0 68'],
+  7: [60, 'M0 0H60L20 100'],
+  8: [60, 'M30 50A25 25 0 1 1 30 0A25 25 0 1 1 30 50ZM30 46A30 27 0 1 1 30 100A30 27 0 1 1 30 46Z'],
+  9: [60, 'M60 32A30 30 0 1 0 0 32A30 30 0 1 0 60 32ZM60 32C60 80 36 106 8 96'],
+};
+
+// A globe, drawn when neither the name nor the hostname has a letter or digit with a glyph
+const GENERIC_GLYPH = [100, 'M0 50A50 50 0 1 0 100 50A50 50 0 1 0 0 50ZM0 50H100M50 0C22 30 22 70 50 100M50 0C78 30 78 70 50 100'];
+
+// Size of the icon's coordinate space
+const CANVAS = 256;
+const STROKE = 14;
+const GAP = 26;
+
+/**
+ * Pick up to two initials from an app name, e.g. "Google Calendar" -> "GC".
+ * Accented letters are reduced to A-Z. Names without any (such as "Почта" or "微博") fall back to the
+ * first letter of the website's hostname, e.g. "W" for weibo.com; without one either the result is "".
+ */
+function getInitials(appName, websiteUrl) {
+  const initials = (text) => String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .split(/[^A-Z0-9]+/)
+    .filter(Boolean)
+    .map(word => word[0]);
+
+  const fromName = initials(appName).slice(0, 2).join('');
+  if (fromName) {
+    return fromName;
+  }
+
+  let hostname = '';
+  try {
+    hostname = new URL(websiteUrl).hostname.replace(/^www\./, '');
+  } catch {}
+  // Punycode labels (xn--...) of internationalized domains don't stand for their letters
+  const label = hostname.split('.').find(part => part && !part.startsWith('xn--'));
+  return initials(label).slice(0, 1).join('');
+}
+
+/**
+ * Derive a stable, saturated color from a hostname so every site gets its own
+ */
+function colorFromHostname(hostname) {
+  let hash = 0;
+  for (const char of String(hostname || '').toLowerCase()) {
+    hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+  }
+  return `hsl(${hash % 360}, 55%, 45%)`;
+}
+
+/**
+ * Choose the monogram background: the site's theme color when it is usable,
+ * otherwise one derived from the hostname
+ */
+function pickMonogramColor(themeColor, websiteUrl) {
+  const parsed = parseColor(themeColor || '');
+  if (parsed && parsed[3] > 0.5) {
+    return `rgb(${parsed.slice(0, 3).map(Math.round).join(',')})`;
+  }
+
+  let hostname = '';
+  try {
+    hostname = new URL(websiteUrl).hostname.replace(/^www\./, '');
+  } catch {}
+  return colorFromHostname(hostname);
+}
+
+/**
+ * White initials on dark backgrounds, dark ones on light backgrounds
+ */
+function textColorFor(background) {
+  const [r, g, b] = parseColor(background) || [0, 0, 0];
+  const luminance = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+  return luminance > 0.62 ? '#1f1f1f' : '#ffffff';
+}
+
+/**
+ * Build an SVG monogram icon with an app's initials, or a globe when it has none (see getInitials)
+ */
+function createMonogramSvg(appName, background, style = DEFAULT_ICON_STYLE, websiteUrl = '') {
+  const initials = getInitials(appName, websiteUrl);
+  const glyphs = initials ? [...initials].map(c => GLYPHS[c]) : [GENERIC_GLYPH];
+
+  // Scale the text to fill the shape, shrinking wide pairs so they stay inside it
+  const textWidth = glyphs.reduce((sum, [width]) => sum + width, 0) + GAP * Math.max(0, glyphs.length - 1);
+  const maxWidth = style === 'circle' ? 130 : 150;
+  const scale = Math.min(1.0, maxWidth / (textWidth + STROKE));
+  const left = (CANVAS - textWidth * scale) / 2;
+  const top = (CANVAS - 100 * scale) / 2;
+
+  let x = 0;
+  const paths = glyphs.map(([width, d]) => {
+    const path = `<path transform="translate(${x} 0)" d="${d}"/>`;
+    x += width + GAP;
+    return path;
+  });
+
+  let shape;
+  switch (style) {
+    case 'circle':
+      shape = `<circle cx="128" cy="128" r="128" fill="${background}"/>`;
+      break;
+    case 'letter':
+      shape = `<rect width="256" height="256" fill="${background}"/>`;
+      break;
+    default:
+      shape = `<rect width="256" height="256" rx="56" fill="${background}"/>`;
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${CANVAS} ${CANVAS}">
+  ${shape}
+  <g transform="translate(${left} ${top}) scale(${scale})" fill="none" stroke="${textColorFor(background)}" stroke-width="${STROKE}" stroke-linecap="round" stroke-linejoin="round">
+    ${paths.join('\n    ')}
+  </g>
+</svg>
+`;
+}
+
+module.exports = {
+  ICON_STYLES,
+  DEFAULT_ICON_STYLE,
+  getInitials,
+  pickMonogramColor,
+  createMonogramSvg,
+};
@@ -0,0 +1,194 @@
+const fs = require('fs');
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const { registerApp, unregisterApp } = require('./registry');
+const { WebNestError, FileSystemError } = require('./errors');
+
+const execAsync = promisify(exec);
+const writeFileAsync = promisify(fs.writeFile);
+const mkdirAsync = promisify(fs.mkdir);
+const chmodAsync = promisify(fs.chmod);
+const rmAsync = promisify(fs.rm);
+const renameAsync = promisify(fs.rename);
+const copyFileAsync = promisify(fs.copyFile);
+const symlinkAsync = promisify(fs.symlink);
+
+/*
+ * A plan is a list of steps: the directories and files a command creates
+ * (with their contents), the files it moves, copies, links or deletes, the external commands
+ * it runs and its registry changes. Writers build a plan first, so --dry-run
+ * can show it, and apply it second.
+ */
+
+/**
+ * Step that creates a directory and its parents
+ */
+function mkdirStep(dirPath) {
+  return { type: 'mkdir', path: dirPath };
+}
+
+/**
+ * Step that writes a file; `contents` is text, or a Buffer for icons and Windows shortcuts
+ */
+function writeStep(filePath, contents, mode = null) {
+  return { type: 'write', path: filePath, contents, mode };
+}
+
+/**
+ * Step that moves a file or directory
+ */
+function moveStep(from, to) {
+  return { type: 'move', path: to, from };
+}
+
+/**
+ * Step that copies a file, keeping its permissions
+ */
+function copyStep(from, to) {
+  return { type: 'copy', path: to, from };
+}
+
+/**
+ * Step that creates a symbolic link to `target`, replacing whatever is at `linkPath`
+ */
+function symlinkStep(target, linkPath) {
+  return { type: 'symlink', path: linkPath, target };
+}
+
+/**
+ * Step that deletes a file or directory, if it exists
+ */
+function deleteStep(targetPath) {
+  return { type: 'delete', path: targetPath };
+}
+
+/**
+ * Step that runs an external command.
+ * `script` is written to `script.path` for the command to run and deleted afterwards.
+ * Failures of `optional` commands are ignored; others fail with `error` as the message prefix.
+ */
+function execStep(command, { script = null, optional = false, error = 'Command failed' } = {}) {
+  return { type: 'exec', command, script, optional, error };
+}
+
+/**
+ * Step that records an app in the registry
+ */
+function registerStep(entry) {
+  return { type: 'register', path: entry.launcherPath, entry };
+}
+
+/**
+ * Step that drops an app from the registry
+ */
+function unregisterStep(entry) {
+  return { type: 'unregister', path: entry.launcherPath, entry };
+}
+
+/**
+ * Run an exec step, writing and cleaning up its script
+ */
+async function runCommand(step) {
+  if (step.script) {
+    await writeFileAsync(step.script.path, step.script.contents);
+  }
+
+  try {
+    await execAsync(step.command);
+  } catch (error) {
+    if (!step.optional) {
+      throw new FileSystemError(`${step.error}: ${error.message}`);
+    }
+  } finally {
+    if (step.script) {
+      await rmAsync(step.script.path, { force: true });
+    }
+  }
+}
+
+/**
+ * Carry out a single plan step, collecting the registry entries it records
+ */
+async function applyStep(step, registered) {
+  switch (step.type) {
+    case 'mkdir':
+      await mkdirAsync(step.path, { recursive: true });
+      break;
+    case 'write':
+      await writeFileAsync(step.path, step.contents);
+      if (step.mode) {
+        await chmodAsync(step.path, step.mode);
+      }
+      break;
+    case 'move':
+      await renameAsync(step.from, step.path);
+      break;
+    case 'copy':
+      await copyFileAsync(step.from, step.path);
+      break;
+    case 'symlink':
+      // Only an old link or file is replaced, never a directory someone put there
+      await rmAsync(step.path, { force: true });
+      await symlinkAsync(step.target, step.path);
+      break;
+    case 'delete':
+      await rmAsync(step.path, { recursive: true, force: true });
+      break;
+    case 'exec':
+      await runCommand(step);
+      break;
+    case 'register':
+      registered.push(await registerApp(step.entry));
+      break;
+    case 'unregister':
+      await unregisterApp(step.entry);
+      break;
+    default:
+      throw new Error(`Unknown plan step "${step.type}"`);
+  }
+}
+
+/**
+ * Carry out a plan's steps in order.
+ * Resolves with the registry entries it recorded; failures are thrown as FileSystemErrors.
+ */
+async function applyPlan(steps) {
+  const registered = [];
+
+  try {
+    for (const step of steps) {
+      await applyStep(step, registered);
+    }
+  } catch (error) {
+    throw error instanceof WebNestError ? error : new FileSystemError(error.message, { cause: error });
+  }
+
+  return registered;
+}
+
+/**
+ * Describe a plan's steps as plain data for JSON output; file contents that are
+ * binary (icons, Windows shortcuts) are replaced by their size
+ */
+function describePlan(steps) {
+  return steps.map(step => {
+    if (step.type === 'write' && Buffer.isBuffer(step.contents)) {
+      return { ...step, contents: null, bytes: step.contents.length };
+    }
+    return step;
+  });
+}
+
+module.exports = {
+  mkdirStep,
+  writeStep,
+  moveStep,
+  copyStep,
+  symlinkStep,
+  deleteStep,
+  execStep,
+  registerStep,
+  unregisterStep,
+  applyPlan,
+  describePlan,
+};
@@ -0,0 +1,175 @@
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { expandHomePath } = require('./browser');
+const { loadRegistry, findApps } = require('./registry');
+
+const readdirAsync = promisify(fs.readdir);
+const mkdirAsync = promisify(fs.mkdir);
+const rmAsync = promisify(fs.rm);
+
+/**
+ * Get the WebNest data directory for the current platform
+ */
+function getDataDirectory() {
+  switch (process.platform) {
+    case 'darwin':
+      return expandHomePath('~/Library/Application Support/WebNest');
+    case 'win32':
+      return path.join(process.env.LOCALAPPDATA || expandHomePath('~/AppData/Local'), 'WebNest');
+    default:
+      if (process.env.XDG_DATA_HOME) {
+        return path.join(process.env.XDG_DATA_HOME, 'webnest');
+      }
+      return expandHomePath('~/.local/share/webnest');
+  }
+}
+
+/**
+ * Get the directory that holds isolated browser profiles
+ */
+function getProfilesDirectory() {
+  return path.join(getDataDirectory(), 'profiles');
+}
+
+/**
+ * Get the name of a browser's directory of isolated profiles.
+ * Channel ids like "chrome:beta" become "chrome-beta", as ":" can't appear in Windows paths.
+ */
+function getBrowserDirectoryName(browserId) {
+  return browserId.toLowerCase().replace(/:/g, '-');
+}
+
+/**
+ * Get the isolated profile directory for an app.
+ * Profiles are kept per browser since browsers can't share a user data dir.
+ * Not every browser can use it; see checkIsolatedProfileSupport in the installer.
+ */
+function getIsolatedProfilePath(appId, browserId) {
+  return path.join(getProfilesDirectory(), getBrowserDirectoryName(browserId), appId);
+}
+
+/**
+ * List isolated profiles on disk, matched up with the apps that use them
+ */
+async function listProfiles() {
+  const registry = await loadRegistry();
+  const profiles = [];
+
+  let browserDirs;
+  try {
+    browserDirs = await readdirAsync(getProfilesDirectory());
+  } catch {
+    return profiles;
+  }
+
+  for (const browserId of browserDirs) {
+    let appIds;
+    try {
+      appIds = await readdirAsync(path.join(getProfilesDirectory(), browserId));
+    } catch {
+      continue;
+    }
+
+    for (const appId of appIds) {
+      const profilePath = getIsolatedProfilePath(appId, browserId);
+      const app = registry.apps.find(a => a.userDataDir === profilePath);
+
+      profiles.push({
+        id: appId,
+        // The directory name stands in for the browser id of removed apps
+        browserId: app ? app.browserId : browserId,
+        name: app ? app.name : null,
+        path: profilePath,
+        orphaned: !app,
+      });
+    }
+  }
+
+  return profiles;
+}
+
+/**
+ * Find isolated profiles by app name or id, optionally limited to one browser
+ */
+async function findProfiles(appName, browserId) {
+  const apps = await findApps(appName, browserId);
+  const paths = apps.filter(a => a.userDataDir).map(a => a.userDataDir);
+  const wanted = appName.toLowerCase();
+
+  // Profiles left behind by removed apps can only be matched by id
+  const profiles = await listProfiles();
+  return profiles.filter(p =>
+    paths.includes(p.path) ||
+    (p.orphaned && p.id === wanted && (!browserId || getBrowserDirectoryName(p.browserId) === getBrowserDirectoryName(browserId)))
+  );
+}
+
+/**
+ * Resolve a single profile by app name, reporting missing or ambiguous matches
+ */
+async function resolveProfile(appName, browserId) {
+  const matches = await findProfiles(appName, browserId);
+
+  if (matches.length === 0) {
+    return {
+      success: false,
+      notFound: true,
+      error: `No isolated profile found for "${appName}"`,
+    };
+  }
+
+  if (matches.length > 1) {
+    const browsers = matches.map(m => m.browserId).join(', ');
+    return {
+      success: false,
+      ambiguous: true,
+      error: `"${appName}" has isolated profiles for several browsers (${browsers}). Use --browser.`,
+    };
+  }
+
+  return { success: true, profile: matches[0] };
+}
+
+/**
+ * Wipe an isolated profile so the app starts fresh on next launch
+ */
+async function resetProfile(profilePath) {
+  try {
+    await rmAsync(profilePath, { recursive: true, force: true });
+    await mkdirAsync(profilePath, { recursive: true });
+    return { success: true, path: profilePath };
+  } catch (error) {
+    return { success: false, error: `Failed to reset profile: ${error.message}` };
+  }
+}
+
+/**
+ * Delete an isolated profile and all of its data
+ */
+async function deleteProfile(profilePath) {
+  try {
+    await rmAsync(profilePath, { recursive: true, force: true });
+
+    // Drop the per-browser folder once its last profile is gone
+    const browserDir = path.dirname(profilePath);
+    if ((await readdirAsync(browserDir)).length === 0) {
+      await rmAsync(browserDir, { recursive: true, force: true });
+    }
+
+    return { success: true, path: profilePath };
+  } catch (error) {
+    return { success: false, error: `Failed to delete profile: ${error.message}` };
+  }
+}
+
+module.exports = {
+  getDataDirectory,
+  getProfilesDirectory,
+  getIsolatedProfilePath,
+  listProfiles,
+  findProfiles,
+  resolveProfile,
+  resetProfile,
+  deleteProfile,
+};
@@ -0,0 +1,326 @@
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { expandHomePath, getBrowserConfigs } = require('./browser');
+const { FileSystemError } = require('./errors');
+const { version: WEBNEST_VERSION } = require('../package.json');
+
+const readFileAsync = promisify(fs.readFile);
+const writeFileAsync = promisify(fs.writeFile);
+const mkdirAsync = promisify(fs.mkdir);
+const renameAsync = promisify(fs.rename);
+const unlinkAsync = promisify(fs.unlink);
+const readdirAsync = promisify(fs.readdir);
+
+const REGISTRY_FORMAT = 1;
+
+/**
+ * Get the WebNest configuration directory for the current platform
+ */
+function getConfigDirectory() {
+  if (process.platform === 'win32') {
+    return path.join(process.env.APPDATA || expandHomePath('~/AppData/Roaming'), 'webnest');
+  }
+
+  if (process.env.XDG_CONFIG_HOME) {
+    return path.join(process.env.XDG_CONFIG_HOME, 'webnest');
+  }
+
+  return expandHomePath('~/.config/webnest');
+}
+
+/**
+ * Get the directory holding the registry of apps installed for all users with --system
+ */
+function getSystemConfigDirectory() {
+  switch (process.platform) {
+    case 'win32':
+      return path.join(process.env.ProgramData || 'C:\\ProgramData', 'WebNest');
+    case 'darwin':
+      return '/Library/Application Support/WebNest';
+    default:
+      return '/var/lib/webnest';
+  }
+}
+
+/**
+ * Get the path of the app registry file, or with `system` of the registry of apps installed for all users
+ */
+function getRegistryPath(system = false) {
+  return path.join(system ? getSystemConfigDirectory() : getConfigDirectory(), 'registry.json');
+}
+
+/**
+ * Write a file atomically by writing a sibling temp file and renaming it into place
+ */
+async function writeFileAtomic(filePath, contents) {
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+
+  await mkdirAsync(path.dirname(filePath), { recursive: true });
+  await writeFileAsync(tempPath, contents);
+
+  try {
+    await renameAsync(tempPath, filePath);
+  } catch (error) {
+    try {
+      await unlinkAsync(tempPath);
+    } catch {}
+    throw error;
+  }
+}
+
+/**
+ * Find which browser a launcher belongs to from the executable it runs
+ */
+function browserIdFromPath(browserPath) {
+  for (const [id, config] of Object.entries(getBrowserConfigs())) {
+    const paths = config.paths[process.platform] || [];
+    if (paths.includes(browserPath)) {
+      return id;
+    }
+  }
+  return null;
+}
+
+/**
+ * Find apps created by earlier WebNest versions that predate the registry.
+ * Only launchers that can be positively identified as WebNest-made, for a known browser, are adopted.
+ */
+async function findLegacyApps() {
+  const apps = [];
+
+  switch (process.platform) {
+    case 'darwin': {
+      // Required lazily: the installer depends on this module
+      const { getWebAppDirectoryById } = require('./installer');
+
+      // .app bundles in the per-browser folders with a com.webnest bundle id
+      for (const id of Object.keys(getBrowserConfigs())) {
+        const appDir = getWebAppDirectoryById(id);
+        let files;
+        try {
+          files = await readdirAsync(appDir);
+        } catch {
+          continue;
+        }
+
+        for (const file of files.filter(f => f.endsWith('.app'))) {
+          const appPath = path.join(appDir, file);
+          try {
+            const plist = await readFileAsync(path.join(appPath, 'Contents', 'Info.plist'), 'utf8');
+            const bundleId = plist.match(/<key>CFBundleIdentifier<\/key>\s*<string>([^<]+)<\/string>/);
+            if (!bundleId || !bundleId[1].startsWith('com.webnest.')) continue;
+
+            const launcher = await readFileAsync(path.join(appPath, 'Contents', 'MacOS', file.replace(/\.app$/, '')), 'utf8');
+            const exec = launcher.match(/exec "([^"]+)".*--app="?([^"\s]+)/);
+            const iconPath = path.join(appPath, 'Contents', 'Resources', 'AppIcon.icns');
+
+            apps.push({
+              id: bundleId[1],
+              name: file.replace(/\.app$/, ''),
+              url: exec ? exec[2] : null,
+              browserId: id,
+              browserPath: exec ? exec[1] : null,
+              launcherPath: appPath,
+              iconPath: fs.existsSync(iconPath) ? iconPath : null,
+              createdAt: null,
+              webnestVersion: null,
+            });
+          } catch {
+            // Not a readable bundle, leave it alone
+          }
+        }
+      }
+      break;
+    }
+
+    case 'linux': {
+      // .desktop files carrying the WebNest comment
+      const appDir = expandHomePath('~/.local/share/applications');
+      let files;
+      try {
+        files = await readdirAsync(appDir);
+      } catch {
+        break;
+      }
+
+      for (const file of files.filter(f => f.endsWith('.desktop'))) {
+        const filePath = path.join(appDir, file);
+        try {
+          const content = await readFileAsync(filePath, 'utf8');
+          if (!/^Comment=.* - Web App created by WebNest$/m.test(content)) continue;
+
+          const name = content.match(/^Name=(.+)$/m);
+          const exec = content.match(/^Exec="([^"]+)".*--app="?([^"\s]+)/m);
+          const icon = content.match(/^Icon=(.+)$/m);
+          const browserPath = exec ? exec[1] : null;
+          const browserId = browserPath && browserIdFromPath(browserPath);
+          // Guessing a browser would point edits and removals at the wrong app directory,
+          // so launchers of an unrecognized browser are left alone
+          if (!browserId) continue;
+
+          apps.push({
+            id: file.replace(/\.desktop$/, ''),
+            name: name ? name[1] : file.replace(/\.desktop$/, ''),
+            url: exec ? exec[2] : null,
+            browserId,
+            browserPath,
+            launcherPath: filePath,
+            iconPath: icon && path.isAbsolute(icon[1]) ? icon[1] : null,
+            createdAt: null,
+            webnestVersion: null,
+          });
+        } catch {
+          // Skip files we can't read
+        }
+      }
+      break;
+    }
+
+    // Windows shortcuts share their Start Menu folders with the browsers'
+    // own apps and cannot be told apart without a registry entry.
+  }
+
+  return apps;
+}
+
+/**
+ * Load the app registry, creating it from legacy launchers on first use.
+ * With `system` the registry of apps installed for all users is loaded instead.
+ */
+async function loadRegistry({ system = false } = {}) {
+  const registryPath = getRegistryPath(system);
+
+  let contents;
+  try {
+    contents = await readFileAsync(registryPath, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new FileSystemError(`Failed to read app registry: ${error.message}`);
+    }
+
+    // Legacy launchers were only ever installed per user
+    const registry = { format: REGISTRY_FORMAT, apps: system ? [] : await findLegacyApps() };
+    if (registry.apps.length > 0) {
+      await saveRegistry(registry);
+    }
+    return registry;
+  }
+
+  try {
+    const registry = JSON.parse(contents);
+    if (!Array.isArray(registry.apps)) {
+      registry.apps = [];
+    }
+    return registry;
+  } catch (error) {
+    throw new FileSystemError(`App registry at ${registryPath} is corrupt: ${error.message}`);
+  }
+}
+
+/**
+ * Save the app registry, or with `system` the registry of apps installed for all users
+ */
+async function saveRegistry(registry, { system = false } = {}) {
+  const data = { format: REGISTRY_FORMAT, apps: registry.apps };
+  await writeFileAtomic(getRegistryPath(system), `${JSON.stringify(data, null, 2)}\n`);
+}
+
+/**
+ * Check whether a registry entry is for an app installed for all users
+ */
+function isSystemApp(entry) {
+  return entry.installScope === 'system';
+}
+
+/**
+ * Check whether a registry entry matches an app name and optional browser
+ */
+function matchesApp(entry, appName, browserId) {
+  if (browserId && entry.browserId !== browserId.toLowerCase()) {
+    return false;
+  }
+  if (!appName) {
+    return true;
+  }
+
+  const wanted = appName.toLowerCase();
+  return entry.name.toLowerCase() === wanted || entry.id === wanted;
+}
+
+/**
+ * Record a newly created app, replacing any entry for the same launcher or the same app and browser.
+ * Apps installed for all users go to the system registry.
+ */
+async function registerApp(app) {
+  const system = isSystemApp(app);
+  const registry = await loadRegistry({ system });
+  const entry = {
+    id: app.id,
+    name: app.name,
+    url: app.url,
+    startUrl: app.startUrl || null,
+    browserId: app.browserId,
+    browserPath: app.browserPath,
+    browserSandbox: app.browserSandbox || null,
+    flatpakId: app.flatpakId || null,
+    launcherPath: app.launcherPath,
+    iconPath: app.iconPath || null,
+    userDataDir: app.userDataDir || null,
+    profileDirectory: app.profileDirectory || null,
+    flags: app.flags || [],
+    iconSource: app.iconSource || null,
+    iconStyle: app.iconStyle || null,
+    iconGenerated: !!app.iconGenerated,
+    scope: app.scope || null,
+    display: app.display || null,
+    themeColor: app.themeColor || null,
+    backgroundColor: app.backgroundColor || null,
+    shortcuts: app.shortcuts || [],
+    installScope: system ? 'system' : 'user',
+    desktopPath: app.desktopPath || null,
+    createdAt: app.createdAt || new Date().toISOString(),
+    webnestVersion: WEBNEST_VERSION,
+  };
+
+  registry.apps = registry.apps.filter(a =>
+    a.launcherPath !== entry.launcherPath && !(a.id === entry.id && a.browserId === entry.browserId)
+  );
+  registry.apps.push(entry);
+  await saveRegistry(registry, { system });
+
+  return entry;
+}
+
+/**
+ * Remove an app's entry from the registry it was recorded in
+ */
+async function unregisterApp(app) {
+  const system = isSystemApp(app);
+  const registry = await loadRegistry({ system });
+  registry.apps = registry.apps.filter(a => a.launcherPath !== app.launcherPath);
+  await saveRegistry(registry, { system });
+}
+
+/**
+ * Find registered apps by name (or id), optionally limited to one browser.
+ * With `system` apps installed for all users are searched instead of the user's own.
+ */
+async function findApps(appName, browserId, { system = false } = {}) {
+  const registry = await loadRegistry({ system });
+  return registry.apps.filter(entry => matchesApp(entry, appName, browserId));
+}
+
+module.exports = {
+  getConfigDirectory,
+  getSystemConfigDirectory,
+  getRegistryPath,
+  writeFileAtomic,
+  loadRegistry,
+  saveRegistry,
+  registerApp,
+  unregisterApp,
+  findApps,
+  isSystemApp,
+  WEBNEST_VERSION,
+};
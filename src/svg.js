@@ -0,0 +1,1591 @@
+// Built-in rasterizer for the subset of SVG that icons use: paths, basic
+// shapes, solid and gradient fills, strokes, transforms, viewBox, <use>,
+// simple <style> rules, group opacity and clip paths. Text, filters,
+// masks and patterns are ignored.
+
+// Vertical samples per pixel; horizontal coverage is computed exactly
+const SUBSAMPLES = 16;
+
+// Maximum distance, in output pixels, between a curve and its flattened polyline
+const FLATTEN_TOLERANCE = 0.2;
+
+// Elements that never paint directly
+const NON_RENDERING = new Set([
+  'defs', 'linearGradient', 'radialGradient', 'clipPath', 'mask', 'symbol', 'style', 'title',
+  'desc', 'metadata', 'pattern', 'filter', 'marker', 'text', 'script', 'font', 'foreignObject',
+]);
+
+// Properties passed down from parent to child elements
+const INHERITED = [
+  'fill', 'fill-opacity', 'fill-rule', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-linecap',
+  'stroke-linejoin', 'stroke-miterlimit', 'visibility', 'color', 'clip-rule',
+];
+
+const PROPERTIES = new Set([
+  ...INHERITED, 'opacity', 'display', 'clip-path', 'stop-color', 'stop-opacity',
+]);
+
+const NAMED_COLORS = Object.fromEntries(`
+aliceblue f0f8ff antiquewhite faebd7 aqua 00ffff aquamarine 7fffd4 azure f0ffff beige f5f5dc bisque ffe4c4
+black 000000 blanchedalmond ffebcd blue 0000ff blueviolet 8a2be2 brown a52a2a burlywood deb887 cadetblue 5f9ea0
+chartreuse 7fff00 chocolate d2691e coral ff7f50 cornflowerblue 6495ed cornsilk fff8dc crimson dc143c cyan 00ffff
+darkblue 00008b darkcyan 008b8b darkgoldenrod b8860b darkgray a9a9a9 darkgreen 006400 darkgrey a9a9a9
+darkkhaki bdb76b darkmagenta 8b008b darkolivegreen 556b2f darkorange ff8c00 darkorchid 9932cc darkred 8b0000
+darksalmon e9967a darkseagreen 8fbc8f darkslateblue 483d8b darkslategray 2f4f4f darkslategrey 2f4f4f
+darkturquoise 00ced1 darkviolet 9400d3 deeppink ff1493 deepskyblue 00bfff dimgray 696969 dimgrey 696969
+dodgerblue 1e90ff firebrick b22222 floralwhite fffaf0 forestgreen 228b22 fuchsia ff00ff gainsboro dcdcdc
+ghostwhite f8f8ff gold ffd700 goldenrod daa520 gray 808080 grey 808080 green 008000 greenyellow adff2f
+honeydew f0fff0 hotpink ff69b4 indianred cd5c5c indigo 4b0082 ivory fffff0 khaki f0e68c lavender e6e6fa
+lavenderblush fff0f5 lawngreen 7cfc00 lemonchiffon fffacd lightblue add8e6 lightcoral f08080 lightcyan e0ffff
+lightgoldenrodyellow fafad2 lightgray d3d3d3 lightgreen 90ee90 lightgrey d3d3d3 lightpink ffb6c1
+lightsalmon ffa07a lightseagreen 20b2aa lightskyblue 87cefa lightslategray 778899 lightslategrey 778899
+lightsteelblue b0c4de lightyellow ffffe0 lime 00ff00 limegreen 32cd32 linen faf0e6 magenta ff00ff maroon 800000
+mediumaquamarine 66cdaa mediumblue 0000cd mediumorchid ba55d3 mediumpurple 9370db mediumseagreen 3cb371
+mediumslateblue 7b68ee mediumspringgreen 00fa9a mediumturquoise 48d1cc mediumvioletred c71585
+midnightblue 191970 mintcream f5fffa mistyrose ffe4e1 moccasin ffe4b5 navajowhite ffdead navy 000080
+oldlace fdf5e6 olive 808000 olivedrab 6b8e23 orange ffa500 orangered ff4500 orchid da70d6 palegoldenrod eee8aa
+palegreen 98fb98 paleturquoise afeeee palevioletred db7093 papayawhip ffefd5 peachpuff ffdab9 peru cd853f
+pink ffc0cb plum dda0dd powderblue b0e0e6 purple 800080 rebeccapurple 663399 red ff0000 rosybrown bc8f8f
+royalblue 4169e1 saddlebrown 8b4513 salmon fa8072 sandybrown f4a460 seagreen 2e8b57 seashell fff5ee
+sienna a0522d silver c0c0c0 skyblue 87ceeb slateblue 6a5acd slategray 708090 slategrey 708090 snow fffafa
+springgreen 00ff7f steelblue 4682b4 tan d2b48c teal 008080 thistle d8bfd8 tomato ff6347 turquoise 40e0d0
+violet ee82ee wheat f5deb3 white ffffff whitesmoke f5f5f5 yellow ffff00 yellowgreen 9acd32
+`.trim().split(/\s+/).reduce((pairs, token, i, tokens) => {
+  if (i % 2 === 0) pairs.push([token, tokens[i + 1]]);
+  return pairs;
+}, []));
+
+// ---------------------------------------------------------------------------
+// XML and CSS parsing
+// ---------------------------------------------------------------------------
+
+/**
+ * Decode the XML entities that show up in attribute values and text
+ */
+function decodeEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Parse XML into a tree of { name, attrs, children, text } elements
+ */
+function parseXml(source) {
+  const root = { name: '#document', attrs: {}, children: [], text: '' };
+  const stack = [root];
+  const tagPattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE(?:[^[>]|\[[\s\S]*?\])*>|<\/\s*([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>/g;
+  const attrPattern = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let lastIndex = 0;
+  let match;
+
+  while ((match = tagPattern.exec(source)) !== null) {
+    const current = stack[stack.length - 1];
+    current.text += decodeEntities(source.slice(lastIndex, match.index));
+    lastIndex = tagPattern.lastIndex;
+
+    if (match[1] !== undefined) {
+      current.text += match[1];
+    } else if (match[2]) {
+      // Closing tag: pop back to the matching element
+      const name = match[2].replace(/^.*:/, '');
+      for (let i = stack.length - 1; i > 0; i--) {
+        if (stack[i].name === name) {
+          stack.length = i;
+          break;
+        }
+      }
+    } else if (match[3]) {
+      const element = { name: match[3].replace(/^svg:/, ''), attrs: {}, children: [], text: '' };
+      let attr;
+      attrPattern.lastIndex = 0;
+      while ((attr = attrPattern.exec(match[4])) !== null) {
+        const value = attr[2] !== undefined ? attr[2] : attr[3] !== undefined ? attr[3] : attr[4] || '';
+        element.attrs[attr[1]] = decodeEntities(value);
+      }
+
+      current.children.push(element);
+      if (!match[5]) {
+        stack.push(element);
+      }
+    }
+  }
+
+  return root;
+}
+
+/**
+ * Parse a CSS declaration block into a property map
+ */
+function parseDeclarations(text) {
+  const declarations = {};
+  for (const part of text.split(';')) {
+    const colon = part.indexOf(':');
+    if (colon === -1) continue;
+    const property = part.slice(0, colon).trim().toLowerCase();
+    const value = part.slice(colon + 1).replace(/!important/i, '').trim();
+    if (property && value) {
+      declarations[property] = value;
+    }
+  }
+  return declarations;
+}
+
+/**
+ * Parse <style> contents into rules with simple selectors (tag, .class, #id and combinations of them)
+ */
+function parseStylesheet(text) {
+  const rules = [];
+  const css = text.replace(/\/\*[\s\S]*?\*\//g, '');
+  const rulePattern = /([^{}@]+)\{([^}]*)\}/g;
+  let match;
+  let order = 0;
+
+  while ((match = rulePattern.exec(css)) !== null) {
+    const declarations = parseDeclarations(match[2]);
+
+    for (const rawSelector of match[1].split(',')) {
+      const selector = rawSelector.trim();
+      const parts = selector.match(/^([a-zA-Z][\w-]*|\*)?((?:[.#][\w-]+)*)$/);
+      if (!selector || !parts) continue;
+
+      const tag = parts[1] && parts[1] !== '*' ? parts[1] : null;
+      const classes = (parts[2].match(/\.[\w-]+/g) || []).map(c => c.slice(1));
+      const ids = (parts[2].match(/#[\w-]+/g) || []).map(id => id.slice(1));
+
+      rules.push({
+        tag,
+        classes,
+        id: ids[0] || null,
+        specificity: ids.length * 100 + classes.length * 10 + (tag ? 1 : 0),
+        order: order++,
+        declarations,
+      });
+    }
+  }
+
+  return rules.sort((a, b) => a.specificity - b.specificity || a.order - b.order);
+}
+
+/**
+ * Check whether a stylesheet rule applies to an element
+ */
+function ruleMatches(rule, element) {
+  if (rule.tag && rule.tag !== element.name) return false;
+  if (rule.id && rule.id !== element.attrs.id) return false;
+  if (rule.classes.length > 0) {
+    const classes = (element.attrs.class || '').split(/\s+/);
+    return rule.classes.every(c => classes.includes(c));
+  }
+  return true;
+}
+
+// ---------------------------------------------------------------------------
+// Values: numbers, lengths, colors and transforms
+// ---------------------------------------------------------------------------
+
+const UNIT_SCALE = { px: 1, pt: 4 / 3, pc: 16, in: 96, cm: 96 / 2.54, mm: 96 / 25.4, em: 16, ex: 8, rem: 16 };
+
+/**
+ * Parse a length, resolving percentages against a reference size
+ */
+function parseLength(value, reference = 0, fallback = 0) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const match = String(value).trim().match(/^([-+]?(?:\d*\.\d+|\d+\.?)(?:e[-+]?\d+)?)\s*([a-z%]*)$/i);
+  if (!match) return fallback;
+
+  const number = parseFloat(match[1]);
+  const unit = match[2].toLowerCase();
+  if (unit === '%') return (number / 100) * reference;
+  return number * (UNIT_SCALE[unit] || 1);
+}
+
+/**
+ * Parse a list of numbers separated by commas and/or whitespace
+ */
+function parseNumberList(text) {
+  return (String(text || '').match(/[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g) || []).map(Number);
+}
+
+/**
+ * Parse a color into [r, g, b, a] with components 0-255 and alpha 0-1
+ */
+function parseColor(value, currentColor) {
+  if (!value) return null;
+  const text = value.trim().toLowerCase();
+
+  if (text === 'none' || text === 'transparent') return text === 'none' ? null : [0, 0, 0, 0];
+  if (text === 'currentcolor') return currentColor ? parseColor(currentColor, null) : [0, 0, 0, 1];
+
+  let match = text.match(/^#([0-9a-f]{3,8})$/);
+  if (match) {
+    let hex = match[1];
+    if (hex.length === 3 || hex.length === 4) {
+      hex = hex.split('').map(c => c + c).join('');
+    }
+    if (hex.length !== 6 && hex.length !== 8) return null;
+    return [
+      parseInt(hex.slice(0, 2), 16),
+      parseInt(hex.slice(2, 4), 16),
+      parseInt(hex.slice(4, 6), 16),
+      hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1,
+    ];
+  }
+
+  match = text.match(/^rgba?\(([^)]*)\)$/);
+  if (match) {
+    const parts = match[1].split(/[\s,/]+/).filter(Boolean);
+    const channel = p => (p.endsWith('%') ? (parseFloat(p) * 255) / 100 : parseFloat(p));
+    const alpha = parts[3] === undefined ? 1 : parts[3].endsWith('%') ? parseFloat(parts[3]) / 100 : parseFloat(parts[3]);
+    return [channel(parts[0]), channel(parts[1]), channel(parts[2]), alpha].map((v, i) =>
+      (i < 3 ? Math.min(255, Math.max(0, v || 0)) : Math.min(1, Math.max(0, isNaN(v) ? 1 : v)))
+    );
+  }
+
+  match = text.match(/^hsla?\(([^)]*)\)$/);
+  if (match) {
+    const parts = match[1].split(/[\s,/]+/).filter(Boolean);
+    const h = (((parseFloat(parts[0]) % 360) + 360) % 360) / 360;
+    const s = parseFloat(parts[1]) / 100;
+    const l = parseFloat(parts[2]) / 100;
+    const alpha = parts[3] === undefined ? 1 : parts[3].endsWith('%') ? parseFloat(parts[3]) / 100 : parseFloat(parts[3]);
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+    const hue = t => {
+      const x = t < 0 ? t + 1 : t > 1 ? t - 1 : t;
+      if (x < 1 / 6) return p + (q - p) * 6 * x;
+      if (x < 1 / 2) return q;
+      if (x < 2 / 3) return p + (q - p) * (2 / 3 - x) * 6;
+      return p;
+    };
+    return [hue(h + 1 / 3) * 255, hue(h) * 255, hue(h - 1 / 3) * 255, alpha];
+  }
+
+  if (NAMED_COLORS[text]) {
+    return parseColor(`#${NAMED_COLORS[text]}`);
+  }
+
+  return null;
+}
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+/**
+ * Multiply two affine matrices; the result applies `m2` first, then `m1`
+ */
+function multiply(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[2] * m2[1],
+    m1[1] * m2[0] + m1[3] * m2[1],
+    m1[0] * m2[2] + m1[2] * m2[3],
+    m1[1] * m2[2] + m1[3] * m2[3],
+    m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+    m1[1] * m2[4] + m1[3] * m2[5] + m1[5],
+  ];
+}
+
+/**
+ * Invert an affine matrix, or return null when it is singular
+ */
+function invert(m) {
+  const det = m[0] * m[3] - m[1] * m[2];
+  if (Math.abs(det) < 1e-12) return null;
+  return [
+    m[3] / det,
+    -m[1] / det,
+    -m[2] / det,
+    m[0] / det,
+    (m[2] * m[5] - m[3] * m[4]) / det,
+    (m[1] * m[4] - m[0] * m[5]) / det,
+  ];
+}
+
+/**
+ * Parse a transform attribute into a matrix
+ */
+function parseTransform(text) {
+  let matrix = IDENTITY;
+  if (!text) return matrix;
+
+  const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const v = parseNumberList(match[2]);
+    let m;
+
+    switch (match[1]) {
+      case 'matrix':
+        m = v.length === 6 ? v : IDENTITY;
+        break;
+      case 'translate':
+        m = [1, 0, 0, 1, v[0] || 0, v[1] || 0];
+        break;
+      case 'scale':
+        m = [v[0], 0, 0, v.length > 1 ? v[1] : v[0], 0, 0];
+        break;
+      case 'rotate': {
+        const angle = ((v[0] || 0) * Math.PI) / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        m = [cos, sin, -sin, cos, 0, 0];
+        if (v.length >= 3) {
+          m = multiply(multiply([1, 0, 0, 1, v[1], v[2]], m), [1, 0, 0, 1, -v[1], -v[2]]);
+        }
+        break;
+      }
+      case 'skewX':
+        m = [1, 0, Math.tan(((v[0] || 0) * Math.PI) / 180), 1, 0, 0];
+        break;
+      case 'skewY':
+        m = [1, Math.tan(((v[0] || 0) * Math.PI) / 180), 0, 1, 0, 0];
+        break;
+    }
+
+    matrix = multiply(matrix, m);
+  }
+
+  return matrix;
+}
+
+/**
+ * Apply a matrix to a flat [x0, y0, x1, y1, ...] point list
+ */
+function transformPoints(points, m) {
+  const result = new Array(points.length);
+  for (let i = 0; i < points.length; i += 2) {
+    const x = points[i];
+    const y = points[i + 1];
+    result[i] = m[0] * x + m[2] * y + m[4];
+    result[i + 1] = m[1] * x + m[3] * y + m[5];
+  }
+  return result;
+}
+
+/**
+ * Average scale factor of a matrix, used to size curve flattening
+ */
+function matrixScale(m) {
+  return Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2])) || 1;
+}
+
+// ---------------------------------------------------------------------------
+// Geometry: paths and shapes flattened into polylines
+// ---------------------------------------------------------------------------
+
+/**
+ * Collects flattened subpaths as { points: [x0, y0, ...], closed }
+ */
+class PathBuilder {
+  constructor(tolerance) {
+    this.tolerance = tolerance;
+    this.subpaths = [];
+    this.current = null;
+    this.x = 0;
+    this.y = 0;
+    this.startX = 0;
+    this.startY = 0;
+  }
+
+  moveTo(x, y) {
+    this.current = { points: [x, y], closed: false };
+    this.subpaths.push(this.current);
+    this.x = this.startX = x;
+    this.y = this.startY = y;
+  }
+
+  lineTo(x, y) {
+    if (!this.current) this.moveTo(this.x, this.y);
+    this.current.points.push(x, y);
+    this.x = x;
+    this.y = y;
+  }
+
+  quadTo(x1, y1, x, y) {
+    const dd = Math.hypot(this.x - 2 * x1 + x, this.y - 2 * y1 + y);
+    const steps = Math.min(100, Math.max(1, Math.ceil(Math.sqrt((dd / 4) / this.tolerance))));
+    const x0 = this.x;
+    const y0 = this.y;
+    for (let i = 1; i <= steps; i++) {
+      const t = i / steps;
+      const mt = 1 - t;
+      this.lineTo(mt * mt * x0 + 2 * mt * t * x1 + t * t * x, mt * mt * y0 + 2 * mt * t * y1 + t * t * y);
+    }
+  }
+
+  cubicTo(x1, y1, x2, y2, x, y) {
+    const x0 = this.x;
+    const y0 = this.y;
+    const dd = Math.max(
+      Math.hypot(x0 - 2 * x1 + x2, y0 - 2 * y1 + y2),
+      Math.hypot(x1 - 2 * x2 + x, y1 - 2 * y2 + y)
+    );
+    const steps = Math.min(100, Math.max(1, Math.ceil(Math.sqrt((dd * 3) / 4 / this.tolerance))));
+    for (let i = 1; i <= steps; i++) {
+      const t = i / steps;
+      const mt = 1 - t;
+      const a = mt * mt * mt;
+      const b = 3 * mt * mt * t;
+      const c = 3 * mt * t * t;
+      const d = t * t * t;
+      this.lineTo(a * x0 + b * x1 + c * x2 + d * x, a * y0 + b * y1 + c * y2 + d * y);
+    }
+  }
+
+  /**
+   * Elliptical arc from the current point, converted to center form (SVG spec, appendix F.6)
+   */
+  arcTo(rx, ry, rotation, largeArc, sweep, x, y) {
+    const x0 = this.x;
+    const y0 = this.y;
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    if (x0 === x && y0 === y) return;
+    if (rx === 0 || ry === 0) {
+      this.lineTo(x, y);
+      return;
+    }
+
+    const phi = (rotation * Math.PI) / 180;
+    const cos = Math.cos(phi);
+    const sin = Math.sin(phi);
+    const dx = (x0 - x) / 2;
+    const dy = (y0 - y) / 2;
+    const x1p = cos * dx + sin * dy;
+    const y1p = -sin * dx + cos * dy;
+
+    // Scale radii up when they can't span the endpoints
+    const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+    if (lambda > 1) {
+      rx *= Math.sqrt(lambda);
+      ry *= Math.sqrt(lambda);
+    }
+
+    const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+    const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+    let coefficient = Math.sqrt(Math.max(0, numerator / denominator));
+    if (largeArc === sweep) coefficient = -coefficient;
+
+    const cxp = (coefficient * rx * y1p) / ry;
+    const cyp = (-coefficient * ry * x1p) / rx;
+    const cx = cos * cxp - sin * cyp + (x0 + x) / 2;
+    const cy = sin * cxp + cos * cyp + (y0 + y) / 2;
+
+    const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    const theta1 = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+    let delta = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+    if (!sweep && delta > 0) delta -= 2 * Math.PI;
+    if (sweep && delta < 0) delta += 2 * Math.PI;
+
+    const radius = Math.max(rx, ry);
+    const stepAngle = 2 * Math.acos(Math.max(-1, Math.min(1, 1 - this.tolerance / radius))) || Math.PI / 8;
+    const steps = Math.min(360, Math.max(2, Math.ceil(Math.abs(delta) / stepAngle)));
+
+    for (let i = 1; i <= steps; i++) {
+      const t = theta1 + (delta * i) / steps;
+      const px = rx * Math.cos(t);
+      const py = ry * Math.sin(t);
+      if (i === steps) {
+        this.lineTo(x, y);
+      } else {
+        this.lineTo(cos * px - sin * py + cx, sin * px + cos * py + cy);
+      }
+    }
+  }
+
+  close() {
+    if (this.current) {
+      this.current.closed = true;
+      this.x = this.startX;
+      this.y = this.startY;
+      this.current = null;
+    }
+  }
+
+  /**
+   * Add a full ellipse as a closed subpath
+   */
+  ellipse(cx, cy, rx, ry) {
+    const radius = Math.max(rx, ry);
+    const stepAngle = 2 * Math.acos(Math.max(-1, Math.min(1, 1 - this.tolerance / radius))) || Math.PI / 8;
+    const steps = Math.min(720, Math.max(8, Math.ceil((2 * Math.PI) / stepAngle)));
+
+    this.moveTo(cx + rx, cy);
+    for (let i = 1; i < steps; i++) {
+      const t = (2 * Math.PI * i) / steps;
+      this.lineTo(cx + rx * Math.cos(t), cy + ry * Math.sin(t));
+    }
+    this.close();
+  }
+}
+
+/**
+ * Parse SVG path data into a PathBuilder
+ */
+function parsePathData(data, builder) {
+  const text = data || '';
+  let index = 0;
+
+  const skipSeparators = () => {
+    while (index < text.length && /[\s,]/.test(text[index])) index++;
+  };
+  const hasNumber = () => {
+    skipSeparators();
+    return index < text.length && /[-+.\d]/.test(text[index]);
+  };
+  const readNumber = () => {
+    skipSeparators();
+    const match = /^[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/.exec(text.slice(index, index + 64));
+    if (!match) throw new Error(`Bad path data near "${text.slice(index, index + 10)}"`);
+    index += match[0].length;
+    return parseFloat(match[0]);
+  };
+  // Arc flags may be written without separators, as in "a1 1 0 00 1 1"
+  const readFlag = () => {
+    skipSeparators();
+    const flag = text[index++];
+    if (flag !== '0' && flag !== '1') throw new Error('Bad arc flag in path data');
+    return flag === '1';
+  };
+
+  let command = null;
+  let lastControlX = 0;
+  let lastControlY = 0;
+  let lastCommand = null;
+
+  while (true) {
+    skipSeparators();
+    if (index >= text.length) break;
+
+    if (/[a-zA-Z]/.test(text[index])) {
+      command = text[index++];
+    } else if (!command) {
+      throw new Error('Path data must start with a command');
+    }
+
+    const relative = command === command.toLowerCase();
+    const ox = relative ? builder.x : 0;
+    const oy = relative ? builder.y : 0;
+    const upper = command.toUpperCase();
+
+    switch (upper) {
+      case 'M': {
+        builder.moveTo(ox + readNumber(), oy + readNumber());
+        // Further coordinate pairs are implicit line-tos
+        command = relative ? 'l' : 'L';
+        break;
+      }
+      case 'L':
+        builder.lineTo(ox + readNumber(), oy + readNumber());
+        break;
+      case 'H':
+        builder.lineTo(ox + readNumber(), builder.y);
+        break;
+      case 'V':
+        builder.lineTo(builder.x, oy + readNumber());
+        break;
+      case 'C': {
+        const x1 = ox + readNumber();
+        const y1 = oy + readNumber();
+        const x2 = ox + readNumber();
+        const y2 = oy + readNumber();
+        const x = ox + readNumber();
+        const y = oy + readNumber();
+        builder.cubicTo(x1, y1, x2, y2, x, y);
+        lastControlX = x2;
+        lastControlY = y2;
+        break;
+      }
+      case 'S': {
+        const reflect = lastCommand === 'C' || lastCommand === 'S';
+        const x1 = reflect ? 2 * builder.x - lastControlX : builder.x;
+        const y1 = reflect ? 2 * builder.y - lastControlY : builder.y;
+        const x2 = ox + readNumber();
+        const y2 = oy + readNumber();
+        const x = ox + readNumber();
+        const y = oy + readNumber();
+        builder.cubicTo(x1, y1, x2, y2, x, y);
+        lastControlX = x2;
+        lastControlY = y2;
+        break;
+      }
+      case 'Q': {
+        const x1 = ox + readNumber();
+        const y1 = oy + readNumber();
+        const x = ox + readNumber();
+        const y = oy + readNumber();
+        builder.quadTo(x1, y1, x, y);
+        lastControlX = x1;
+        lastControlY = y1;
+        break;
+      }
+      case 'T': {
+        const reflect = lastCommand === 'Q' || lastCommand === 'T';
+        const x1 = reflect ? 2 * builder.x - lastControlX : builder.x;
+        const y1 = reflect ? 2 * builder.y - lastControlY : builder.y;
+        const x = ox + readNumber();
+        const y = oy + readNumber();
+        builder.quadTo(x1, y1, x, y);
+        lastControlX = x1;
+        lastControlY = y1;
+        break;
+      }
+      case 'A': {
+        const rx = readNumber();
+        const ry = readNumber();
+        const rotation = readNumber();
+        const largeArc = readFlag();
+        const sweep = readFlag();
+        builder.arcTo(rx, ry, rotation, largeArc, sweep, ox + readNumber(), oy + readNumber());
+        break;
+      }
+      case 'Z':
+        builder.close();
+        break;
+      default:
+        throw new Error(`Unknown path command "${command}"`);
+    }
+
+    lastCommand = upper;
+
+    // A closepath takes no arguments; anything after it needs a new command
+    if (upper === 'Z') {
+      command = null;
+      continue;
+    }
+    if (!hasNumber()) {
+      command = null;
+    }
+  }
+
+  return builder;
+}
+
+/**
+ * Build the geometry of a shape element, in its own user space
+ */
+function shapeGeometry(element, viewport, tolerance) {
+  const a = element.attrs;
+  const builder = new PathBuilder(tolerance);
+  const diagonal = Math.sqrt((viewport.width ** 2 + viewport.height ** 2) / 2);
+
+  switch (element.name) {
+    case 'path':
+      try {
+        parsePathData(a.d, builder);
+      } catch {
+        // Render what was parsed before the error, as browsers do
+      }
+      break;
+
+    case 'rect': {
+      const x = parseLength(a.x, viewport.width);
+      const y = parseLength(a.y, viewport.height);
+      const width = parseLength(a.width, viewport.width);
+      const height = parseLength(a.height, viewport.height);
+      if (width <= 0 || height <= 0) break;
+
+      let rx = parseLength(a.rx, viewport.width, NaN);
+      let ry = parseLength(a.ry, viewport.height, NaN);
+      if (isNaN(rx)) rx = isNaN(ry) ? 0 : ry;
+      if (isNaN(ry)) ry = rx;
+      rx = Math.min(Math.max(0, rx), width / 2);
+      ry = Math.min(Math.max(0, ry), height / 2);
+
+      if (rx === 0 || ry === 0) {
+        builder.moveTo(x, y);
+        builder.lineTo(x + width, y);
+        builder.lineTo(x + width, y + height);
+        builder.lineTo(x, y + height);
+      } else {
+        builder.moveTo(x + rx, y);
+        builder.lineTo(x + width - rx, y);
+        builder.arcTo(rx, ry, 0, false, true, x + width, y + ry);
+        builder.lineTo(x + width, y + height - ry);
+        builder.arcTo(rx, ry, 0, false, true, x + width - rx, y + height);
+        builder.lineTo(x + rx, y + height);
+        builder.arcTo(rx, ry, 0, false, true, x, y + height - ry);
+        builder.lineTo(x, y + ry);
+        builder.arcTo(rx, ry, 0, false, true, x + rx, y);
+      }
+      builder.close();
+      break;
+    }
+
+    case 'circle': {
+      const r = parseLength(a.r, diagonal);
+      if (r > 0) {
+        builder.ellipse(parseLength(a.cx, viewport.width), parseLength(a.cy, viewport.height), r, r);
+      }
+      break;
+    }
+
+    case 'ellipse': {
+      const rx = parseLength(a.rx, viewport.width);
+      const ry = parseLength(a.ry, viewport.height);
+      if (rx > 0 && ry > 0) {
+        builder.ellipse(parseLength(a.cx, viewport.width), parseLength(a.cy, viewport.height), rx, ry);
+      }
+      break;
+    }
+
+    case 'line':
+      builder.moveTo(parseLength(a.x1, viewport.width), parseLength(a.y1, viewport.height));
+      builder.lineTo(parseLength(a.x2, viewport.width), parseLength(a.y2, viewport.height));
+      break;
+
+    case 'polyline':
+    case 'polygon': {
+      const points = parseNumberList(a.points);
+      if (points.length < 4) break;
+      builder.moveTo(points[0], points[1]);
+      for (let i = 2; i + 1 < points.length; i += 2) {
+        builder.lineTo(points[i], points[i + 1]);
+      }
+      if (element.name === 'polygon') builder.close();
+      break;
+    }
+  }
+
+  return builder.subpaths;
+}
+
+/**
+ * Bounding box of a set of subpaths
+ */
+function geometryBounds(subpaths) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+
+  for (const { points } of subpaths) {
+    for (let i = 0; i < points.length; i += 2) {
+      minX = Math.min(minX, points[i]);
+      maxX = Math.max(maxX, points[i]);
+      minY = Math.min(minY, points[i + 1]);
+      maxY = Math.max(maxY, points[i + 1]);
+    }
+  }
+
+  return minX === Infinity ? null : { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+/**
+ * Signed area of a polygon; positive when it winds one way, negative the other
+ */
+function signedArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i += 2) {
+    const j = (i + 2) % points.length;
+    area += points[i] * points[j + 1] - points[j] * points[i + 1];
+  }
+  return area / 2;
+}
+
+/**
+ * Make a polygon wind in the positive direction, so overlapping pieces union under nonzero
+ */
+function orient(points) {
+  if (signedArea(points) >= 0) return points;
+  const reversed = [];
+  for (let i = points.length - 2; i >= 0; i -= 2) {
+    reversed.push(points[i], points[i + 1]);
+  }
+  return reversed;
+}
+
+/**
+ * Polygon approximating a circle, for round joins and caps
+ */
+function circlePolygon(cx, cy, radius, tolerance) {
+  const stepAngle = 2 * Math.acos(Math.max(-1, Math.min(1, 1 - tolerance / radius))) || Math.PI / 4;
+  const steps = Math.min(180, Math.max(8, Math.ceil((2 * Math.PI) / stepAngle)));
+  const points = [];
+  for (let i = 0; i < steps; i++) {
+    const t = (2 * Math.PI * i) / steps;
+    points.push(cx + radius * Math.cos(t), cy + radius * Math.sin(t));
+  }
+  return points;
+}
+
+/**
+ * Turn stroked subpaths into polygons to fill with the nonzero rule.
+ * Each segment becomes a quad, with join and cap pieces added at its ends.
+ */
+function strokeGeometry(subpaths, style, tolerance) {
+  const halfWidth = style.strokeWidth / 2;
+  const polygons = [];
+  if (halfWidth <= 0) return polygons;
+
+  for (const subpath of subpaths) {
+    // Drop repeated points, which have no direction
+    const pts = [];
+    for (let i = 0; i < subpath.points.length; i += 2) {
+      const x = subpath.points[i];
+      const y = subpath.points[i + 1];
+      const n = pts.length;
+      if (n === 0 || Math.abs(pts[n - 2] - x) > 1e-9 || Math.abs(pts[n - 1] - y) > 1e-9) {
+        pts.push(x, y);
+      }
+    }
+    if (subpath.closed && pts.length > 4 && pts[0] === pts[pts.length - 2] && pts[1] === pts[pts.length - 1]) {
+      pts.length -= 2;
+    }
+
+    const count = pts.length / 2;
+    if (count === 1) {
+      // A zero-length subpath only shows its caps
+      if (style.lineCap === 'round') {
+        polygons.push(circlePolygon(pts[0], pts[1], halfWidth, tolerance));
+      } else if (style.lineCap === 'square') {
+        polygons.push(orient([
+          pts[0] - halfWidth, pts[1] - halfWidth, pts[0] + halfWidth, pts[1] - halfWidth,
+          pts[0] + halfWidth, pts[1] + halfWidth, pts[0] - halfWidth, pts[1] + halfWidth,
+        ]));
+      }
+      continue;
+    }
+
+    const closed = subpath.closed && count > 2;
+    const segmentCount = closed ? count : count - 1;
+    const directions = [];
+
+    for (let i = 0; i < segmentCount; i++) {
+      const x0 = pts[i * 2];
+      const y0 = pts[i * 2 + 1];
+      const x1 = pts[((i + 1) % count) * 2];
+      const y1 = pts[((i + 1) % count) * 2 + 1];
+      const length = Math.hypot(x1 - x0, y1 - y0);
+      const dx = (x1 - x0) / length;
+      const dy = (y1 - y0) / length;
+      directions.push([dx, dy]);
+
+      // Extend open ends for square caps
+      let sx = 0;
+      let sy = 0;
+      let ex = 0;
+      let ey = 0;
+      if (!closed && style.lineCap === 'square') {
+        if (i === 0) {
+          sx = -dx * halfWidth;
+          sy = -dy * halfWidth;
+        }
+        if (i === segmentCount - 1) {
+          ex = dx * halfWidth;
+          ey = dy * halfWidth;
+        }
+      }
+
+      const nx = -dy * halfWidth;
+      const ny = dx * halfWidth;
+      polygons.push(orient([
+        x0 + sx + nx, y0 + sy + ny,
+        x1 + ex + nx, y1 + ey + ny,
+        x1 + ex - nx, y1 + ey - ny,
+        x0 + sx - nx, y0 + sy - ny,
+      ]));
+    }
+
+    // Joins between consecutive segments
+    const joinCount = closed ? count : count - 2;
+    for (let j = 0; j < joinCount; j++) {
+      const vertex = closed ? j : j + 1;
+      const [d1x, d1y] = directions[(vertex - 1 + segmentCount) % segmentCount];
+      const [d2x, d2y] = directions[vertex % segmentCount];
+      const vx = pts[vertex * 2];
+      const vy = pts[vertex * 2 + 1];
+      const cross = d1x * d2y - d1y * d2x;
+      if (Math.abs(cross) < 1e-9 && d1x * d2x + d1y * d2y > 0) continue;
+
+      if (style.lineJoin === 'round') {
+        polygons.push(circlePolygon(vx, vy, halfWidth, tolerance));
+        continue;
+      }
+
+      // The outer side of the turn needs filling in
+      const side = cross > 0 ? -1 : 1;
+      const p1x = vx + side * -d1y * halfWidth;
+      const p1y = vy + side * d1x * halfWidth;
+      const p2x = vx + side * -d2y * halfWidth;
+      const p2y = vy + side * d2x * halfWidth;
+
+      const mx = -d1y - d2y;
+      const my = d1x + d2x;
+      const mLength = Math.hypot(mx, my);
+      const cosHalf = mLength > 1e-9 ? (mx * -d1y + my * d1x) / mLength : 0;
+      const miterRatio = cosHalf > 1e-9 ? 1 / cosHalf : Infinity;
+
+      if (style.lineJoin !== 'bevel' && miterRatio <= style.miterLimit) {
+        const miterX = vx + side * (mx / mLength) * halfWidth * miterRatio;
+        const miterY = vy + side * (my / mLength) * halfWidth * miterRatio;
+        polygons.push(orient([vx, vy, p1x, p1y, miterX, miterY, p2x, p2y]));
+      } else {
+        polygons.push(orient([vx, vy, p1x, p1y, p2x, p2y]));
+      }
+    }
+
+    // Round caps on open ends
+    if (!closed && style.lineCap === 'round') {
+      polygons.push(circlePolygon(pts[0], pts[1], halfWidth, tolerance));
+      polygons.push(circlePolygon(pts[pts.length - 2], pts[pts.length - 1], halfWidth, tolerance));
+    }
+  }
+
+  return polygons.map(points => ({ points, closed: true }));
+}
+
+// ---------------------------------------------------------------------------
+// Rasterization and compositing
+// ---------------------------------------------------------------------------
+
+/**
+ * Compute anti-aliased coverage of polygons (in output pixels) for a fill rule.
+ * Returns per-pixel coverage plus the rows it touches.
+ */
+function rasterize(polygons, width, height, evenOdd) {
+  const edges = [];
+  for (const points of polygons) {
+    const n = points.length / 2;
+    if (n < 2) continue;
+    for (let i = 0; i < n; i++) {
+      const x0 = points[i * 2];
+      const y0 = points[i * 2 + 1];
+      const x1 = points[((i + 1) % n) * 2];
+      const y1 = points[((i + 1) % n) * 2 + 1];
+      if (y0 === y1 || !isFinite(x0 + y0 + x1 + y1)) continue;
+
+      const down = y1 > y0;
+      const top = down ? y0 : y1;
+      edges.push({
+        top,
+        bottom: down ? y1 : y0,
+        x: down ? x0 : x1,
+        slope: (x1 - x0) / (y1 - y0),
+        topY: top,
+        dir: down ? 1 : -1,
+      });
+    }
+  }
+
+  const coverage = new Float32Array(width * height);
+  if (edges.length === 0) {
+    return { coverage, top: 0, bottom: -1 };
+  }
+
+  edges.sort((a, b) => a.top - b.top);
+
+  const minY = Math.max(0, Math.floor(edges[0].top));
+  const maxY = Math.min(height - 1, Math.floor(Math.max(...edges.map(e => e.bottom))));
+  const row = new Float32Array(width + 1);
+  const weight = 1 / SUBSAMPLES;
+  let active = [];
+  let next = 0;
+
+  for (let y = minY; y <= maxY; y++) {
+    row.fill(0);
+
+    for (let s = 0; s < SUBSAMPLES; s++) {
+      const sampleY = y + (s + 0.5) / SUBSAMPLES;
+
+      while (next < edges.length && edges[next].top <= sampleY) {
+        active.push(edges[next++]);
+      }
+      active = active.filter(e => e.bottom > sampleY);
+
+      const crossings = [];
+      for (const e of active) {
+        if (e.top <= sampleY) {
+          crossings.push({ x: e.x + (sampleY - e.topY) * e.slope, dir: e.dir });
+        }
+      }
+      if (crossings.length < 2) continue;
+      crossings.sort((a, b) => a.x - b.x);
+
+      let winding = 0;
+      for (let i = 0; i < crossings.length - 1; i++) {
+        winding += crossings[i].dir;
+        const inside = evenOdd ? (winding & 1) !== 0 : winding !== 0;
+        if (!inside) continue;
+
+        // Add the span's exact horizontal coverage
+        const start = Math.max(0, crossings[i].x);
+        const end = Math.min(width, crossings[i + 1].x);
+        if (end <= start) continue;
+
+        const first = Math.floor(start);
+        const last = Math.floor(end);
+        if (first === last) {
+          row[first] += (end - start) * weight;
+        } else {
+          row[first] += (first + 1 - start) * weight;
+          for (let x = first + 1; x < last; x++) row[x] += weight;
+          if (last < width) row[last] += (end - last) * weight;
+        }
+      }
+    }
+
+    coverage.set(row.subarray(0, width), y * width);
+  }
+
+  return { coverage, top: minY, bottom: maxY };
+}
+
+/**
+ * Create a transparent canvas of premultiplied floating-point RGBA
+ */
+function createCanvas(width, height) {
+  return { width, height, data: new Float32Array(width * height * 4) };
+}
+
+/**
+ * Paint coverage onto a canvas with a paint function giving straight RGBA per pixel
+ */
+function paintCoverage(canvas, { coverage, top, bottom }, paint, opacity) {
+  const { width, data } = canvas;
+
+  for (let y = top; y <= bottom; y++) {
+    for (let x = 0; x < width; x++) {
+      const c = Math.min(1, coverage[y * width + x]);
+      if (c <= 0) continue;
+
+      const color = paint(x + 0.5, y + 0.5);
+      const alpha = color[3] * opacity * c;
+      if (alpha <= 0) continue;
+
+      const i = (y * width + x) * 4;
+      const inverse = 1 - alpha;
+      data[i] = (color[0] / 255) * alpha + data[i] * inverse;
+      data[i + 1] = (color[1] / 255) * alpha + data[i + 1] * inverse;
+      data[i + 2] = (color[2] / 255) * alpha + data[i + 2] * inverse;
+      data[i + 3] = alpha + data[i + 3] * inverse;
+    }
+  }
+}
+
+/**
+ * Composite a layer onto a canvas with group opacity and an optional clip mask
+ */
+function compositeLayer(canvas, layer, opacity, mask) {
+  const { data } = canvas;
+  for (let p = 0; p < canvas.width * canvas.height; p++) {
+    const factor = opacity * (mask ? Math.min(1, mask[p]) : 1);
+    const i = p * 4;
+    const alpha = layer.data[i + 3] * factor;
+    if (alpha <= 0) continue;
+
+    const inverse = 1 - alpha;
+    data[i] = layer.data[i] * factor + data[i] * inverse;
+    data[i + 1] = layer.data[i + 1] * factor + data[i + 1] * inverse;
+    data[i + 2] = layer.data[i + 2] * factor + data[i + 2] * inverse;
+    data[i + 3] = alpha + data[i + 3] * inverse;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Paint servers
+// ---------------------------------------------------------------------------
+
+/**
+ * Read a gradient attribute, following href chains to templates
+ */
+function gradientAttr(context, element, name, seen = new Set()) {
+  if (element.attrs[name] !== undefined) return element.attrs[name];
+  const href = element.attrs.href || element.attrs['xlink:href'];
+  if (!href || !href.startsWith('#') || seen.has(element)) return undefined;
+  seen.add(element);
+  const template = context.ids[href.slice(1)];
+  return template ? gradientAttr(context, template, name, seen) : undefined;
+}
+
+/**
+ * Collect a gradient's stops, taking them from a template when it has none
+ */
+function gradientStops(context, element, seen = new Set()) {
+  const stops = element.children.filter(c => c.name === 'stop');
+  if (stops.length > 0 || seen.has(element)) {
+    let lastOffset = 0;
+    return stops.map(stop => {
+      const style = { ...stop.attrs, ...parseDeclarations(stop.attrs.style || '') };
+      let offset = String(style.offset || '0').trim();
+      offset = offset.endsWith('%') ? parseFloat(offset) / 100 : parseFloat(offset);
+      lastOffset = Math.max(lastOffset, Math.min(1, Math.max(0, offset || 0)));
+
+      const color = parseColor(style['stop-color'] || 'black', style.color) || [0, 0, 0, 1];
+      const stopOpacity = style['stop-opacity'] === undefined ? 1 : parseFloat(style['stop-opacity']);
+      return { offset: lastOffset, color: [color[0], color[1], color[2], color[3] * stopOpacity] };
+    });
+  }
+
+  seen.add(element);
+  const href = element.attrs.href || element.attrs['xlink:href'];
+  const template = href && href.startsWith('#') ? context.ids[href.slice(1)] : null;
+  return template ? gradientStops(context, template, seen) : [];
+}
+
+/**
+ * Build a 256-entry color ramp for a gradient's stops
+ */
+function buildRamp(stops) {
+  const ramp = new Array(256);
+  for (let i = 0; i < 256; i++) {
+    const t = i / 255;
+    let k = 0;
+    while (k < stops.length - 1 && stops[k + 1].offset < t) k++;
+
+    const a = stops[k];
+    const b = stops[Math.min(k + 1, stops.length - 1)];
+    if (t <= a.offset || a === b) {
+      ramp[i] = a.color;
+    } else if (t >= b.offset) {
+      ramp[i] = b.color;
+    } else {
+      const f = (t - a.offset) / (b.offset - a.offset);
+      ramp[i] = a.color.map((v, c) => v + (b.color[c] - v) * f);
+    }
+  }
+  return ramp;
+}
+
+/**
+ * Map a gradient position onto [0, 1] following the spread method
+ */
+function spread(t, method) {
+  if (method === 'repeat') return t - Math.floor(t);
+  if (method === 'reflect') {
+    const m = t - 2 * Math.floor(t / 2);
+    return m > 1 ? 2 - m : m;
+  }
+  return Math.min(1, Math.max(0, t));
+}
+
+/**
+ * Resolve a fill or stroke value into a paint function over output pixels
+ */
+function resolvePaint(context, value, style, matrix, bounds) {
+  if (!value || value === 'none') return null;
+
+  const urlMatch = value.match(/^url\(\s*['"]?#([^'")]+)['"]?\s*\)\s*(.*)$/);
+  if (!urlMatch) {
+    const color = parseColor(value, style.color);
+    return color ? () => color : null;
+  }
+
+  const gradient = context.ids[urlMatch[1]];
+  const fallback = () => (urlMatch[2] ? resolvePaint(context, urlMatch[2], style, matrix, bounds) : null);
+  if (!gradient || (gradient.name !== 'linearGradient' && gradient.name !== 'radialGradient')) {
+    return fallback();
+  }
+
+  const stops = gradientStops(context, gradient);
+  if (stops.length === 0) return null;
+  if (stops.length === 1) return () => stops[0].color;
+
+  const userSpace = gradientAttr(context, gradient, 'gradientUnits') === 'userSpaceOnUse';
+  if (!userSpace && (!bounds || bounds.width === 0 || bounds.height === 0)) return null;
+
+  // Gradient space -> user space -> output pixels
+  let gradientMatrix = matrix;
+  if (!userSpace) {
+    gradientMatrix = multiply(gradientMatrix, [bounds.width, 0, 0, bounds.height, bounds.x, bounds.y]);
+  }
+  gradientMatrix = multiply(gradientMatrix, parseTransform(gradientAttr(context, gradient, 'gradientTransform')));
+  const inverse = invert(gradientMatrix);
+  if (!inverse) return () => stops[stops.length - 1].color;
+
+  const viewport = userSpace ? context.viewport : { width: 1, height: 1 };
+  const diagonal = Math.sqrt((viewport.width ** 2 + viewport.height ** 2) / 2);
+  const length = (name, reference, fallbackValue) =>
+    parseLength(gradientAttr(context, gradient, name), reference, parseLength(fallbackValue, reference));
+
+  const ramp = buildRamp(stops);
+  const method = gradientAttr(context, gradient, 'spreadMethod') || 'pad';
+  const lookup = t => ramp[Math.round(spread(t, method) * 255)];
+
+  if (gradient.name === 'linearGradient') {
+    const x1 = length('x1', viewport.width, '0%');
+    const y1 = length('y1', viewport.height, '0%');
+    const x2 = length('x2', viewport.width, '100%');
+    const y2 = length('y2', viewport.height, '0%');
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const lengthSquared = dx * dx + dy * dy;
+    if (lengthSquared === 0) return () => stops[stops.length - 1].color;
+
+    return (px, py) => {
+      const x = inverse[0] * px + inverse[2] * py + inverse[4];
+      const y = inverse[1] * px + inverse[3] * py + inverse[5];
+      return lookup(((x - x1) * dx + (y - y1) * dy) / lengthSquared);
+    };
+  }
+
+  const cx = length('cx', viewport.width, '50%');
+  const cy = length('cy', viewport.height, '50%');
+  const r = length('r', diagonal, '50%');
+  const fxAttr = gradientAttr(context, gradient, 'fx');
+  const fyAttr = gradientAttr(context, gradient, 'fy');
+  const fx = fxAttr === undefined ? cx : parseLength(fxAttr, viewport.width);
+  const fy = fyAttr === undefined ? cy : parseLength(fyAttr, viewport.height);
+  if (r <= 0) return () => stops[stops.length - 1].color;
+
+  return (px, py) => {
+    const x = inverse[0] * px + inverse[2] * py + inverse[4];
+    const y = inverse[1] * px + inverse[3] * py + inverse[5];
+
+    // Find how far along the ray from the focal point through (x, y) the circle lies
+    const dx = x - fx;
+    const dy = y - fy;
+    const ex = fx - cx;
+    const ey = fy - cy;
+    const a = dx * dx + dy * dy;
+    if (a === 0) return lookup(0);
+    const b = ex * dx + ey * dy;
+    const c = ex * ex + ey * ey - r * r;
+    const s = (-b + Math.sqrt(Math.max(0, b * b - a * c))) / a;
+    return lookup(s > 0 ? 1 / s : 1);
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Rendering
+// ---------------------------------------------------------------------------
+
+/**
+ * Work out an element's style from its parent, attributes, stylesheet rules and style attribute
+ */
+function computeStyle(context, element, parent) {
+  const style = {};
+  for (const name of INHERITED) {
+    style[name] = parent[name];
+  }
+
+  const assign = (declarations) => {
+    for (const [name, value] of Object.entries(declarations)) {
+      if (!PROPERTIES.has(name)) continue;
+      style[name] = value === 'inherit' ? parent[name] : value;
+    }
+  };
+
+  assign(element.attrs);
+  for (const rule of context.rules) {
+    if (ruleMatches(rule, element)) assign(rule.declarations);
+  }
+  if (element.attrs.style) assign(parseDeclarations(element.attrs.style));
+
+  return style;
+}
+
+/**
+ * Parse a number that may be a percentage, like opacity values
+ */
+function parseFraction(value, fallback = 1) {
+  if (value === undefined) return fallback;
+  const text = String(value).trim();
+  const number = text.endsWith('%') ? parseFloat(text) / 100 : parseFloat(text);
+  return isNaN(number) ? fallback : Math.min(1, Math.max(0, number));
+}
+
+/**
+ * Transform established by a viewBox and preserveAspectRatio within a viewport
+ */
+function viewBoxTransform(viewBox, preserveAspectRatio, width, height) {
+  const [vx, vy, vw, vh] = viewBox;
+  let sx = width / vw;
+  let sy = height / vh;
+  const [align = 'xMidYMid', meetOrSlice = 'meet'] = (preserveAspectRatio || '').trim().split(/\s+/).filter(Boolean);
+
+  if (align !== 'none') {
+    const scale = meetOrSlice === 'slice' ? Math.max(sx, sy) : Math.min(sx, sy);
+    sx = sy = scale;
+  }
+
+  let tx = -vx * sx;
+  let ty = -vy * sy;
+  if (align !== 'none') {
+    if (align.includes('xMid')) tx += (width - vw * sx) / 2;
+    if (align.includes('xMax')) tx += width - vw * sx;
+    if (align.includes('YMid')) ty += (height - vh * sy) / 2;
+    if (align.includes('YMax')) ty += height - vh * sy;
+  }
+
+  return [sx, 0, 0, sy, tx, ty];
+}
+
+/**
+ * Coverage of a clip path, in output pixels, or null if it can't be found
+ */
+function clipMask(context, reference, matrix, canvas) {
+  const match = String(reference).match(/url\(\s*['"]?#([^'")]+)['"]?\s*\)/);
+  const clip = match && context.ids[match[1]];
+  if (!clip || clip.name !== 'clipPath') return null;
+
+  const mask = new Float32Array(canvas.width * canvas.height);
+  const clipMatrix = multiply(matrix, parseTransform(clip.attrs.transform));
+
+  const addShapes = (element, parentStyle, m) => {
+    const style = computeStyle(context, element, parentStyle);
+    if (style.display === 'none') return;
+    const elementMatrix = multiply(m, parseTransform(element.attrs.transform));
+
+    if (element.name === 'use') {
+      const target = resolveUse(context, element);
+      if (target) {
+        addShapes(target, style, multiply(elementMatrix, useOffset(context, element)));
+      }
+      return;
+    }
+
+    if (element.name === 'g') {
+      element.children.forEach(child => addShapes(child, style, elementMatrix));
+      return;
+    }
+
+    const tolerance = FLATTEN_TOLERANCE / matrixScale(elementMatrix);
+    const subpaths = shapeGeometry(element, context.viewport, tolerance);
+    if (subpaths.length === 0) return;
+
+    const polygons = subpaths.map(s => transformPoints(s.points, elementMatrix));
+    const { coverage } = rasterize(polygons, canvas.width, canvas.height, style['clip-rule'] === 'evenodd');
+    for (let i = 0; i < mask.length; i++) {
+      mask[i] = Math.max(mask[i], coverage[i]);
+    }
+  };
+
+  clip.children.forEach(child => addShapes(child, { ...context.rootStyle }, clipMatrix));
+  return mask;
+}
+
+/**
+ * Find the element a <use> points at, guarding against reference loops
+ */
+function resolveUse(context, element) {
+  const href = element.attrs.href || element.attrs['xlink:href'];
+  if (!href || !href.startsWith('#') || context.useDepth > 16) return null;
+  return context.ids[href.slice(1)] || null;
+}
+
+/**
+ * Translation a <use> element applies to what it references
+ */
+function useOffset(context, element) {
+  return [
+    1, 0, 0, 1,
+    parseLength(element.attrs.x, context.viewport.width),
+    parseLength(element.attrs.y, context.viewport.height),
+  ];
+}
+
+/**
+ * Fill and stroke one shape element
+ */
+function drawShape(context, element, style, matrix, canvas) {
+  if (style.visibility === 'hidden' || style.visibility === 'collapse') return;
+
+  const tolerance = FLATTEN_TOLERANCE / matrixScale(matrix);
+  const subpaths = shapeGeometry(element, context.viewport, tolerance);
+  if (subpaths.length === 0) return;
+
+  const bounds = geometryBounds(subpaths);
+  const fill = resolvePaint(context, style.fill, style, matrix, bounds);
+  if (fill && element.name !== 'line') {
+    const polygons = subpaths.map(s => transformPoints(s.points, matrix));
+    const coverage = rasterize(polygons, canvas.width, canvas.height, style['fill-rule'] === 'evenodd');
+    paintCoverage(canvas, coverage, fill, parseFraction(style['fill-opacity']));
+  }
+
+  const stroke = resolvePaint(context, style.stroke, style, matrix, bounds);
+  if (stroke) {
+    const diagonal = Math.sqrt((context.viewport.width ** 2 + context.viewport.height ** 2) / 2);
+    const strokeStyle = {
+      strokeWidth: parseLength(style['stroke-width'], diagonal, 1),
+      lineCap: style['stroke-linecap'] || 'butt',
+      lineJoin: style['stroke-linejoin'] || 'miter',
+      miterLimit: parseFloat(style['stroke-miterlimit']) || 4,
+    };
+    const polygons = strokeGeometry(subpaths, strokeStyle, tolerance).map(s => transformPoints(s.points, matrix));
+    const coverage = rasterize(polygons, canvas.width, canvas.height, false);
+    paintCoverage(canvas, coverage, stroke, parseFraction(style['stroke-opacity']));
+  }
+}
+
+/**
+ * Render an element and its children onto a canvas
+ */
+function renderElement(context, element, parentStyle, parentMatrix, canvas) {
+  if (NON_RENDERING.has(element.name)) return;
+
+  const style = computeStyle(context, element, parentStyle);
+  if (style.display === 'none') return;
+
+  let matrix = multiply(parentMatrix, parseTransform(element.attrs.transform));
+  const opacity = parseFraction(style.opacity);
+  const clip = style['clip-path'] && style['clip-path'] !== 'none' ? style['clip-path'] : null;
+  if (opacity <= 0) return;
+
+  // Group opacity and clipping apply to the rendered result, so draw into a layer first
+  const layered = opacity < 1 || clip;
+  const target = layered ? createCanvas(canvas.width, canvas.height) : canvas;
+
+  switch (element.name) {
+    case 'svg': {
+      // Nested viewport
+      const width = parseLength(element.attrs.width, context.viewport.width, context.viewport.width);
+      const height = parseLength(element.attrs.height, context.viewport.height, context.viewport.height);
+      matrix = multiply(matrix, [1, 0, 0, 1, parseLength(element.attrs.x, context.viewport.width), parseLength(element.attrs.y, context.viewport.height)]);
+      const viewBox = parseNumberList(element.attrs.viewBox);
+      if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+        matrix = multiply(matrix, viewBoxTransform(viewBox, element.attrs.preserveAspectRatio, width, height));
+      }
+      element.children.forEach(child => renderElement(context, child, style, matrix, target));
+      break;
+    }
+
+    case 'g':
+    case 'a':
+    case 'switch':
+      element.children.forEach(child => renderElement(context, child, style, matrix, target));
+      break;
+
+    case 'use': {
+      const referenced = resolveUse(context, element);
+      if (referenced) {
+        context.useDepth++;
+        const useMatrix = multiply(matrix, useOffset(context, element));
+        if (referenced.name === 'symbol') {
+          referenced.children.forEach(child => renderElement(context, child, style, useMatrix, target));
+        } else {
+          renderElement(context, referenced, style, useMatrix, target);
+        }
+        context.useDepth--;
+      }
+      break;
+    }
+
+    case 'path':
+    case 'rect':
+    case 'circle':
+    case 'ellipse':
+    case 'line':
+    case 'polyline':
+    case 'polygon':
+      drawShape(context, element, style, matrix, target);
+      break;
+  }
+
+  if (layered) {
+    const mask = clip ? clipMask(context, clip, matrix, canvas) : null;
+    compositeLayer(canvas, target, opacity, mask);
+  }
+}
+
+/**
+ * Index every element with an id, for gradients, clip paths and <use>
+ */
+function indexIds(element, ids = {}) {
+  if (element.attrs.id && !ids[element.attrs.id]) {
+    ids[element.attrs.id] = element;
+  }
+  element.children.forEach(child => indexIds(child, ids));
+  return ids;
+}
+
+/**
+ * Collect the text of every <style> element
+ */
+function collectStyles(element, styles = []) {
+  if (element.name === 'style') styles.push(element.text);
+  element.children.forEach(child => collectStyles(child, styles));
+  return styles;
+}
+
+/**
+ * Parse an SVG document, ready to be rendered at any size
+ */
+function parseSvg(source) {
+  const text = Buffer.isBuffer(source) ? source.toString('utf8') : String(source);
+  const document = parseXml(text);
+  const root = document.children.find(c => c.name === 'svg');
+  if (!root) {
+    throw new Error('Not an SVG document');
+  }
+
+  const viewBox = parseNumberList(root.attrs.viewBox);
+  const hasViewBox = viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0;
+  const width = parseLength(root.attrs.width, hasViewBox ? viewBox[2] : 0, hasViewBox ? viewBox[2] : 0);
+  const height = parseLength(root.attrs.height, hasViewBox ? viewBox[3] : 0, hasViewBox ? viewBox[3] : 0);
+
+  // Without a viewBox the width and height define user space; fall back to a 100 unit square
+  const box = hasViewBox ? viewBox : [0, 0, width || 100, height || 100];
+
+  return {
+    root,
+    viewBox: box,
+    width: width || box[2],
+    height: height || box[3],
+    ids: indexIds(root),
+    rules: parseStylesheet(collectStyles(root).join('\n')),
+  };
+}
+
+/**
+ * Render a parsed SVG into an RGBA image of the given size, fitting its viewBox
+ */
+function renderSvg(svg, width, height = width) {
+  const canvas = createCanvas(width, height);
+  const context = {
+    ids: svg.ids,
+    rules: svg.rules,
+    viewport: { width: svg.viewBox[2], height: svg.viewBox[3] },
+    rootStyle: { fill: 'black', stroke: 'none', color: 'black' },
+    useDepth: 0,
+  };
+
+  const matrix = viewBoxTransform(svg.viewBox, svg.root.attrs.preserveAspectRatio, width, height);
+  const style = computeStyle(context, svg.root, context.rootStyle);
+  const opacity = parseFraction(style.opacity);
+
+  if (style.display !== 'none' && opacity > 0) {
+    const target = opacity < 1 ? createCanvas(width, height) : canvas;
+    svg.root.children.forEach(child => renderElement(context, child, style, matrix, target));
+    if (target !== canvas) {
+      compositeLayer(canvas, target, opacity, null);
+    }
+  }
+
+  // Convert premultiplied floats to straight 8-bit RGBA
+  const data = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < width * height * 4; i += 4) {
+    const alpha = canvas.data[i + 3];
+    if (alpha <= 0) continue;
+    data[i] = Math.round(Math.min(1, canvas.data[i] / alpha) * 255);
+    data[i + 1] = Math.round(Math.min(1, canvas.data[i + 1] / alpha) * 255);
+    data[i + 2] = Math.round(Math.min(1, canvas.data[i + 2] / alpha) * 255);
+    data[i + 3] = Math.round(Math.min(1, alpha) * 255);
+  }
+
+  return { width, height, data };
+}
+
+/**
+ * Parse an SVG into a vector image that renders itself at whatever size is asked for
+ */
+function loadSvgImage(source) {
+  const svg = parseSvg(source);
+  return {
+    width: Math.max(1, Math.round(svg.width)),
+    height: Math.max(1, Math.round(svg.height)),
+    render: (width, height = width) => renderSvg(svg, width, height),
+  };
+}
+
+module.exports = {
+  parseSvg,
+  renderSvg,
+  loadSvgImage,
+  parseColor,
+};
@@ -43,6 +43,25 @@ function generateAppId(urlString) {
   }
 }
 
+/**
+ * Extract the title from a page's HTML, or null when it has none
+ */
+function parsePageTitle(html) {
+  const titleMatch = html.match(/<title[^>]*>([^<]+)<\/title>/i);
+  if (!titleMatch || !titleMatch[1]) {
+    return null;
+  }
+  return titleMatch[1]
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(code))
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&nbsp;/g, ' ')
+    .trim();
+}
+
 /**
  * Fetch page title from URL
  */
@@ -88,22 +107,7 @@ function fetchPageTitle(urlString) {
       });
 
       res.on('end', () => {
-        // Extract title from HTML
-        const titleMatch = body.match(/<title[^>]*>([^<]+)<\/title>/i);
-        if (titleMatch && titleMatch[1]) {
-          const title = titleMatch[1]
-            .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(code))
-            .replace(/&amp;/g, '&')
-            .replace(/&lt;/g, '<')
-            .replace(/&gt;/g, '>')
-            .replace(/&quot;/g, '"')
-            .replace(/&#39;/g, "'")
-            .replace(/&nbsp;/g, ' ')
-            .trim();
-          resolve(title);
-        } else {
-          resolve(null);
-        }
+        resolve(parsePageTitle(body));
       });
 
       res.on('error', reject);
@@ -120,11 +124,12 @@ function fetchPageTitle(urlString) {
 }
 
 /**
- * Get app name from URL (tries to fetch page title, falls back to hostname)
+ * Get app name from URL (tries to fetch page title, falls back to hostname).
+ * Pass the page's `html` when it was already fetched; null means it couldn't be.
  */
-async function getAppNameFromUrl(urlString) {
+async function getAppNameFromUrl(urlString, html) {
   try {
-    const title = await fetchPageTitle(urlString);
+    const title = html !== undefined ? html && parsePageTitle(html) : await fetchPageTitle(urlString);
     if (title) {
       return sanitizeAppName(title);
     }
@@ -147,6 +152,41 @@ async function getAppNameFromUrl(urlString) {
   }
 }
 
+/**
+ * Pick an app name from a web app manifest: its name, or short_name when the name is too long
+ */
+function getAppNameFromManifest(manifest) {
+  if (!manifest) {
+    return null;
+  }
+
+  const name = manifest.name && manifest.name.length <= 30 ? manifest.name : manifest.shortName || manifest.name;
+  return name ? sanitizeAppName(name) || null : null;
+}
+
+/**
+ * Check whether a URL is a site's landing page (its root, without a query or fragment)
+ */
+function isLandingPage(urlString) {
+  try {
+    const url = new URL(urlString);
+    return url.pathname === '/' && !url.search && !url.hash;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Work out the URL an app should open: the manifest's start_url when the
+ * user pointed at the landing page, otherwise the URL as given
+ */
+function getLaunchUrl(urlString, manifest) {
+  if (manifest && manifest.startUrl && isLandingPage(urlString)) {
+    return manifest.startUrl;
+  }
+  return urlString;
+}
+
 /**
  * Get hostname from URL for display purposes
  */
@@ -159,11 +199,55 @@ function getHostname(urlString) {
   }
 }
 
+/**
+ * Split a string of browser flags into separate arguments, honouring quotes
+ */
+function parseFlags(flagString) {
+  const flags = [];
+  const pattern = /(?:[^\s"']+|"[^"]*"|'[^']*')+/g;
+  let match;
+
+  while ((match = pattern.exec(flagString)) !== null) {
+    flags.push(match[0].replace(/"([^"]*)"|'([^']*)'/g, (_, dq, sq) => (dq !== undefined ? dq : sq)));
+  }
+
+  return flags;
+}
+
+/**
+ * Get a browser flag's name without its value ("--lang=de" -> "--lang")
+ */
+function getFlagName(flag) {
+  return flag.split('=')[0];
+}
+
+/**
+ * Combine lists of browser flags. A flag replaces an earlier one with the
+ * same name, as Chromium only honours the last of them anyway.
+ */
+function mergeFlags(...lists) {
+  const merged = [];
+  for (const flag of lists.flat()) {
+    const index = merged.findIndex(f => getFlagName(f) === getFlagName(flag));
+    if (index === -1) {
+      merged.push(flag);
+    } else {
+      merged[index] = flag;
+    }
+  }
+  return merged;
+}
+
 module.exports = {
   validateUrl,
   sanitizeAppName,
   generateAppId,
   getAppNameFromUrl,
+  getAppNameFromManifest,
+  getLaunchUrl,
   getHostname,
   fetchPageTitle,
+  parseFlags,
+  getFlagName,
+  mergeFlags,
 };
@@ -0,0 +1,165 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const jpeg = require('jpeg-js');
+const {
+  detectImageFormat,
+  extractPngFromIcns,
+  createImage,
+  decodeImage,
+  decodePng,
+  decodeJpeg,
+  decodeIco,
+  encodePng,
+  encodeIco,
+  encodeIcns,
+  encodeThemeIcons,
+  resizeImage,
+  squareImage,
+  ICO_SIZES,
+  THEME_ICON_SIZES,
+} = require('../src/image');
+
+/**
+ * A small image with a different opaque color in each quadrant
+ */
+function quadrants(width, height) {
+  const image = createImage(width, height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      image.data[i] = x < width / 2 ? 255 : 0;
+      image.data[i + 1] = y < height / 2 ? 255 : 0;
+      image.data[i + 2] = 128;
+      image.data[i + 3] = 255;
+    }
+  }
+  return image;
+}
+
+test('PNG images survive an encode and decode round trip', () => {
+  const image = quadrants(40, 30);
+  const png = encodePng(image);
+
+  assert.strictEqual(detectImageFormat(png), '.png');
+  const decoded = decodePng(png);
+  assert.strictEqual(decoded.width, 40);
+  assert.strictEqual(decoded.height, 30);
+  assert.ok(decoded.data.equals(image.data));
+});
+
+test('PNG decoding rejects images too large to hold in memory', () => {
+  const png = encodePng(createImage(1, 1));
+  // Claim 5000x5000 pixels in the IHDR chunk
+  png.writeUInt32BE(5000, 16);
+  png.writeUInt32BE(5000, 20);
+
+  assert.throws(() => decodePng(png), /too large/);
+});
+
+test('ICO decoding rejects bitmaps too large or malformed to hold in memory', () => {
+  const ico = encodeIco(createImage(16, 16), [16]);
+  const bitmap = ico.readUInt32LE(18);
+  const withSize = (width, height) => {
+    const copy = Buffer.from(ico);
+    copy.writeInt32LE(width, bitmap + 4);
+    copy.writeInt32LE(height * 2, bitmap + 8);
+    return copy;
+  };
+
+  assert.throws(() => decodeIco(withSize(100000, 100000)), /too large/);
+  assert.throws(() => decodeIco(withSize(-16, 16)), /invalid size/);
+  // Within the pixel limit, but far more pixels than the file holds
+  assert.throws(() => decodeIco(withSize(1024, 1024)), /truncated/);
+});
+
+test('JPEG images decode to RGBA pixels', () => {
+  const image = quadrants(16, 8);
+  const encoded = jpeg.encode(image, 100).data;
+
+  assert.strictEqual(detectImageFormat(encoded), '.jpg');
+  const decoded = decodeJpeg(encoded);
+  assert.strictEqual(decoded.width, 16);
+  assert.strictEqual(decoded.height, 8);
+  assert.strictEqual(decoded.data.length, 16 * 8 * 4);
+
+  // Lossy, but the top-left quadrant stays yellowish and opaque
+  const [r, g, b, a] = decoded.data.subarray(0, 4);
+  assert.ok(r > 200 && g > 200 && b > 80 && b < 180, `unexpected color ${r},${g},${b}`);
+  assert.strictEqual(a, 255);
+});
+
+test('ICO files hold one entry per size and decode to the largest', () => {
+  const ico = encodeIco(quadrants(64, 64));
+
+  assert.strictEqual(detectImageFormat(ico), '.ico');
+  assert.strictEqual(ico.readUInt16LE(2), 1);
+  assert.strictEqual(ico.readUInt16LE(4), ICO_SIZES.length);
+
+  ICO_SIZES.forEach((size, i) => {
+    const entry = 6 + i * 16;
+    assert.strictEqual(ico[entry] || 256, size);
+    assert.strictEqual(ico[entry + 1] || 256, size);
+    assert.ok(ico.readUInt32LE(entry + 12) + ico.readUInt32LE(entry + 8) <= ico.length);
+  });
+
+  const decoded = decodeIco(ico);
+  assert.strictEqual(decoded.width, 256);
+  assert.strictEqual(decoded.height, 256);
+});
+
+test('ICO bitmaps decode with their colors and alpha', () => {
+  const ico = encodeIco(quadrants(16, 16), [16]);
+  const decoded = decodeIco(ico);
+
+  assert.strictEqual(decoded.width, 16);
+  assert.deepStrictEqual([...decoded.data.subarray(0, 4)], [255, 255, 128, 255]);
+});
+
+test('ICNS files hold PNG chunks up to 1024 pixels', () => {
+  const icns = encodeIcns(quadrants(64, 64));
+
+  assert.strictEqual(detectImageFormat(icns), '.icns');
+  assert.strictEqual(icns.readUInt32BE(4), icns.length);
+
+  const png = extractPngFromIcns(icns);
+  assert.ok(png);
+  const decoded = decodePng(png);
+  assert.strictEqual(decoded.width, 1024);
+  assert.strictEqual(decoded.height, 1024);
+  assert.strictEqual(decodeImage(icns).width, 1024);
+});
+
+test('theme icons are PNGs of each requested size', () => {
+  const icons = encodeThemeIcons(quadrants(32, 32));
+
+  assert.deepStrictEqual(icons.map(icon => icon.size), THEME_ICON_SIZES);
+  icons.forEach(({ size, data }) => {
+    const decoded = decodePng(data);
+    assert.strictEqual(decoded.width, size);
+    assert.strictEqual(decoded.height, size);
+  });
+});
+
+test('resizing produces the requested dimensions', () => {
+  const image = quadrants(40, 30);
+
+  for (const [width, height] of [[20, 15], [80, 60], [7, 13], [40, 30]]) {
+    const resized = resizeImage(image, width, height);
+    assert.strictEqual(resized.width, width);
+    assert.strictEqual(resized.height, height);
+    assert.strictEqual(resized.data.length, width * height * 4);
+  }
+
+  // Downscaling keeps the quadrant colors away from the edges between them
+  const small = resizeImage(image, 20, 15);
+  assert.deepStrictEqual([...small.data.subarray(0, 4)], [255, 255, 128, 255]);
+});
+
+test('squaring pads the short side with transparency', () => {
+  const squared = squareImage(quadrants(40, 30));
+
+  assert.strictEqual(squared.width, 40);
+  assert.strictEqual(squared.height, 40);
+  assert.strictEqual(squared.data[3], 0);
+  assert.strictEqual(squared.data[(20 * 40 + 20) * 4 + 3], 255);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getInitials, createMonogramSvg } = require('../src/monogram');
+const { loadSvgImage } = require('../src/svg');
+
+/**
+ * Count the pixels of a rendered square icon that differ from its top-left (background) pixel
+ */
+function countStrokePixels(svg) {
+  const { data } = loadSvgImage(svg).render(64);
+  const background = data.readUInt32BE(0);
+  let count = 0;
+  for (let i = 0; i < 64 * 64; i++) {
+    if (data.readUInt32BE(i * 4) !== background) {
+      count++;
+    }
+  }
+  return count;
+}
+
+test('initials come from the first two words of the name', () => {
+  assert.strictEqual(getInitials('Google Calendar'), 'GC');
+  assert.strictEqual(getInitials('my cool app 2'), 'MC');
+  assert.strictEqual(getInitials('Écoute'), 'E');
+  assert.strictEqual(getInitials('365 Tools'), '3T');
+});
+
+test('names without Latin letters or digits fall back to the hostname', () => {
+  assert.strictEqual(getInitials('微博', 'https://www.weibo.com/'), 'W');
+  assert.strictEqual(getInitials('Почта', 'https://mail.yandex.ru/'), 'M');
+  assert.strictEqual(getInitials('Почта', 'https://почта.рф/'), '');
+  assert.strictEqual(getInitials('★', 'not a url'), '');
+  assert.strictEqual(getInitials(''), '');
+});
+
+test('monograms without initials draw a globe instead of an empty shape', () => {
+  const globe = createMonogramSvg('Почта', '#336699', 'letter', 'https://почта.рф/');
+
+  assert.ok(countStrokePixels(globe) > 0);
+  assert.strictEqual(createMonogramSvg('微博', '#336699', 'letter', 'https://www.weibo.com/'), createMonogramSvg('W', '#336699', 'letter'));
+});
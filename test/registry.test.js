@@ -0,0 +1,189 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  getRegistryPath,
+  writeFileAtomic,
+  loadRegistry,
+  saveRegistry,
+  registerApp,
+  findApps,
+} = require('../src/registry');
+
+const originalEnv = { HOME: process.env.HOME, XDG_CONFIG_HOME: process.env.XDG_CONFIG_HOME };
+let home;
+
+// Every test gets an empty home and config directory of its own
+test.beforeEach(() => {
+  home = fs.mkdtempSync(path.join(os.tmpdir(), 'webnest-registry-'));
+  process.env.HOME = home;
+  process.env.XDG_CONFIG_HOME = path.join(home, 'config');
+});
+
+test.afterEach(() => {
+  fs.rmSync(home, { recursive: true, force: true });
+  for (const [name, value] of Object.entries(originalEnv)) {
+    if (value === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  }
+});
+
+/**
+ * Write a .desktop launcher the way WebNest versions before the registry did
+ */
+function writeLegacyLauncher(id, name, browserPath, url) {
+  const appDir = path.join(home, '.local', 'share', 'applications');
+  fs.mkdirSync(appDir, { recursive: true });
+  const launcherPath = path.join(appDir, `${id}.desktop`);
+  fs.writeFileSync(launcherPath, [
+    '[Desktop Entry]',
+    'Type=Application',
+    `Name=${name}`,
+    `Comment=${name} - Web App created by WebNest`,
+    `Exec="${browserPath}" --app="${url}"`,
+    'Icon=web-browser',
+    '',
+  ].join('\n'));
+  return launcherPath;
+}
+
+/**
+ * A registry entry for an app as the installer records it
+ */
+function app(name, browserId, overrides = {}) {
+  const id = `com.webnest.${name.toLowerCase()}`;
+  return {
+    id,
+    name,
+    url: `https://${name.toLowerCase()}.example.com/`,
+    browserId,
+    browserPath: `/usr/bin/${browserId}`,
+    launcherPath: path.join(home, '.local', 'share', 'applications', `${id}-${browserId}.desktop`),
+    ...overrides,
+  };
+}
+
+test('registry lives in $XDG_CONFIG_HOME/webnest', () => {
+  assert.strictEqual(getRegistryPath(), path.join(home, 'config', 'webnest', 'registry.json'));
+});
+
+test('writeFileAtomic creates missing directories and leaves no temp files', async () => {
+  const filePath = path.join(home, 'a', 'b', 'file.json');
+
+  await writeFileAtomic(filePath, 'first');
+  await writeFileAtomic(filePath, 'second');
+
+  assert.strictEqual(fs.readFileSync(filePath, 'utf8'), 'second');
+  assert.deepStrictEqual(fs.readdirSync(path.dirname(filePath)), ['file.json']);
+});
+
+test('writeFileAtomic removes its temp file when the rename fails', async () => {
+  // A directory in the way makes the rename fail after the temp file is written
+  const filePath = path.join(home, 'taken');
+  fs.mkdirSync(path.join(filePath, 'child'), { recursive: true });
+
+  await assert.rejects(writeFileAtomic(filePath, 'contents'));
+  assert.deepStrictEqual(fs.readdirSync(home), ['taken']);
+});
+
+test('a missing registry loads as empty without being written', async () => {
+  const registry = await loadRegistry();
+
+  assert.deepStrictEqual(registry.apps, []);
+  assert.ok(!fs.existsSync(getRegistryPath()));
+});
+
+test('a corrupt registry is reported instead of being replaced', async () => {
+  await writeFileAtomic(getRegistryPath(), '{ not json');
+
+  await assert.rejects(loadRegistry(), { name: 'FileSystemError', code: 'FILESYSTEM_ERROR' });
+  assert.strictEqual(fs.readFileSync(getRegistryPath(), 'utf8'), '{ not json');
+});
+
+test('legacy launchers are adopted on first load', { skip: process.platform !== 'linux' }, async () => {
+  const launcherPath = writeLegacyLauncher('com.webnest.github-com', 'GitHub', '/usr/bin/google-chrome', 'https://github.com/');
+
+  const registry = await loadRegistry();
+
+  assert.strictEqual(registry.apps.length, 1);
+  assert.deepStrictEqual(
+    { ...registry.apps[0] },
+    {
+      id: 'com.webnest.github-com',
+      name: 'GitHub',
+      url: 'https://github.com/',
+      browserId: 'chrome',
+      browserPath: '/usr/bin/google-chrome',
+      launcherPath,
+      iconPath: null,
+      createdAt: null,
+      webnestVersion: null,
+    },
+  );
+  // The adopted apps are saved, so the launchers are only scanned once
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(getRegistryPath(), 'utf8')).apps, registry.apps);
+});
+
+test('legacy launchers of an unrecognized browser are not adopted', { skip: process.platform !== 'linux' }, async () => {
+  writeLegacyLauncher('com.webnest.github-com', 'GitHub', '/opt/unknown/browser', 'https://github.com/');
+
+  const registry = await loadRegistry();
+
+  assert.deepStrictEqual(registry.apps, []);
+});
+
+test('launchers without the WebNest comment are not adopted', { skip: process.platform !== 'linux' }, async () => {
+  const launcherPath = writeLegacyLauncher('other', 'Other', '/usr/bin/google-chrome', 'https://example.com/');
+  fs.writeFileSync(launcherPath, fs.readFileSync(launcherPath, 'utf8').replace(/^Comment=.*$/m, 'Comment=Something else'));
+
+  assert.deepStrictEqual((await loadRegistry()).apps, []);
+});
+
+test('registerApp replaces the entry with the same launcher path', async () => {
+  const first = app('Mail', 'chrome');
+  await registerApp(first);
+  await registerApp(app('Calendar', 'chrome'));
+  await registerApp({ ...first, name: 'Webmail', url: 'https://webmail.example.com/' });
+
+  const { apps } = await loadRegistry();
+  assert.deepStrictEqual(apps.map(entry => entry.name).sort(), ['Calendar', 'Webmail']);
+
+  const webmail = apps.find(entry => entry.name === 'Webmail');
+  assert.strictEqual(webmail.url, 'https://webmail.example.com/');
+  assert.strictEqual(webmail.launcherPath, first.launcherPath);
+  assert.strictEqual(webmail.installScope, 'user');
+  assert.ok(webmail.createdAt);
+});
+
+test('registerApp replaces the entry of the same app and browser under another launcher', async () => {
+  const first = app('Mail', 'chrome');
+  await registerApp(first);
+  await registerApp(app('Mail', 'edge'));
+  await registerApp({ ...first, name: 'Webmail', launcherPath: path.join(home, 'Applications', 'Webmail.app') });
+
+  const { apps } = await loadRegistry();
+  assert.deepStrictEqual(apps.map(entry => `${entry.name} ${entry.browserId}`).sort(), ['Mail edge', 'Webmail chrome']);
+});
+
+test('findApps matches names case-insensitively, ids, and an optional browser', async () => {
+  await saveRegistry({
+    apps: [
+      app('Mail', 'chrome'),
+      app('Mail', 'edge'),
+      app('Calendar', 'brave'),
+    ],
+  });
+
+  assert.strictEqual((await findApps('mail')).length, 2);
+  assert.deepStrictEqual((await findApps('MAIL', 'Edge')).map(entry => entry.browserId), ['edge']);
+  assert.deepStrictEqual((await findApps('com.webnest.calendar')).map(entry => entry.name), ['Calendar']);
+  assert.strictEqual((await findApps(undefined, 'chrome')).length, 1);
+  assert.strictEqual((await findApps()).length, 3);
+  assert.deepStrictEqual(await findApps('Calendar', 'chrome'), []);
+  assert.deepStrictEqual(await findApps('Notes'), []);
+});